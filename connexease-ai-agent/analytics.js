@@ -0,0 +1,158 @@
+// analytics.js - Suggestion quality: agent feedback, how much agents edit drafts, latency and token cost
+//
+// Every suggestion records its latency and token usage when generated; when an agent sends a reply based
+// on it, the reply route stores `sent` with the edit distance between draft and final text, and 👍/👎
+// from the dashboard lands in `feedback`. summarizeSuggestions turns a period of these into the
+// supervisor's numbers.
+
+// "accepted" as drafted, lightly "edited", or "rewritten" beyond this share of the draft
+const REWRITE_RATIO = 0.5;
+const TOP_REJECTED_INTENTS = 5;
+
+const FEEDBACK_REASONS = ['wrong_info', 'hallucination', 'tone', 'too_long', 'not_relevant', 'unsafe', 'other'];
+
+// USD per 1M tokens; MODEL_PRICES='{"gpt-5-nano":{"input":0.05,"output":0.4}}' overrides or adds models
+const DEFAULT_PRICES = {
+    'gpt-5': { input: 1.25, output: 10 },
+    'gpt-5-mini': { input: 0.25, output: 2 },
+    'gpt-5-nano': { input: 0.05, output: 0.4 }
+};
+
+// Levenshtein distance over code points, so "ş" and emoji count as one character
+function editDistance(a, b) {
+    const source = [...(a || '')];
+    const target = [...(b || '')];
+    let previous = Array.from({ length: target.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= source.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= target.length; j++) {
+            const substitution = previous[j - 1] + (source[i - 1] === target[j - 1] ? 0 : 1);
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+        }
+        previous = current;
+    }
+    return previous[target.length];
+}
+
+// Draft vs. what the agent actually sent -> { editDistance, editRatio, outcome }
+function outcomeOf(draft, final) {
+    const distance = editDistance((draft || '').trim(), (final || '').trim());
+    const editRatio = Math.round(distance / Math.max([...(draft || '').trim()].length, 1) * 1000) / 1000;
+    const outcome = distance === 0 ? 'accepted' : editRatio <= REWRITE_RATIO ? 'edited' : 'rewritten';
+    return { editDistance: distance, editRatio, outcome };
+}
+
+function loadPrices(raw = process.env.MODEL_PRICES) {
+    if (!raw) return DEFAULT_PRICES;
+    try {
+        return { ...DEFAULT_PRICES, ...JSON.parse(raw) };
+    } catch (error) {
+        console.error('MODEL_PRICES is not valid JSON, using default prices:', error.message);
+        return DEFAULT_PRICES;
+    }
+}
+
+// null when the model has no price, so unknown costs are reported rather than counted as free
+function costOf(suggestion, prices) {
+    const price = prices[suggestion.model];
+    if (!price || !suggestion.usage) return null;
+    return ((suggestion.usage.inputTokens || 0) * price.input + (suggestion.usage.outputTokens || 0) * price.output) / 1e6;
+}
+
+const outcomeOfSuggestion = (suggestion) => suggestion.sent?.outcome || 'unused';
+
+// A draft the agent didn't want: thumbs down, rewritten, or never used without a thumbs up
+const isRejected = (suggestion) => suggestion.feedback?.rating === 'down'
+    || (suggestion.feedback?.rating !== 'up' && ['rewritten', 'unused'].includes(outcomeOfSuggestion(suggestion)));
+
+function percentile(sorted, share) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(share * sorted.length) - 1)];
+}
+
+// Regenerated tone variants for one customer message are the same draft offered several ways, and an agent
+// uses at most one of them: they count as one draft, represented by the one that was sent or rated
+const draftKey = (suggestion) => (suggestion.tone && suggestion.tone !== 'default' && suggestion.messageId != null
+    ? `${suggestion.conversationId}:${suggestion.messageId}`
+    : `suggestion:${suggestion.id}`);
+
+const pickRank = (suggestion) => (suggestion.sent ? 0 : suggestion.feedback?.rating === 'up' ? 1 : suggestion.feedback?.rating === 'down' ? 2 : 3);
+
+function groupDrafts(suggestions) {
+    const drafts = new Map();
+    suggestions.forEach(suggestion => {
+        const key = draftKey(suggestion);
+        const picked = drafts.get(key);
+        if (!picked || pickRank(suggestion) < pickRank(picked)) drafts.set(key, suggestion);
+    });
+    return [...drafts.values()];
+}
+
+const average = (values) => (values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 1000) / 1000 : null);
+const ratio = (count, total) => (total ? Math.round(count / total * 1000) / 1000 : null);
+
+function summarizeSuggestions(suggestions, { prices = DEFAULT_PRICES } = {}) {
+    const outcomes = { accepted: 0, edited: 0, rewritten: 0, auto_sent: 0, unused: 0 };
+    const feedback = { up: 0, down: 0, reasons: {} };
+    const rejectedByIntent = {};
+    const latencies = [];
+    const editRatios = [];
+    const tokens = { input: 0, output: 0 };
+    let totalUsd = 0;
+    let unpriced = 0;
+
+    // Outcomes and rejections per draft; feedback, latency and cost per generated suggestion
+    const drafts = groupDrafts(suggestions);
+    drafts.forEach(draft => {
+        const outcome = outcomeOfSuggestion(draft);
+        outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+        if (draft.sent && outcome !== 'auto_sent') editRatios.push(draft.sent.editRatio);
+        if (isRejected(draft)) {
+            const intent = draft.intent || 'unknown';
+            rejectedByIntent[intent] = (rejectedByIntent[intent] || 0) + 1;
+        }
+    });
+
+    suggestions.forEach(suggestion => {
+        const rating = suggestion.feedback?.rating;
+        if (rating === 'up' || rating === 'down') feedback[rating]++;
+        if (rating === 'down' && suggestion.feedback.reason) {
+            feedback.reasons[suggestion.feedback.reason] = (feedback.reasons[suggestion.feedback.reason] || 0) + 1;
+        }
+
+        if (Number.isFinite(suggestion.latencyMs)) latencies.push(suggestion.latencyMs);
+        tokens.input += suggestion.usage?.inputTokens || 0;
+        tokens.output += suggestion.usage?.outputTokens || 0;
+        const cost = costOf(suggestion, prices);
+        if (cost === null) unpriced++;
+        else totalUsd += cost;
+    });
+
+    latencies.sort((a, b) => a - b);
+    const used = outcomes.accepted + outcomes.edited + outcomes.auto_sent;
+    return {
+        total: suggestions.length,
+        drafts: drafts.length,
+        acceptanceRate: ratio(used, drafts.length),
+        outcomes,
+        feedback,
+        averageEditRatio: average(editRatios),
+        latencyMs: {
+            average: latencies.length ? Math.round(average(latencies)) : null,
+            p50: percentile(latencies, 0.5),
+            p95: percentile(latencies, 0.95)
+        },
+        tokens,
+        cost: {
+            totalUsd: Math.round(totalUsd * 1e6) / 1e6,
+            perSuggestionUsd: suggestions.length > unpriced ? Math.round(totalUsd / (suggestions.length - unpriced) * 1e6) / 1e6 : null,
+            unpricedSuggestions: unpriced
+        },
+        mostRejectedIntents: Object.entries(rejectedByIntent)
+            .map(([intent, count]) => ({ intent, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, TOP_REJECTED_INTENTS)
+    };
+}
+
+module.exports = { FEEDBACK_REASONS, DEFAULT_PRICES, editDistance, outcomeOf, loadPrices, summarizeSuggestions };
@@ -0,0 +1,190 @@
+// appointments.js - Local slot calendar and bookings for the clinics' doctors
+//
+// Slots are cut from the branch's weekly schedule (ŞUBE DOKTOR.xlsx only has branch hours, so doctors
+// inherit them unless the catalog gives a doctor their own `schedule`). A slot is free when no booked
+// appointment of the same doctor overlaps it, at any branch, since doctors work at more than one.
+const { TIME_ZONE, WEEKDAYS, toMinutes, localDate, zonedDateTime } = require('./businessHours');
+
+const BOOKED = 'booked';
+const CANCELLED = 'cancelled';
+
+const DEFAULT_SLOT_MINUTES = 30;
+const DEFAULT_HORIZON_DAYS = 30;
+const DEFAULT_LEAD_MINUTES = 60;
+const MAX_SLOT_DAYS = 14;
+
+const addDays = (isoDate, days) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+const DEFAULT_LOCALE = 'tr-TR';
+
+// "20 Ekim Salı 09:00 - Op. Dr. HAKAN YENEL" in the tenant's locale and time zone
+function describeSlot(slot, { locale = DEFAULT_LOCALE, timeZone = TIME_ZONE } = {}) {
+    const label = new Date(slot.start).toLocaleString(locale, {
+        timeZone, weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit'
+    });
+    return `${label} - ${slot.doctorName}`;
+}
+
+const toHhmm = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// tenantId keeps each clinic group's calendar apart in a shared store; opening hours are in its timeZone
+function createAppointmentBook({
+    store,
+    getCatalog,
+    tenantId = null,
+    timeZone = TIME_ZONE,
+    slotMinutes = DEFAULT_SLOT_MINUTES,
+    horizonDays = DEFAULT_HORIZON_DAYS,
+    leadMinutes = DEFAULT_LEAD_MINUTES
+}) {
+    const fail = (error, message) => ({ ok: false, error, message });
+
+    // -> { branch, doctor } or a failure result
+    function resolve(branchId, doctorId) {
+        const branch = getCatalog()?.branches.find(candidate => candidate.id === branchId);
+        if (!branch) return fail('not_found', `Unknown branch "${branchId}"`);
+        if (branch.closed) return fail('closed', `${branch.name} is closed`);
+        const doctor = branch.doctors.find(candidate => candidate.id === doctorId);
+        if (!doctor) return fail('not_found', `No doctor "${doctorId}" at ${branch.name}`);
+        return { branch, doctor };
+    }
+
+    const scheduleOf = (branch, doctor) => doctor.schedule || branch.hours?.schedule;
+
+    // Every grid slot of one local day, whether booked or not
+    function daySlots(schedule, isoDate) {
+        const hours = schedule?.[WEEKDAYS[new Date(`${isoDate}T00:00:00Z`).getUTCDay()]];
+        if (!hours) return [];
+        const slots = [];
+        for (let minutes = toMinutes(hours.open); minutes + slotMinutes <= toMinutes(hours.close); minutes += slotMinutes) {
+            const start = zonedDateTime(isoDate, toHhmm(minutes), timeZone);
+            slots.push({ start: start.toISOString(), end: new Date(start.getTime() + slotMinutes * 60 * 1000).toISOString() });
+        }
+        return slots;
+    }
+
+    const overlaps = (slot, bookings) => bookings.some(booking => booking.startAt < slot.end && booking.endAt > slot.start);
+
+    // A start time must sit on the grid, within opening hours, after the lead time and inside the horizon
+    function checkSlot(branch, doctor, startIso, now) {
+        const start = new Date(startIso);
+        if (Number.isNaN(start.getTime())) return fail('invalid_slot', 'start must be an ISO timestamp');
+        if (start.getTime() < now.getTime() + leadMinutes * 60 * 1000) return fail('invalid_slot', 'Slot is in the past or too soon');
+        const isoDate = localDate(start, timeZone);
+        if (isoDate > addDays(localDate(now, timeZone), horizonDays)) return fail('invalid_slot', `Bookings open ${horizonDays} days ahead`);
+
+        const slot = daySlots(scheduleOf(branch, doctor), isoDate).find(candidate => candidate.start === start.toISOString());
+        return slot ? { slot } : fail('invalid_slot', `${doctor.fullName} has no slot at that time`);
+    }
+
+    function conflicts(doctorId, slot, ignoreId) {
+        return store.listBookings({ tenantId, doctorId, status: BOOKED, from: slot.start, to: slot.end })
+            .some(booking => booking.id !== ignoreId);
+    }
+
+    // -> { ok, slots: [{ start, end, doctorId, doctorName }] } across the branch's doctors unless doctorId is given
+    function freeSlots({ branchId, doctorId, from, days = 7, now = new Date() }) {
+        const branch = getCatalog()?.branches.find(candidate => candidate.id === branchId);
+        if (!branch) return fail('not_found', `Unknown branch "${branchId}"`);
+        if (branch.closed) return { ok: true, slots: [] };
+
+        const doctors = doctorId ? branch.doctors.filter(doctor => doctor.id === doctorId) : branch.doctors;
+        if (doctorId && doctors.length === 0) return fail('not_found', `No doctor "${doctorId}" at ${branch.name}`);
+
+        const today = localDate(now, timeZone);
+        const firstDay = from && from > today ? from : today;
+        const lastDay = addDays(today, horizonDays);
+        const earliest = new Date(now.getTime() + leadMinutes * 60 * 1000).toISOString();
+        const slots = [];
+
+        for (let offset = 0; offset < Math.min(days, MAX_SLOT_DAYS); offset++) {
+            const isoDate = addDays(firstDay, offset);
+            if (isoDate > lastDay) break;
+            doctors.forEach(doctor => {
+                const candidates = daySlots(scheduleOf(branch, doctor), isoDate).filter(slot => slot.start >= earliest);
+                if (candidates.length === 0) return;
+                const booked = store.listBookings({ tenantId, doctorId: doctor.id, status: BOOKED, from: candidates[0].start, to: candidates[candidates.length - 1].end });
+                candidates
+                    .filter(slot => !overlaps(slot, booked))
+                    .forEach(slot => slots.push({ ...slot, doctorId: doctor.id, doctorName: doctor.fullName }));
+            });
+        }
+
+        slots.sort((a, b) => a.start.localeCompare(b.start) || a.doctorId.localeCompare(b.doctorId));
+        return { ok: true, slots };
+    }
+
+    // A few concrete options for the AI to offer: distinct times, spread over the days asked about
+    function proposeSlots({ branchId, doctorId, from, count = 5, now = new Date() }) {
+        const result = freeSlots({ branchId, doctorId, from, days: MAX_SLOT_DAYS, now });
+        if (!result.ok) return [];
+        const byTime = new Map();
+        result.slots.forEach(slot => { if (!byTime.has(slot.start)) byTime.set(slot.start, slot); });
+        const perDay = new Map();
+        return [...byTime.values()].filter(slot => {
+            const day = localDate(new Date(slot.start), timeZone);
+            perDay.set(day, (perDay.get(day) || 0) + 1);
+            return perDay.get(day) <= 2;
+        }).slice(0, count).map(slot => ({ ...slot, branchId }));
+    }
+
+    function book({ conversationId = null, branchId, doctorId, start, treatmentId = null, note = '', createdBy = null, now = new Date() }) {
+        const resolved = resolve(branchId, doctorId);
+        if (!resolved.branch) return resolved;
+        const checked = checkSlot(resolved.branch, resolved.doctor, start, now);
+        if (!checked.slot) return checked;
+        if (conflicts(doctorId, checked.slot)) return fail('conflict', 'Slot is already booked');
+
+        const booking = store.addBooking({
+            tenantId,
+            conversationId,
+            branchId,
+            doctorId,
+            doctorName: resolved.doctor.fullName,
+            startAt: checked.slot.start,
+            endAt: checked.slot.end,
+            status: BOOKED,
+            treatmentId,
+            note,
+            createdBy
+        });
+        return { ok: true, booking };
+    }
+
+    function cancel(id, { by = null, reason = '' } = {}) {
+        const booking = store.getBooking(id);
+        if (!booking) return fail('not_found', 'Booking not found');
+        if (booking.status !== BOOKED) return fail('not_active', `Booking is ${booking.status}`);
+        return {
+            ok: true,
+            booking: store.updateBooking(id, { status: CANCELLED, cancelledBy: by, cancelReason: reason, cancelledAt: new Date().toISOString() })
+        };
+    }
+
+    // Same doctor and branch, new time; the old slot is released in the same step
+    function reschedule(id, start, { by = null, now = new Date() } = {}) {
+        const booking = store.getBooking(id);
+        if (!booking) return fail('not_found', 'Booking not found');
+        if (booking.status !== BOOKED) return fail('not_active', `Booking is ${booking.status}`);
+
+        const resolved = resolve(booking.branchId, booking.doctorId);
+        if (!resolved.branch) return resolved;
+        const checked = checkSlot(resolved.branch, resolved.doctor, start, now);
+        if (!checked.slot) return checked;
+        if (conflicts(booking.doctorId, checked.slot, id)) return fail('conflict', 'Slot is already booked');
+
+        const history = [...(booking.history || []), { startAt: booking.startAt, endAt: booking.endAt, by, at: new Date().toISOString() }];
+        return {
+            ok: true,
+            booking: store.updateBooking(id, { startAt: checked.slot.start, endAt: checked.slot.end, history })
+        };
+    }
+
+    return { freeSlots, proposeSlots, book, cancel, reschedule };
+}
+
+module.exports = { BOOKED, CANCELLED, createAppointmentBook, describeSlot };
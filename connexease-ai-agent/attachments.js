@@ -0,0 +1,153 @@
+// attachments.js - Media and location attachments of incoming messages, and their local copies
+//
+// Connexease forwards WhatsApp media Chatwoot-style: payload.attachments[] with file_type, data_url,
+// content_type and, for location pins, coordinates_lat / coordinates_long. Some channels send the pin
+// as payload.location instead. Media files are downloaded once into storage/media/<conversation>/
+// because the Connexease URLs need the API token and expire.
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { isValidPoint } = require('./branchLocations');
+
+const ATTACHMENT_TYPES = ['image', 'audio', 'video', 'file', 'location'];
+const TYPE_ALIASES = { photo: 'image', sticker: 'image', voice: 'audio', ptt: 'audio', document: 'file', fallback: 'file' };
+const MAX_ATTACHMENTS = 10;
+const DEFAULT_MAX_BYTES = 16 * 1024 * 1024; // WhatsApp's own limit for images, audio and video
+
+const MIME_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/amr': 'amr',
+    'video/mp4': 'mp4',
+    'video/3gpp': '3gp',
+    'application/pdf': 'pdf'
+};
+
+// Stored files are always "<uuid>.<ext>", which also keeps request paths from escaping the media folder
+const STORED_FILE_PATTERN = /^[0-9a-f-]{36}\.[a-z0-9]{1,5}$/;
+
+// Only these are served inline; anything else (an .html or .svg "document") is forced to download
+const INLINE_EXTENSIONS = new Set(Object.values(MIME_EXTENSIONS));
+const isInlineFile = (file) => INLINE_EXTENSIONS.has(path.extname(file).slice(1));
+
+const mimeOf = (raw) => String(raw.content_type || raw.mime_type || raw.mimetype || '').split(';')[0].trim().toLowerCase() || null;
+
+function typeOf(raw) {
+    const declared = String(raw.file_type || raw.type || '').toLowerCase();
+    if (ATTACHMENT_TYPES.includes(declared)) return declared;
+    if (TYPE_ALIASES[declared]) return TYPE_ALIASES[declared];
+    const family = (mimeOf(raw) || '').split('/')[0];
+    return ['image', 'audio', 'video'].includes(family) ? family : 'file';
+}
+
+function toLocation(raw) {
+    const point = {
+        latitude: Number(raw.coordinates_lat ?? raw.latitude ?? raw.lat),
+        longitude: Number(raw.coordinates_long ?? raw.longitude ?? raw.lng ?? raw.lon)
+    };
+    if (!isValidPoint(point)) return null;
+    return {
+        id: crypto.randomUUID(),
+        type: 'location',
+        location: { ...point, name: raw.fallback_title || raw.name || null, address: raw.address || null }
+    };
+}
+
+function toMedia(raw, type) {
+    const url = raw.data_url || raw.file_url || raw.url;
+    if (!url) return null;
+    return {
+        id: crypto.randomUUID(),
+        externalId: raw.id ?? null,
+        type,
+        url,
+        mimeType: mimeOf(raw),
+        name: raw.file_name || raw.filename || raw.name || null,
+        size: Number(raw.file_size) || null,
+        status: 'pending'
+    };
+}
+
+// Webhook message payload -> normalized attachments; unusable entries (no URL, bad coordinates) are dropped
+function extractAttachments(source) {
+    const raw = [
+        ...(Array.isArray(source?.attachments) ? source.attachments : []),
+        ...(source?.location ? [{ ...source.location, type: 'location' }] : [])
+    ];
+    return raw.slice(0, MAX_ATTACHMENTS).map(entry => {
+        const type = typeOf(entry);
+        return type === 'location' ? toLocation(entry) : toMedia(entry, type);
+    }).filter(Boolean);
+}
+
+const formatKm = (km) => km.toLocaleString('tr-TR', { maximumFractionDigits: 1 });
+
+// One line for the prompt and conversation summaries; the model never sees the media itself
+function describeAttachment(attachment) {
+    if (attachment.type === 'location') {
+        const { latitude, longitude, name, address } = attachment.location;
+        const place = name || address || `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+        const nearest = attachment.nearestBranches?.[0];
+        return `[Konum paylaştı: ${place}${nearest ? `; en yakın şube ${nearest.name}, yaklaşık ${formatKm(nearest.distanceKm)} km` : ''}]`;
+    }
+    if (attachment.type === 'image') return '[Fotoğraf gönderdi]';
+    if (attachment.type === 'audio') return '[Sesli mesaj gönderdi]';
+    if (attachment.type === 'video') return '[Video gönderdi]';
+    return `[Dosya gönderdi${attachment.name ? `: ${attachment.name}` : ''}]`;
+}
+
+function extensionOf(mimeType, attachment) {
+    if (MIME_EXTENSIONS[mimeType]) return MIME_EXTENSIONS[mimeType];
+    const fromName = /\.([a-z0-9]{1,5})$/i.exec(attachment.name || new URL(attachment.url, 'http://localhost').pathname);
+    return fromName ? fromName[1].toLowerCase() : 'bin';
+}
+
+// fetchFile(url, { maxBytes, conversationId }) -> { data: Buffer, contentType } does the authenticated download
+function createMediaStore({ dir, fetchFile, maxBytes = DEFAULT_MAX_BYTES }) {
+    const folderOf = (conversationId) => path.join(dir, String(conversationId).replace(/[^\w-]/g, '_'));
+
+    // -> the attachment with status 'stored' and its local file name, or status 'failed' and the reason
+    async function save(conversationId, attachment) {
+        try {
+            const { data, contentType } = await fetchFile(attachment.url, { maxBytes, conversationId });
+            const mimeType = attachment.mimeType || String(contentType || '').split(';')[0].trim() || null;
+            const file = `${crypto.randomUUID()}.${extensionOf(mimeType, attachment)}`;
+            await fs.mkdir(folderOf(conversationId), { recursive: true });
+            await fs.writeFile(path.join(folderOf(conversationId), file), data);
+            return { ...attachment, status: 'stored', file, mimeType, size: data.length, storedAt: new Date().toISOString() };
+        } catch (error) {
+            console.error(`Could not download ${attachment.type} attachment for ${conversationId}:`, error.message);
+            return { ...attachment, status: 'failed', error: error.message };
+        }
+    }
+
+    // Absolute path of a stored file, or null for anything that isn't one
+    function filePath(conversationId, file) {
+        return STORED_FILE_PATTERN.test(file || '') ? path.join(folderOf(conversationId), file) : null;
+    }
+
+    // Conversation folders untouched since the cutoff belong to purged conversations
+    async function purgeOlderThan(cutoff) {
+        let removed = 0;
+        const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+        for (const entry of entries.filter(candidate => candidate.isDirectory())) {
+            const folder = path.join(dir, entry.name);
+            const { mtime } = await fs.stat(folder);
+            if (mtime < cutoff) {
+                await fs.rm(folder, { recursive: true, force: true });
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    return { save, filePath, purgeOlderThan };
+}
+
+module.exports = { ATTACHMENT_TYPES, extractAttachments, describeAttachment, isInlineFile, createMediaStore };
@@ -0,0 +1,172 @@
+// auth.js - Agent logins, session cookies, roles and per-tenant, per-branch conversation scoping
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'sid';
+const ROLES = ['agent', 'supervisor', 'admin'];
+const SCRYPT_KEY_LENGTH = 64;
+
+// Stored as "scrypt$<salt hex>$<hash hex>"
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// A malformed %-escape (sid=%E0) must not throw: this also runs on WebSocket upgrades, outside Express
+function decodeCookie(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return null;
+    }
+}
+
+function parseCookies(header) {
+    return Object.fromEntries((header || '').split(';')
+        .map(part => part.trim().split('='))
+        .filter(([name, value]) => name && value !== undefined)
+        .map(([name, ...rest]) => [name, decodeCookie(rest.join('='))])
+        .filter(([, value]) => value !== null));
+}
+
+// Only a hash of the session token is stored, so a leaked database can't be replayed as cookies
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hasRole = (user, role) => ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// Users without branches are unrestricted; supervisors and admins see everything
+function canAccessBranch(user, branchId) {
+    if (!user) return false;
+    if (hasRole(user, 'supervisor') || !user.branches?.length) return true;
+    return Boolean(branchId) && user.branches.includes(branchId);
+}
+
+// Null means "no restriction" for store queries
+const branchScope = (user) => (hasRole(user, 'supervisor') || !user.branches?.length ? null : user.branches);
+
+// Every user works for one tenant; its conversations are all they can ever see, even as admin
+const canAccessConversation = (user, conversation) => Boolean(user && conversation) &&
+    conversation.tenantId === user.tenantId && canAccessBranch(user, conversation.branchId);
+
+const publicUser = (user) => ({
+    username: user.username,
+    displayName: user.displayName,
+    role: user.role,
+    branches: user.branches || [],
+    tenantId: user.tenantId || null
+});
+
+// Checked against for unknown usernames so they take as long as wrong passwords
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// getTenant(id) -> the user's tenant, or null once it is no longer configured (its users can't log in then);
+// requireAuth puts it on req.tenant
+function createAuth({ store, getTenant, sessionTtlHours = 12 }) {
+    // tenantId, when the login page belongs to one tenant, turns away the other tenants' users
+    function login(username, password, { tenantId = null } = {}) {
+        const user = store.getUser(username);
+        const valid = verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+        if (!user || !valid || !getTenant(user.tenantId) || (tenantId && user.tenantId !== tenantId)) return null;
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + sessionTtlHours * 60 * 60 * 1000).toISOString();
+        store.createSession({ id: hashToken(token), username: user.username, expiresAt });
+        return { token, expiresAt, user: publicUser(user) };
+    }
+
+    // Works for both Express requests and raw WebSocket upgrade requests
+    function authenticate(req) {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (!token) return null;
+        const session = store.getSession(hashToken(token));
+        if (!session || session.expiresAt < new Date().toISOString()) return null;
+        const user = store.getUser(session.username);
+        return user && getTenant(user.tenantId) ? publicUser(user) : null;
+    }
+
+    function logout(req) {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (token) store.deleteSession(hashToken(token));
+    }
+
+    function sessionCookie(req, token, expiresAt) {
+        const attributes = [`${SESSION_COOKIE}=${token}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Expires=${new Date(expiresAt).toUTCString()}`];
+        if (req.secure) attributes.push('Secure');
+        return attributes.join('; ');
+    }
+
+    const clearCookie = () => `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Expires=Thu, 01 Jan 1970 00:00:00 GMT`;
+
+    // Browsers asking for a page get redirected to the login form; API callers get a 401
+    function requireAuth(req, res, next) {
+        const user = authenticate(req);
+        if (!user) {
+            if (req.method === 'GET' && !req.path.startsWith('/api/')) return res.redirect('/login');
+            return res.status(401).send('Unauthorized');
+        }
+        req.user = user;
+        req.tenant = getTenant(user.tenantId);
+        next();
+    }
+
+    const requireRole = (role) => (req, res, next) => requireAuth(req, res, () => {
+        if (!hasRole(req.user, role)) return res.status(403).send('Forbidden');
+        next();
+    });
+
+    return { login, logout, authenticate, sessionCookie, clearCookie, requireAuth, requireRole };
+}
+
+// Failed logins per key (client IP, username) in a sliding window; past maxAttempts the key is locked out
+// until its oldest failure leaves the window. In memory: a restart forgets them.
+function createLoginLimiter({ maxAttempts = 10, windowMinutes = 15, now = Date.now } = {}) {
+    const windowMs = windowMinutes * 60 * 1000;
+    const failures = new Map(); // key -> failure times (ms), oldest first
+
+    function recent(key, currentTime) {
+        const times = (failures.get(key) || []).filter(time => time > currentTime - windowMs);
+        if (times.length) failures.set(key, times);
+        else failures.delete(key);
+        return times;
+    }
+
+    // -> seconds until the first key is let in again, 0 if none is locked out
+    function retryAfter(keys) {
+        const currentTime = now();
+        return Math.max(0, ...keys.map(key => {
+            const times = recent(key, currentTime);
+            return times.length >= maxAttempts ? Math.ceil((times[times.length - maxAttempts] + windowMs - currentTime) / 1000) : 0;
+        }));
+    }
+
+    function recordFailure(keys) {
+        const currentTime = now();
+        keys.forEach(key => failures.set(key, [...recent(key, currentTime), currentTime]));
+    }
+
+    const reset = (keys) => keys.forEach(key => failures.delete(key));
+
+    return { retryAfter, recordFailure, reset };
+}
+
+module.exports = {
+    ROLES,
+    createAuth,
+    createLoginLimiter,
+    parseCookies,
+    hashPassword,
+    verifyPassword,
+    hasRole,
+    canAccessBranch,
+    canAccessConversation,
+    branchScope,
+    publicUser
+};
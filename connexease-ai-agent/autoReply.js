@@ -0,0 +1,57 @@
+// autoReply.js - Decides when the bot may answer a customer on its own instead of waiting for an agent
+//
+// A reply goes out automatically when auto-reply is switched on, no human has taken the conversation,
+// the bot hasn't used up its turns, the intent is on the allow-list and the model is confident enough.
+// Outside business hours a lower confidence is accepted, since otherwise nobody answers at all.
+// A draft with a blocking guardrail finding (see guardrails.js) is never sent, whatever the confidence.
+// Anything that fails those checks is handed off to a human and flagged on the dashboard.
+const { INTENTS } = require('./intents');
+const { BLOCK } = require('./guardrails');
+
+// Reasons that don't need a new handoff flag: the bot is simply not in charge of the conversation
+const PASSIVE_REASONS = new Set(['disabled', 'human_engaged', 'awaiting_human']);
+
+function createAutoReplyPolicy({
+    enabled = false,
+    minConfidence = 0.85,
+    afterHoursMinConfidence = 0.6,
+    allowedIntents = ['address', 'treatment_info'],
+    maxBotTurns = 3
+} = {}) {
+    const unknownIntents = allowedIntents.filter(intent => !INTENTS.includes(intent));
+    if (unknownIntents.length > 0) {
+        throw new Error(`Unknown auto-reply intent(s): ${unknownIntents.join(', ')}`);
+    }
+
+    // The kill switch lives in memory; a restart falls back to the configured default
+    let active = enabled;
+
+    function evaluate({ conversation, confidence, intent, warnings = [], open }) {
+        if (!active) return 'disabled';
+        if (conversation.humanEngaged) return 'human_engaged';
+        if (conversation.handoff) return 'awaiting_human';
+        const blocking = warnings.filter(warning => warning.severity === BLOCK);
+        if (blocking.some(warning => warning.code === 'emergency')) return 'emergency';
+        if (blocking.length > 0) return 'guardrail';
+        if ((conversation.botTurns || 0) >= maxBotTurns) return 'bot_turn_limit';
+        if (!allowedIntents.includes(intent)) return 'intent_not_allowed';
+        if (!(confidence >= (open ? minConfidence : afterHoursMinConfidence))) return 'low_confidence';
+        return null;
+    }
+
+    // -> { send, handoff, reason }
+    function decide(context) {
+        const blocked = evaluate(context);
+        if (blocked) return { send: false, handoff: !PASSIVE_REASONS.has(blocked), reason: blocked };
+        return { send: true, handoff: false, reason: context.open ? 'confident' : 'after_hours' };
+    }
+
+    return {
+        decide,
+        isEnabled: () => active,
+        setEnabled: (value) => { active = Boolean(value); },
+        settings: () => ({ enabled: active, minConfidence, afterHoursMinConfidence, allowedIntents, maxBotTurns })
+    };
+}
+
+module.exports = { createAutoReplyPolicy };
@@ -0,0 +1,66 @@
+// branchLocations.js - Branch coordinates and nearest-branch lookup for location pins customers share
+//
+// ŞUBE DOKTOR.xlsx has street addresses only, so coordinates live here, keyed by catalog branch id.
+// They are approximate (street level, read off the addresses): good enough to pick the nearest branch,
+// not for turn-by-turn directions. A catalog branch with its own `location` takes precedence.
+const BRANCH_COORDINATES = {
+    bakirkoy: { latitude: 40.9786, longitude: 28.8718 },
+    nisantasi: { latitude: 41.0521, longitude: 28.9937 },
+    kadikoy: { latitude: 40.9602, longitude: 29.0829 },
+    beylikduzu: { latitude: 41.0014, longitude: 28.6423 },
+    pendik: { latitude: 40.8931, longitude: 29.2539 },
+    fatih: { latitude: 41.0134, longitude: 28.9301 },
+    umraniye: { latitude: 41.0248, longitude: 29.1052 },
+    ankara: { latitude: 39.8861, longitude: 32.8557 },
+    konyaalti: { latitude: 36.8829, longitude: 30.6661 },
+    izmir: { latitude: 38.4372, longitude: 27.1438 },
+    gaziantep: { latitude: 37.0751, longitude: 37.3598 },
+    bursa: { latitude: 40.2231, longitude: 28.9819 },
+    mugla: { latitude: 37.2151, longitude: 28.3602 },
+    samsun: { latitude: 41.3331, longitude: 36.2698 },
+    denizli: { latitude: 37.7449, longitude: 29.1001 },
+    mersin: { latitude: 36.7902, longitude: 34.5448 },
+    kocaeli: { latitude: 40.7601, longitude: 29.9348 },
+    adana: { latitude: 36.9951, longitude: 35.3249 },
+    diyarbakir: { latitude: 37.9229, longitude: 40.1951 },
+    konya: { latitude: 37.8861, longitude: 32.5201 },
+    kayseri: { latitude: 38.7201, longitude: 35.4869 }
+};
+
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_NEAREST_COUNT = 3;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in kilometres
+function distanceKm(from, to) {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+const branchLocation = (branch) => branch.location || BRANCH_COORDINATES[branch.id] || null;
+
+function isValidPoint(point) {
+    return Boolean(point)
+        && Number.isFinite(point.latitude) && Math.abs(point.latitude) <= 90
+        && Number.isFinite(point.longitude) && Math.abs(point.longitude) <= 180;
+}
+
+// Open branches closest to the point -> [{ branchId, name, distanceKm }], nearest first
+function nearestBranches(catalog, point, count = DEFAULT_NEAREST_COUNT) {
+    if (!catalog || !isValidPoint(point)) return [];
+    return catalog.branches
+        .filter(branch => !branch.closed && branchLocation(branch))
+        .map(branch => ({
+            branchId: branch.id,
+            name: branch.name,
+            distanceKm: Math.round(distanceKm(point, branchLocation(branch)) * 10) / 10
+        }))
+        .sort((a, b) => a.distanceKm - b.distanceKm)
+        .slice(0, count);
+}
+
+module.exports = { BRANCH_COORDINATES, distanceKm, branchLocation, isValidPoint, nearestBranches };
@@ -0,0 +1,54 @@
+// businessHours.js - Opening-hours checks against the catalog's weekly branch schedules
+//
+// Schedules look like { mon: { open: '09:00', close: '18:00' }, ..., sun: null } (see preprocessData.js)
+
+// All clinics are in Turkey
+const TIME_ZONE = 'Europe/Istanbul';
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// "STANDART 6 GÜN 09:00/18:00", what most branches use; applied when a conversation has no branch yet
+const DEFAULT_SCHEDULE = Object.fromEntries(WEEKDAYS.map(day =>
+    [day, day === 'sun' ? null : { open: '09:00', close: '18:00' }]));
+
+const toMinutes = (hhmm) => {
+    const [hours, minutes] = hhmm.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Weekday key and minutes since midnight in the clinics' time zone
+function localTime(date = new Date(), timeZone = TIME_ZONE) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    return { day: parts.weekday.toLowerCase().slice(0, 3), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+// Calendar date ("2026-10-19") in the clinics' time zone
+function localDate(date = new Date(), timeZone = TIME_ZONE) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+// Local wall-clock time ("2026-10-20", "14:30") -> Date, using the zone's offset on that day
+function zonedDateTime(isoDate, hhmm, timeZone = TIME_ZONE) {
+    const guess = new Date(`${isoDate}T${hhmm}:00Z`);
+    const offset = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+        .formatToParts(guess).find(part => part.type === 'timeZoneName').value; // "GMT+03:00"
+    const [, sign, hours, minutes] = offset.match(/GMT([+-])(\d{2}):(\d{2})/) || [null, '+', '00', '00'];
+    const offsetMinutes = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+    return new Date(guess.getTime() - offsetMinutes * 60 * 1000);
+}
+
+function isOpenAt(schedule, date = new Date(), timeZone = TIME_ZONE) {
+    if (!schedule) return false;
+    const { day, minutes } = localTime(date, timeZone);
+    const hours = schedule[day];
+    return Boolean(hours) && minutes >= toMinutes(hours.open) && minutes < toMinutes(hours.close);
+}
+
+// Closed branches are never open; unknown branches fall back to the standard schedule
+function isBranchOpen(branch, date = new Date(), timeZone = TIME_ZONE) {
+    if (branch?.closed) return false;
+    return isOpenAt(branch ? branch.hours?.schedule : DEFAULT_SCHEDULE, date, timeZone);
+}
+
+module.exports = { TIME_ZONE, WEEKDAYS, DEFAULT_SCHEDULE, toMinutes, localTime, localDate, zonedDateTime, isOpenAt, isBranchOpen };
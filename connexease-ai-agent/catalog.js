@@ -0,0 +1,129 @@
+// catalog.js - Structured branch/doctor/treatment catalog produced by preprocessData.js
+const fs = require('fs').promises;
+const path = require('path');
+
+const CATALOG_FILE = path.join(__dirname, 'catalog.json');
+
+const TURKISH_FOLD = { 'ç': 'c', 'ğ': 'g', 'ı': 'i', 'ö': 'o', 'ş': 's', 'ü': 'u', 'â': 'a', 'î': 'i', 'û': 'u' };
+
+// Lowercases with Turkish rules and folds diacritics, keeping punctuation ("12.11", "14:30")
+function foldTurkish(text) {
+    return (text || '')
+        .toLocaleLowerCase('tr-TR')
+        .replace(/[çğıöşüâîû]/g, char => TURKISH_FOLD[char])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+// Folded and reduced to words so "KADIKÖY'de" and "kadikoyde" compare equal
+function normalizeText(text) {
+    return foldTurkish(text).replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function slugify(text) {
+    return normalizeText(text).replace(/\s+/g, '-');
+}
+
+const GENERIC_WORDS = new Set(['tedavisi', 'tedavi']);
+
+// Turkish is agglutinative ("varisim", "kadıköydeki"), so longer terms match as word prefixes
+const tokenMatches = (tokens, term) => tokens.some(token => token === term || (term.length >= 4 && token.startsWith(term)));
+
+async function loadCatalog(filePath = CATALOG_FILE) {
+    const catalog = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    if (catalog.errors?.length) {
+        console.warn(`⚠️  Catalog has ${catalog.errors.length} validation error(s); run preprocessData.js for details`);
+    }
+    return catalog;
+}
+
+function findBranches(catalog, text) {
+    const tokens = normalizeText(text).split(' ');
+    return catalog.branches.filter(branch => normalizeText(branch.name).split(' ').every(term => tokenMatches(tokens, term)));
+}
+
+// Surnames like "Ocak" or "Güner" are ordinary words, so a doctor only matches on two
+// adjacent name parts or a surname next to "dr", "bey", "hanım" or "hoca"
+function findDoctors(catalog, text) {
+    const normalized = ` ${normalizeText(text)} `;
+    const matches = [];
+
+    catalog.branches.forEach(branch => branch.doctors.forEach(doctor => {
+        const parts = normalizeText(doctor.name).split(' ');
+        const surname = parts[parts.length - 1];
+        const pairs = parts.slice(1).map((part, index) => `${parts[index]} ${part}`);
+        const honorific = new RegExp(` (?:dr ${surname}|${surname} (?:bey|hanim|hoca))`);
+
+        if (pairs.some(pair => normalized.includes(` ${pair}`)) || honorific.test(normalized)) {
+            matches.push({ ...doctor, branchId: branch.id, branchName: branch.name });
+        }
+    }));
+    return matches;
+}
+
+function findTreatments(catalog, text) {
+    const tokens = normalizeText(text).split(' ');
+    return catalog.treatments.filter(treatment => {
+        // "ANAL FİSSÜR (MAKAT ÇATLAĞI)" is searchable by either name
+        const names = treatment.name.split(/[()]/).map(normalizeText).filter(Boolean);
+        return names.some(name => {
+            const terms = name.split(' ');
+            const specific = terms.filter(term => !GENERIC_WORDS.has(term));
+            const required = specific.join('').length >= 4 ? specific : terms;
+            return required.every(term => tokenMatches(tokens, term));
+        });
+    });
+}
+
+function describeBranch(branch) {
+    if (branch.closed) {
+        return `ŞUBE: ${branch.name}\nDurum: Şube şu anda hizmet vermiyor (KAPALI).`;
+    }
+    const doctors = branch.doctors.map(doctor => `${doctor.fullName} (${doctor.specialty})`).join(', ');
+    return [
+        `ŞUBE: ${branch.name}`,
+        `Adres: ${branch.address}`,
+        branch.phone ? `Telefon: ${branch.phone}` : null,
+        branch.directions ? `Adres tarifi: ${branch.directions}` : null,
+        `Çalışma saatleri: ${branch.hours.raw}`,
+        `Hekimler: ${doctors}`
+    ].filter(Boolean).join('\n');
+}
+
+function describeDoctor(doctor) {
+    return `HEKİM: ${doctor.fullName} - ${doctor.specialty} - ${doctor.branchName} şubesi`;
+}
+
+function describeTreatment(treatment) {
+    const faq = treatment.faq.map(entry => `S: ${entry.question}\nC: ${entry.answer}`).join('\n');
+    return [`TEDAVİ: ${treatment.name}`, treatment.description, faq].filter(Boolean).join('\n');
+}
+
+// Exact catalog records for whatever branches, doctors and treatments the message mentions
+function buildCatalogContext(catalog, text) {
+    if (!catalog) return '';
+
+    const doctors = findDoctors(catalog, text);
+    const branchIds = new Set([...findBranches(catalog, text).map(branch => branch.id), ...doctors.map(doctor => doctor.branchId)]);
+    const entries = [
+        ...catalog.branches.filter(branch => branchIds.has(branch.id)).map(describeBranch),
+        ...doctors.map(describeDoctor),
+        ...findTreatments(catalog, text).map(describeTreatment)
+    ];
+    return entries.join('\n\n');
+}
+
+module.exports = {
+    CATALOG_FILE,
+    loadCatalog,
+    foldTurkish,
+    normalizeText,
+    slugify,
+    findBranches,
+    findDoctors,
+    findTreatments,
+    describeBranch,
+    describeDoctor,
+    describeTreatment,
+    buildCatalogContext
+};
@@ -0,0 +1,73 @@
+// connexease.js - Connexease API client for one account: JWT login, sending messages and downloading attachments
+const axios = require('axios');
+
+const TOKEN_TTL_MS = 23.5 * 60 * 60 * 1000;
+const DEFAULT_DOWNLOAD_TIMEOUT_MS = 30000;
+
+// name only labels the log lines, so several accounts can be told apart
+function createConnexeaseClient({ apiUrl, username, password, name = 'Connexease', downloadTimeoutMs = DEFAULT_DOWNLOAD_TIMEOUT_MS }) {
+    let token = null;
+    let tokenExpiresAt = null;
+
+    async function getToken() {
+        if (token && tokenExpiresAt && new Date() < tokenExpiresAt) {
+            return token;
+        }
+        console.log(`Fetching new ${name} token...`);
+        try {
+            const response = await axios.post(`${apiUrl}/jwt/`, { username, password });
+            token = response.data.token;
+            tokenExpiresAt = new Date(Date.now() + TOKEN_TTL_MS);
+            console.log(`${name} token refreshed successfully.`);
+            return token;
+        } catch (error) {
+            console.error(`FATAL: Could not get ${name} JWT:`, error.response?.data);
+            return null;
+        }
+    }
+
+    // -> the created message as Connexease returns it; throws when it could not be sent
+    async function sendMessage(conversationId, content, { isPrivate = false } = {}) {
+        const accessToken = await getToken();
+        if (!accessToken) throw new Error(`No ${name} token`);
+        const response = await axios.post(
+            `${apiUrl}/api/v1/conversations/${conversationId}/messages`,
+            { message: { content, private: isPrivate } },
+            { headers: { 'Content-Type': 'application/json', 'api_access_token': accessToken } }
+        );
+        return response.data || {};
+    }
+
+    // Attachment URLs need the API token, which is only ever sent to the Connexease API host itself
+    async function downloadFile(url, { maxBytes }) {
+        const base = new URL(apiUrl);
+        const target = new URL(url, base);
+        if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+            throw new Error(`Unsupported attachment URL ${target.protocol}`);
+        }
+        const headers = {};
+        if (target.origin === base.origin) {
+            const accessToken = await getToken();
+            if (!accessToken) throw new Error(`No ${name} token`);
+            headers.api_access_token = accessToken;
+        }
+        const response = await axios.get(target.href, {
+            headers,
+            responseType: 'arraybuffer',
+            maxContentLength: maxBytes,
+            timeout: downloadTimeoutMs,
+            // Redirects keep custom headers, so the token is dropped as soon as one leaves the API origin
+            beforeRedirect: (options) => {
+                if (`${options.protocol}//${options.host}` === base.origin) return;
+                Object.keys(options.headers || {})
+                    .filter(header => header.toLowerCase() === 'api_access_token')
+                    .forEach(header => delete options.headers[header]);
+            }
+        });
+        return { data: Buffer.from(response.data), contentType: response.headers['content-type'] };
+    }
+
+    return { getToken, sendMessage, downloadFile };
+}
+
+module.exports = { createConnexeaseClient };
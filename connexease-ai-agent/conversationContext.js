@@ -0,0 +1,91 @@
+// conversationContext.js - Token-budgeted conversation window for suggestion prompts
+const { findBranches, findDoctors, findTreatments } = require('./catalog');
+const { describeAttachment } = require('./attachments');
+
+const DEFAULT_TOKEN_BUDGET = 1500;
+const SUMMARY_SNIPPET_LENGTH = 60;
+const SUMMARY_MAX_LENGTH = 400;
+const RETRIEVAL_TURNS = 3;
+
+const SPEAKERS = { customer: 'Müşteri', agent: 'Temsilci', bot: 'Asistan' };
+
+// Rough GPT tokenizer estimate; good enough for budgeting Turkish text
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Photos, voice notes and location pins are described in words next to any caption
+const messageText = (message) => [message.content, ...(message.attachments || []).map(describeAttachment)].filter(Boolean).join(' ');
+
+const formatTurn = (message) => `[${message.timestamp || '--:--'}] ${SPEAKERS[message.sender] || message.sender}: ${messageText(message)}`;
+
+function describeCustomer(customer) {
+    if (!customer) return 'Bilinmiyor';
+    return [
+        customer.name ? `Ad: ${customer.name}` : null,
+        customer.phone_number ? `Telefon: ${customer.phone_number}` : null,
+        customer.email ? `E-posta: ${customer.email}` : null
+    ].filter(Boolean).join(', ') || 'Bilinmiyor';
+}
+
+// Older turns are condensed to the catalog entities they mention plus short customer snippets
+function summarizeTurns(messages, catalog) {
+    if (messages.length === 0) return '';
+
+    const text = messages.map(messageText).join('\n');
+    const mentions = catalog ? [
+        ...findBranches(catalog, text).map(branch => `şube ${branch.name}`),
+        ...findDoctors(catalog, text).map(doctor => doctor.fullName),
+        ...findTreatments(catalog, text).map(treatment => `tedavi ${treatment.name}`)
+    ] : [];
+    const snippets = messages
+        .filter(message => message.sender === 'customer')
+        .map(messageText)
+        .map(text => text.length > SUMMARY_SNIPPET_LENGTH ? `${text.slice(0, SUMMARY_SNIPPET_LENGTH)}…` : text);
+
+    const summary = [
+        `${messages.length} önceki mesaj.`,
+        mentions.length ? `Bahsedilenler: ${[...new Set(mentions)].join(', ')}.` : null,
+        snippets.length ? `Müşteri yazdıkları: ${snippets.join(' | ')}` : null
+    ].filter(Boolean).join(' ');
+
+    return summary.length > SUMMARY_MAX_LENGTH ? `${summary.slice(0, SUMMARY_MAX_LENGTH)}…` : summary;
+}
+
+// Newest turns are kept verbatim until the budget runs out; everything older is summarised
+function buildConversationContext(conversation, catalog, tokenBudget = DEFAULT_TOKEN_BUDGET) {
+    // Private agent notes are internal and must never leak into a customer-facing draft
+    const messages = conversation.messages.filter(message => messageText(message) && !message.private);
+    const recent = [];
+    let used = 0;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const cost = estimateTokens(formatTurn(messages[i]));
+        // Always keep the latest message, even if it alone exceeds the budget
+        if (recent.length > 0 && used + cost > tokenBudget) break;
+        recent.unshift(messages[i]);
+        used += cost;
+    }
+
+    const older = messages.slice(0, messages.length - recent.length);
+    const latestCustomerMessage = [...messages].reverse().find(message => message.sender === 'customer');
+    const summary = summarizeTurns(older, catalog);
+
+    const transcript = [
+        `Müşteri profili: ${describeCustomer(conversation.customer)}`,
+        summary ? `Önceki konuşma özeti: ${summary}` : null,
+        'Konuşma geçmişi:',
+        ...recent.map(formatTurn),
+        '',
+        `Yanıtlanacak son müşteri mesajı: "${latestCustomerMessage ? messageText(latestCustomerMessage) : ''}"`
+    ].filter(line => line !== null).join('\n');
+
+    // Short follow-ups like "Kadıköy" only make sense together with the previous customer turns
+    const retrievalQuery = messages
+        .filter(message => message.sender === 'customer')
+        .slice(-RETRIEVAL_TURNS)
+        .map(messageText)
+        .join('\n');
+
+    return { transcript, retrievalQuery, latestCustomerMessage, summarizedCount: older.length };
+}
+
+module.exports = { buildConversationContext, estimateTokens, messageText };
@@ -0,0 +1,268 @@
+// evaluate.js - Offline evaluation of suggestions: replays curated customer questions and scores the drafts
+//
+// Each question in evalQuestions.json runs through the same pipeline as the server (suggestionPipeline.js)
+// and the draft is checked by rules: required facts present, 50-150 words (prompt rule 3), and no
+// forbidden claims (guardrails.js findings plus the question's own forbidden phrases). With a candidate
+// prompt or knowledge base the report compares it to the baseline question by question.
+//
+//   npm run eval                                        # current prompt and catalog.json, local mock model
+//   npm run eval -- --provider openai:gpt-5-nano        # any MODEL_PROVIDERS entry
+//   npm run eval -- --candidate-prompt ./prompt.js      # module exporting buildInstructions(context)
+//   npm run eval -- --candidate-kb 20261019T184900123-a1b2c3 --json report.json --fail-on-regression
+//
+// --baseline-kb / --candidate-kb take a catalog.json path or a knowledge base version id (storage/knowledge-base).
+// --tenant <id> evaluates another tenant's prompt, knowledge base and brand (see tenants.js); the default tenant otherwise.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { normalizeText } = require('./catalog');
+const { buildChunks, buildIndex } = require('./retrieval');
+const { analyzeMessage } = require('./intents');
+const { createProviders, createModelClient } = require('./models');
+const { loadInstructions, createSuggestionPipeline } = require('./suggestionPipeline');
+const { loadTenants } = require('./tenants');
+const { checkSuggestion, isBlocking } = require('./guardrails');
+
+const QUESTIONS_FILE = path.join(__dirname, 'evalQuestions.json');
+const VERSION_ID_PATTERN = /^\d{8}T\d{9}-[0-9a-f]{6}$/;
+const WORD_RANGE = [50, 150];
+const MOCK_WORDS = 90;
+
+// Local stand-in that answers from the knowledge base chunks in the prompt, best first, so checks mean something
+// offline and a knowledge base change shows up in the scores; models.js's mock only echoes the input
+function createExtractiveProvider() {
+    return {
+        name: 'extractive',
+        model: 'mock',
+        async generate({ instructions }) {
+            const knowledge = instructions.split('BİLGİ BANKASI (ilgili bölümler):')[1] || '';
+            const facts = knowledge.trim().split('\n\n')
+                .flatMap(chunk => chunk.split('\n').slice(1).join(' ').split(/\s+/).filter(Boolean))
+                .slice(0, MOCK_WORDS).join(' ');
+            const reply = facts
+                ? `Merhaba, ${facts} Başka bir sorunuz olursa memnuniyetle yardımcı oluruz.`
+                : 'Merhaba, bu konuda bilgi bankamızda bilgi bulunmuyor; temsilcimiz kontrol edip size dönüş yapacak.';
+            return { text: JSON.stringify({ reply, confidence: facts ? 0.6 : 0.2 }), usage: null };
+        }
+    };
+}
+
+function createEvalModels(spec) {
+    const providers = spec === 'extractive' ? [createExtractiveProvider()] : createProviders(spec);
+    return createModelClient({
+        providers,
+        timeoutMs: parseInt(process.env.MODEL_TIMEOUT_MS || '20000', 10),
+        retries: parseInt(process.env.MODEL_RETRIES || '2', 10)
+    });
+}
+
+// A catalog.json path (or a folder with one), or a version id of the tenant's knowledge base; its live catalog by default
+function loadKnowledge(spec, tenant) {
+    const file = !spec ? tenant.knowledgeBase.catalogFile
+        : VERSION_ID_PATTERN.test(spec) ? path.join(tenant.knowledgeBase.versionsDir, spec, 'catalog.json')
+        : fs.existsSync(spec) && fs.statSync(spec).isDirectory() ? path.join(spec, 'catalog.json')
+        : path.resolve(spec);
+    const catalog = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return { label: spec || 'catalog.json', catalog, index: buildIndex(buildChunks(catalog)) };
+}
+
+// A module exporting buildInstructions(context); the tenant's prompt by default
+function loadPrompt(spec, tenant) {
+    return { label: spec || 'current', instructions: loadInstructions(spec || tenant.prompt) };
+}
+
+// The conversation as the server would have it: messages analyzed (by keywords, so runs are repeatable) and routed
+async function buildConversation(question, catalog) {
+    const messages = [];
+    let branchId = null;
+    for (const [index, entry] of question.messages.entries()) {
+        const message = typeof entry === 'string' ? { sender: 'customer', content: entry } : { ...entry };
+        if (message.sender === 'customer') {
+            const analysis = await analyzeMessage(catalog, message.content, { classify: null });
+            Object.assign(message, { intent: analysis.intent, entities: analysis.entities });
+            const branchIds = [...new Set([...analysis.entities.branches.map(branch => branch.id), ...analysis.entities.doctors.map(doctor => doctor.branchId)])];
+            if (!branchId && branchIds.length === 1) branchId = branchIds[0];
+        }
+        messages.push({ id: index + 1, timestamp: '10:00', ...message });
+    }
+    return { id: `eval:${question.id}`, customer: { name: 'Değerlendirme' }, branchId, messages };
+}
+
+// "Bağdat" matches "BAĞDAT CAD." but "420" doesn't match "1420"
+const mentions = (text, phrase) => ` ${normalizeText(text)} `.includes(` ${normalizeText(phrase)} `);
+
+// -> [{ check, passed, detail }]; a required fact is a phrase or a list of alternatives
+function scoreSuggestion(question, suggestion, catalog) {
+    const missing = (question.required || []).map(fact => [].concat(fact))
+        .filter(alternatives => !alternatives.some(phrase => mentions(suggestion, phrase)))
+        .map(alternatives => alternatives.join(' / '));
+    const words = suggestion.split(/\s+/).filter(Boolean).length;
+    const [minWords, maxWords] = question.words || WORD_RANGE;
+    const allowed = new Set(question.allow || []);
+    const findings = checkSuggestion(catalog, suggestion).filter(finding => !allowed.has(finding.code));
+    const claims = [
+        ...findings.filter(finding => isBlocking([finding])).map(finding => `${finding.code}: ${finding.evidence}`),
+        ...(question.forbidden || []).filter(phrase => mentions(suggestion, phrase)).map(phrase => `forbidden: ${phrase}`)
+    ];
+
+    return [
+        { check: 'facts', passed: missing.length === 0, detail: missing.length ? `missing ${missing.join(', ')}` : null },
+        { check: 'words', passed: words >= minWords && words <= maxWords, detail: `${words} words` },
+        { check: 'claims', passed: claims.length === 0, detail: claims.length ? claims.join('; ') : null }
+    ];
+}
+
+async function runVariant({ questions, models, tenant, knowledge, prompt }) {
+    const pipeline = createSuggestionPipeline({
+        models,
+        getKnowledge: () => knowledge,
+        brand: tenant.brand,
+        language: tenant.language,
+        locale: tenant.locale,
+        timeZone: tenant.timeZone,
+        topK: parseInt(process.env.RETRIEVAL_TOP_K || '6', 10),
+        tokenBudget: parseInt(process.env.CONTEXT_TOKEN_BUDGET || '1500', 10),
+        instructions: prompt.instructions
+    });
+
+    const results = [];
+    for (const question of questions) {
+        try {
+            const reply = await pipeline.suggest(await buildConversation(question, knowledge.catalog));
+            const checks = scoreSuggestion(question, reply.suggestion, knowledge.catalog);
+            const score = checks.filter(check => check.passed).length / checks.length;
+            results.push({ id: question.id, category: question.category, score, passed: score === 1, checks, suggestion: reply.suggestion, chunkIds: reply.chunkIds, latencyMs: reply.latencyMs });
+        } catch (error) {
+            results.push({ id: question.id, category: question.category, score: 0, passed: false, checks: [], error: error.message });
+        }
+    }
+    return { prompt: prompt.label, kb: knowledge.label, results, summary: summarize(results) };
+}
+
+function summarize(results) {
+    const categories = {};
+    results.forEach(result => {
+        const category = categories[result.category] || (categories[result.category] = { passed: 0, total: 0 });
+        category.total++;
+        if (result.passed) category.passed++;
+    });
+    return {
+        passed: results.filter(result => result.passed).length,
+        total: results.length,
+        meanScore: Math.round(results.reduce((sum, result) => sum + result.score, 0) / Math.max(results.length, 1) * 1000) / 1000,
+        categories
+    };
+}
+
+// Per question: worse in the candidate is a regression, better an improvement
+function compareVariants(baseline, candidate) {
+    const byId = new Map(candidate.results.map(result => [result.id, result]));
+    const rows = baseline.results.map(result => ({ id: result.id, baseline: result.score, candidate: byId.get(result.id)?.score ?? 0 }));
+    return {
+        rows,
+        regressions: rows.filter(row => row.candidate < row.baseline).map(row => row.id),
+        improvements: rows.filter(row => row.candidate > row.baseline).map(row => row.id)
+    };
+}
+
+const formatScore = (score) => score.toFixed(2);
+const checkCell = (result, name) => {
+    if (result.error) return '💥';
+    const check = result.checks.find(candidate => candidate.check === name);
+    return check.passed ? '✅' : `❌ ${check.detail}`;
+};
+
+function formatSummary(title, variant) {
+    const { passed, total, meanScore, categories } = variant.summary;
+    return [
+        `### ${title}: prompt ${variant.prompt}, knowledge base ${variant.kb}`,
+        '',
+        `Passed ${passed}/${total} · mean score ${formatScore(meanScore)} · ${Object.entries(categories).map(([category, counts]) => `${category} ${counts.passed}/${counts.total}`).join(', ')}`,
+        ''
+    ];
+}
+
+// Markdown, so the report can be pasted into a pull request
+function formatReport({ provider, baseline, candidate, comparison }) {
+    const lines = [`## Suggestion evaluation (${provider})`, '', ...formatSummary('Baseline', baseline)];
+    if (!candidate) {
+        lines.push('| Question | Facts | Words | Claims | Score |', '|---|---|---|---|---|');
+        baseline.results.forEach(result => lines.push(
+            `| ${result.id} | ${checkCell(result, 'facts')} | ${checkCell(result, 'words')} | ${checkCell(result, 'claims')} | ${formatScore(result.score)} |`));
+        baseline.results.filter(result => result.error).forEach(result => lines.push('', `💥 ${result.id}: ${result.error}`));
+        return lines.join('\n');
+    }
+
+    lines.push(...formatSummary('Candidate', candidate));
+    const candidateById = new Map(candidate.results.map(result => [result.id, result]));
+    lines.push('| Question | Baseline | Candidate | Δ | Candidate failures |', '|---|---|---|---|---|');
+    comparison.rows.forEach(row => {
+        const result = candidateById.get(row.id);
+        const failures = result.error ? `💥 ${result.error}` : result.checks.filter(check => !check.passed).map(check => `${check.check}: ${check.detail}`).join('; ');
+        const delta = row.candidate - row.baseline;
+        lines.push(`| ${row.id} | ${formatScore(row.baseline)} | ${formatScore(row.candidate)} | ${delta === 0 ? '' : `${delta > 0 ? '+' : ''}${formatScore(delta)}`} | ${failures} |`);
+    });
+    lines.push('', `Regressions: ${comparison.regressions.join(', ') || 'none'}`, `Improvements: ${comparison.improvements.join(', ') || 'none'}`);
+    return lines.join('\n');
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            questions: { type: 'string', default: QUESTIONS_FILE },
+            provider: { type: 'string', default: 'extractive' },
+            tenant: { type: 'string' },
+            only: { type: 'string' },
+            'baseline-prompt': { type: 'string' },
+            'baseline-kb': { type: 'string' },
+            'candidate-prompt': { type: 'string' },
+            'candidate-kb': { type: 'string' },
+            json: { type: 'string' },
+            'fail-on-regression': { type: 'boolean', default: false }
+        }
+    });
+
+    // --only takes question ids or categories
+    const only = values.only ? values.only.split(',').map(entry => entry.trim()) : null;
+    const questions = JSON.parse(fs.readFileSync(values.questions, 'utf-8'))
+        .filter(question => !only || only.includes(question.id) || only.includes(question.category));
+    const tenants = loadTenants();
+    const tenant = values.tenant ? tenants.find(candidate => candidate.id === values.tenant) : tenants[0];
+    if (!tenant) throw new Error(`Unknown tenant "${values.tenant}"; configured: ${tenants.map(candidate => candidate.id).join(', ')}`);
+    const models = createEvalModels(values.provider);
+    const provider = models.describe().join(', ');
+
+    const baseline = await runVariant({
+        questions,
+        models,
+        tenant,
+        knowledge: loadKnowledge(values['baseline-kb'], tenant),
+        prompt: loadPrompt(values['baseline-prompt'], tenant)
+    });
+    const hasCandidate = Boolean(values['candidate-prompt'] || values['candidate-kb']);
+    const candidate = hasCandidate ? await runVariant({
+        questions,
+        models,
+        tenant,
+        knowledge: loadKnowledge(values['candidate-kb'] || values['baseline-kb'], tenant),
+        prompt: loadPrompt(values['candidate-prompt'] || values['baseline-prompt'], tenant)
+    }) : null;
+    const comparison = candidate ? compareVariants(baseline, candidate) : null;
+
+    console.log(formatReport({ provider, baseline, candidate, comparison }));
+    if (values.json) {
+        fs.writeFileSync(values.json, JSON.stringify({ provider, baseline, candidate, comparison }, null, 2) + '\n');
+        console.log(`\nFull results written to ${values.json}`);
+    }
+    if (values['fail-on-regression'] && comparison?.regressions.length) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Evaluation failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { createExtractiveProvider, loadKnowledge, buildConversation, scoreSuggestion, runVariant, compareVariants, formatReport };
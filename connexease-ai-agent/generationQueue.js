@@ -0,0 +1,83 @@
+// generationQueue.js - Per-conversation suggestion queue: debounces message bursts, drops stale work, caps model concurrency
+//
+// Customers often send three or four short messages in a row. Each one restarts the conversation's
+// debounce timer and cancels a generation already in flight, so the burst gets a single suggestion
+// that has seen every message. Jobs of one conversation run strictly one after another (a cancelled
+// job settles before the next starts), which keeps suggestion events in order on the dashboard.
+const crypto = require('crypto');
+
+const DEFAULT_DEBOUNCE_MS = 1500;
+const DEFAULT_MAX_CONCURRENT = 4;
+
+// run(conversationId, { items, generationId, signal }) does the actual work; items are whatever was enqueued
+function createGenerationQueue({ run, debounceMs = DEFAULT_DEBOUNCE_MS, maxConcurrent = DEFAULT_MAX_CONCURRENT }) {
+    // conversationId -> { pending, timer, current, chain }
+    const conversations = new Map();
+    let active = 0;
+    const waiting = [];
+
+    // Global cap on concurrent model work; a finished task hands its slot straight to the next waiter
+    async function limit(task) {
+        if (active < maxConcurrent) {
+            active++;
+        } else {
+            await new Promise(resolve => waiting.push(resolve));
+        }
+        try {
+            return await task();
+        } finally {
+            const next = waiting.shift();
+            if (next) next(); else active--;
+        }
+    }
+
+    function settle(conversationId, state, job) {
+        if (state.current === job) state.current = null;
+        if (!state.current && !state.timer && state.pending.length === 0 && conversations.get(conversationId) === state) {
+            conversations.delete(conversationId);
+        }
+    }
+
+    function flush(conversationId, state) {
+        state.timer = null;
+        const job = { id: crypto.randomUUID(), controller: new AbortController(), items: state.pending };
+        state.pending = [];
+        state.current = job;
+
+        state.chain = state.chain
+            .then(() => limit(async () => {
+                if (job.controller.signal.aborted) return; // superseded while waiting for its turn
+                await run(conversationId, { items: job.items, generationId: job.id, signal: job.controller.signal });
+            }))
+            .catch(error => console.error(`Suggestion job for ${conversationId} failed:`, error))
+            .finally(() => settle(conversationId, state, job));
+    }
+
+    function enqueue(conversationId, item) {
+        let state = conversations.get(conversationId);
+        if (!state) {
+            state = { pending: [], timer: null, current: null, chain: Promise.resolve() };
+            conversations.set(conversationId, state);
+        }
+
+        // The running job is stale now; its messages move into the next batch
+        if (state.current && !state.current.controller.signal.aborted) {
+            state.current.controller.abort();
+            state.pending.push(...state.current.items);
+        }
+        state.pending.push(item);
+
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => flush(conversationId, state), debounceMs);
+    }
+
+    return {
+        enqueue,
+        limit,
+        // True while a burst is being collected or its suggestion generated
+        isBusy: (conversationId) => conversations.has(conversationId),
+        stats: () => ({ active, waiting: waiting.length, conversations: conversations.size })
+    };
+}
+
+module.exports = { createGenerationQueue };
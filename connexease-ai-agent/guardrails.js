@@ -0,0 +1,140 @@
+// guardrails.js - Post-generation checks on AI suggestions before they reach an agent or a patient
+//
+// The prompt tells the model to use only the knowledge base; this verifies it. Doctor, branch, address
+// and treatment names in a suggestion must exist in the catalog, prices must not appear at all (the
+// knowledge base has none), and the suggestion must not diagnose or prescribe. The customer's own
+// messages are screened for emergency symptoms, which no draft should answer as routine.
+// Each finding is { code, severity, message, evidence }; 'block' findings stop auto-send.
+const { normalizeText, findBranches } = require('./catalog');
+
+const BLOCK = 'block';
+const WARN = 'warn';
+
+// "Op. Dr. HAKAN YENEL", "Prof. Dr. Kazım Beşirli", "Dr. Ayşe"
+const DOCTOR_MENTION = /(?:(?:Prof|Doç|Op|Uzm)\.?\s*)?Dr\.?\s+((?:\p{Lu}[\p{L}'’]*\s*){1,4})/gu;
+// "Kadıköy şubemiz", "KADIKÖY şubesinde"
+const BRANCH_MENTION = /([\p{L}]+)\s+şube(?:miz|mizde|mize|mizin|si|sinde|sine|sinin)?(?![\p{L}])/gu;
+const NOT_BRANCH_NAMES = new Set(['bu', 'su', 'o', 'hangi', 'diger', 'en', 'size', 'sizin', 'tum', 'her', 'ilgili', 'yakin', 'merkez', 'ana', 'bir', 'yeni', 'ayni']);
+// "Suadiye Mah.", "Bağdat Caddesi", "1476/1. Sok.", "No:420"
+const ADDRESS_PART = /([\p{L}\d/.]+)\s+(Mah\.?|Mahallesi|Cad\.?|Caddesi|Sok\.?|Sokak|Sokağı|Bulv\.?|Bulvarı)(?![\p{L}])/gu;
+const ADDRESS_NUMBER = /\bNo\s*:?\s*(\d+(?:\/\d+)?)/gu;
+const ADDRESS_SUFFIXES = { mahallesi: 'mah', caddesi: 'cad', sokak: 'sok', sokagi: 'sok', bulvari: 'bulv' };
+// "lazer tedavisi", "varis ameliyatı"
+const TREATMENT_MENTION = /([\p{L}]+)\s+(?:tedavisi|ameliyatı|operasyonu|yöntemi)(?![\p{L}])/gu;
+const NOT_TREATMENT_NAMES = new Set(['bu', 'su', 'o', 'bir', 'sizin', 'ilgili', 'uygun', 'gerekli', 'etkili', 'en', 'size', 'kalici', 'modern', 'yeni', 'her', 'hangi', 'ayni', 'gereken']);
+const PRICE = /(\d[\d.,]*\s*(?:TL|₺|lira)|₺\s*\d)/giu;
+
+// Matched against folded, punctuation-free text (see catalog.normalizeText)
+const MEDICAL_ADVICE = [
+    [/\b(?:taniniz|teshisiniz|tani koy|teshis koy)/, 'diagnosis'],
+    [/\bsizde \w+(?: \w+)? (?:var|vardir|olabilir|oldugu|gorunuyor)\b/, 'diagnosis'],
+    // Treatment descriptions mention drugs ("antibiyotik tedavisi", "damar içine ilaç verilerek"); telling the
+    // patient to take one, or talking about their prescription, is advice
+    [/\b(?:ilac|antibiyotik|agri kesici)\w* (?:kullanin|kullaniniz|kullanmalisiniz|kullanabilirsiniz|alin|aliniz|almalisiniz|alabilirsiniz|baslayin|baslamalisiniz)\b/, 'medication'],
+    [/\b(?:receteniz|dozunuz|dozajiniz)\w*/, 'medication'],
+    [/\b\d+ ?mg\b/, 'dosage'],
+    [/\bgunde \d+ (?:kez|defa|kere)\b/, 'dosage'],
+    // Only when the patient is told to apply one: catalog text talks about "krem kullanımı" and "krem sürme"
+    [/\b(?:krem|merhem|pomad)\w* (?:sur|surun|surunuz|surmelisiniz|surebilirsiniz|kullanin|kullaniniz|kullanmalisiniz|kullanabilirsiniz)\b/, 'medication'],
+    [/\b(?:ameliyat|operasyon|tedavi)\w* (?:gerekmiyor|gerekmez|sart|lazim|olmaniz gerek)/, 'prescription'],
+    // "kullanmanız" alone is catalog wording too ("doğum kontrol haplarını yoğun düzeyde kullanmanız" as a cause)
+    [/\b(?:kullanmalisiniz|icmelisiniz)\b|\b(?:kullanmaniz|icmeniz)i? (?:gerek\w*|lazim|sart|oneririz|onerilir|tavsiye ederiz)\b/, 'prescription']
+];
+
+const EMERGENCY_SYMPTOMS = [
+    /\bgog(?:us|s)\w* (?:agri|sikisma|baski)/,
+    /\bnefes (?:darligi|alamiyor|alamadim|alamiyorum|daral)/,
+    /\b(?:bayildi|bayiliyorum|bayilacak|bilinc\w* kayb|bilincini kaybet)/,
+    /\b(?:siddetli|cok fazla|durmayan) kanama/,
+    /\bkanama durm(?:uyor|adi)/,
+    /\bkan (?:kusuyor|kustum|tukur)/,
+    /\b(?:felc|inme gecir|yuz\w* kay(?:di|iyor)|konusamiyor)/,
+    /\bbacag\w* (?:aniden|ani|birden) (?:sist|sis)/,
+    /\b(?:intihar|kendimi oldur)/
+];
+
+const finding = (code, severity, message, evidence) => ({ code, severity, message, evidence });
+
+function doctorFindings(catalog, text) {
+    const doctors = catalog.branches.flatMap(branch => branch.doctors.map(doctor => normalizeText(doctor.name).split(' ')));
+    return [...text.matchAll(DOCTOR_MENTION)].flatMap(match => {
+        const tokens = normalizeText(match[1]).split(' ').filter(Boolean).slice(0, 2);
+        if (tokens.length === 0 || doctors.some(name => tokens.every(token => name.includes(token)))) return [];
+        return [finding('unknown_doctor', BLOCK, 'Doctor not in the knowledge base', match[0].trim())];
+    });
+}
+
+function branchFindings(catalog, text) {
+    return [...text.matchAll(BRANCH_MENTION)].flatMap(match => {
+        const word = normalizeText(match[1]);
+        if (NOT_BRANCH_NAMES.has(word) || match[1][0] !== match[1][0].toLocaleUpperCase('tr-TR')) return [];
+        const branches = findBranches(catalog, match[1]);
+        if (branches.length === 0) return [finding('unknown_branch', BLOCK, 'Branch not in the knowledge base', match[0])];
+        if (branches.every(branch => branch.closed)) return [finding('closed_branch', BLOCK, `${branches[0].name} is closed`, match[0])];
+        return [];
+    });
+}
+
+function addressFindings(catalog, text) {
+    const addresses = catalog.branches.map(branch => ` ${normalizeText(`${branch.address} ${branch.directions}`)} `);
+    const supported = (fragment) => addresses.some(address => address.includes(` ${fragment} `));
+
+    const streets = [...text.matchAll(ADDRESS_PART)].filter(match => {
+        const suffix = normalizeText(match[2]);
+        return !supported(`${normalizeText(match[1])} ${ADDRESS_SUFFIXES[suffix] || suffix}`)
+            && !supported(`${normalizeText(match[1])} ${suffix}`);
+    });
+    const numbers = [...text.matchAll(ADDRESS_NUMBER)].filter(match => !supported(`no ${normalizeText(match[1])}`));
+    return [...streets, ...numbers].map(match => finding('unsupported_address', BLOCK, 'Address not in the knowledge base', match[0]));
+}
+
+function treatmentFindings(catalog, text) {
+    const corpus = ` ${normalizeText(JSON.stringify(catalog.treatments))} `;
+    return [...text.matchAll(TREATMENT_MENTION)].flatMap(match => {
+        const word = normalizeText(match[1]);
+        if (NOT_TREATMENT_NAMES.has(word) || corpus.includes(` ${word}`)) return [];
+        return [finding('unknown_treatment', WARN, 'Treatment or method not in the knowledge base', match[0])];
+    });
+}
+
+// Findings for the suggestion text itself
+function checkSuggestion(catalog, suggestion) {
+    const text = suggestion || '';
+    const normalized = normalizeText(text);
+    const findings = catalog ? [
+        ...doctorFindings(catalog, text),
+        ...branchFindings(catalog, text),
+        ...addressFindings(catalog, text),
+        ...treatmentFindings(catalog, text)
+    ] : [];
+
+    [...text.matchAll(PRICE)].forEach(match => findings.push(finding('unsupported_price', BLOCK, 'The knowledge base has no prices', match[0])));
+
+    const advice = MEDICAL_ADVICE.find(([pattern]) => pattern.test(normalized));
+    if (advice) {
+        findings.push(finding('medical_advice', BLOCK, `Looks like ${advice[1]}; only a doctor may advise this`, normalized.match(advice[0])[0]));
+    }
+    return findings;
+}
+
+// Symptoms in the customer's messages that need 112 or a doctor now, not a routine answer
+function checkEmergency(customerText) {
+    const normalized = normalizeText(customerText);
+    const symptom = EMERGENCY_SYMPTOMS.map(pattern => normalized.match(pattern)).find(Boolean);
+    return symptom ? [finding('emergency', BLOCK, 'Possible emergency: direct the patient to 112 or the nearest emergency room', symptom[0])] : [];
+}
+
+// Duplicates (the same hallucinated name twice) collapse into one finding
+function reviewSuggestion(catalog, { suggestion, customerText = '' }) {
+    const seen = new Set();
+    return [...checkEmergency(customerText), ...checkSuggestion(catalog, suggestion)].filter(item => {
+        const key = `${item.code}:${item.evidence}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+const isBlocking = (findings) => (findings || []).some(item => item.severity === BLOCK);
+
+module.exports = { BLOCK, WARN, checkSuggestion, checkEmergency, reviewSuggestion, isBlocking };
@@ -6,257 +6,1253 @@ const WebSocket = require('ws');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
-const axios = require('axios');
-// --- UPDATED: Import OpenAI library ---
-const OpenAI = require('openai');
+const { buildChunks, buildIndex } = require('./retrieval');
+const { createStore } = require('./store');
+const { createSignatureVerifier } = require('./webhookSignature');
+const { createIpAllowlist, loadAllowlistEntries } = require('./ipAllowlist');
+const { createRealtimeHub } = require('./realtime');
+const { createAutoReplyPolicy } = require('./autoReply');
+const { CLASSIFICATION_FORMAT, classificationInstructions, analyzeMessage, entityTags } = require('./intents');
+const { isBranchOpen } = require('./businessHours');
+const { createAppointmentBook } = require('./appointments');
+const { createProviders, createModelClient } = require('./models');
+const { createGenerationQueue } = require('./generationQueue');
+const { extractAttachments, isInlineFile, createMediaStore } = require('./attachments');
+const { nearestBranches } = require('./branchLocations');
+const { createRedaction, maskConsole } = require('./redaction');
+const { SUGGESTION_TONES, DEFAULT_VARIANT_TONES, createSuggestionPipeline, loadInstructions } = require('./suggestionPipeline');
+const { FEEDBACK_REASONS, outcomeOf, loadPrices, summarizeSuggestions } = require('./analytics');
+const { createKnowledgeBase } = require('./knowledgeBase');
+const { ROLES, createAuth, createLoginLimiter, hashPassword, canAccessBranch, canAccessConversation, branchScope, publicUser } = require('./auth');
+const { loadTenants } = require('./tenants');
+const { createConnexeaseClient } = require('./connexease');
+
+// Phone numbers, TCKNs and other patient data never reach the logs, whatever gets printed (see redaction.js)
+maskConsole(console);
 
 // --- 1. INITIALIZATION ---
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
-
-// --- UPDATED: Initialize OpenAI ---
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
+// Only logged-in agents may open the dashboard socket; the session cookie rides on the upgrade request
+const wss = new WebSocket.Server({
+    server,
+    verifyClient: ({ req }) => {
+        req.user = auth.authenticate(req);
+        return Boolean(req.user);
+    }
 });
 
-let knowledgeBase = '';
+// X-Forwarded-For is only honored for this many proxy hops in front of the app (0 = ignore it)
+app.set('trust proxy', parseInt(process.env.TRUSTED_PROXY_HOPS || '0', 10));
 
-// --- In-memory store for conversations ---
-const conversations = new Map();
+// --- Model providers, tried in MODEL_PROVIDERS order (see models.js) ---
+const models = createModelClient({
+    providers: createProviders(process.env.MODEL_PROVIDERS || 'openai:gpt-5-nano'),
+    timeoutMs: parseInt(process.env.MODEL_TIMEOUT_MS || '20000', 10),
+    retries: parseInt(process.env.MODEL_RETRIES || '2', 10),
+    backoffMs: parseInt(process.env.MODEL_RETRY_BACKOFF_MS || '500', 10)
+});
 
-app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+const RETRIEVAL_TOP_K = parseInt(process.env.RETRIEVAL_TOP_K || '6', 10);
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET || '1500', 10);
 
-// --- 2. WEBSOCKET LOGIC ---
-wss.on('connection', ws => {
-    console.log('Agent-Assist Dashboard connected');
-    ws.on('close', () => console.log('Agent-Assist Dashboard disconnected'));
+// --- Conversation store (SQLite file by default, STORE_DRIVER=memory for tests) ---
+const store = createStore({
+    driver: process.env.STORE_DRIVER || 'sqlite',
+    filePath: process.env.STORE_PATH || undefined
 });
 
-function broadcast(data) {
-    wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify(data));
+const CONTEXT_MESSAGE_LIMIT = 50;
+const RETENTION_DAYS = parseFloat(process.env.CONVERSATION_RETENTION_DAYS || '90');
+const RETENTION_SWEEP_MS = 60 * 60 * 1000;
+const WEBHOOK_DEDUPE_DAYS = parseFloat(process.env.WEBHOOK_DEDUPE_DAYS || '7');
+
+const MEDIA_DOWNLOAD_TIMEOUT_MS = parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS || '30000', 10);
+
+// --- Tenants: each clinic group brings its own brand, prompt, knowledge base, Connexease account and webhook (see tenants.js) ---
+function createTenant(config) {
+    const tenant = { id: config.id, config, catalog: null, knowledgeIndex: null };
+
+    // catalog.json, hot-reloaded and versioned (see knowledgeBase.js). The index is built before the swap,
+    // so a request sees either the old catalog and index or the new ones, never a mix.
+    tenant.knowledgeBase = createKnowledgeBase({
+        catalogFile: config.knowledgeBase.catalogFile,
+        versionsDir: config.knowledgeBase.versionsDir,
+        dataDir: config.knowledgeBase.dataDir,
+        fileNames: config.knowledgeBase.files,
+        name: `${config.brand} knowledge base`,
+        keepVersions: parseInt(process.env.KNOWLEDGE_BASE_KEEP_VERSIONS || '50', 10),
+        onSwap: (next) => {
+            const nextIndex = buildIndex(buildChunks(next));
+            tenant.catalog = next;
+            tenant.knowledgeIndex = nextIndex;
         }
     });
+
+    // Local slot calendar; doctors inherit their branch's hours (ŞUBE DOKTOR.xlsx has no per-doctor schedule)
+    tenant.appointments = createAppointmentBook({
+        store,
+        tenantId: config.id,
+        timeZone: config.timeZone,
+        getCatalog: () => tenant.catalog,
+        slotMinutes: parseInt(process.env.APPOINTMENT_SLOT_MINUTES || '30', 10),
+        horizonDays: parseInt(process.env.APPOINTMENT_HORIZON_DAYS || '30', 10),
+        leadMinutes: parseInt(process.env.APPOINTMENT_LEAD_MINUTES || '60', 10)
+    });
+
+    // Drafts come from suggestionPipeline.js, shared with the offline evaluation (evaluate.js)
+    tenant.pipeline = createSuggestionPipeline({
+        models,
+        getKnowledge: () => ({ catalog: tenant.catalog, index: tenant.knowledgeIndex }),
+        brand: config.brand,
+        language: config.language,
+        locale: config.locale,
+        timeZone: config.timeZone,
+        instructions: loadInstructions(config.prompt),
+        proposeSlots: (conversation, entities) => proposeSlotsFor(tenant, conversation, entities),
+        topK: RETRIEVAL_TOP_K,
+        tokenBudget: CONTEXT_TOKEN_BUDGET
+    });
+
+    tenant.connexease = createConnexeaseClient({
+        ...config.connexease,
+        name: `${config.brand} Connexease`,
+        downloadTimeoutMs: MEDIA_DOWNLOAD_TIMEOUT_MS
+    });
+
+    // allowedIps / allowlistFile accept IPs and IPv4/IPv6 CIDR ranges;
+    // allowLocalhost lets local webhook replays through during development
+    tenant.webhookAllowlist = createIpAllowlist(loadAllowlistEntries({
+        allowedIps: config.webhook.allowedIps,
+        configFile: config.webhook.allowlistFile,
+        allowLocalhost: config.webhook.allowLocalhost
+    }));
+
+    // HMAC-SHA256 over timestamp, nonce and raw body; the previous secret stays valid while a rotation rolls out.
+    // WEBHOOK_REQUIRE_TIMESTAMP=false only for senders that cannot send a timestamp
+    tenant.verifyWebhookDelivery = createSignatureVerifier({
+        secrets: config.webhook.secrets,
+        toleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300', 10),
+        requireTimestamp: process.env.WEBHOOK_REQUIRE_TIMESTAMP !== 'false'
+    });
+
+    // Off unless the tenant enables it; admins can flip it at runtime
+    tenant.autoReply = createAutoReplyPolicy({
+        enabled: config.autoReply.enabled,
+        minConfidence: parseFloat(process.env.AUTO_REPLY_MIN_CONFIDENCE || '0.85'),
+        afterHoursMinConfidence: parseFloat(process.env.AUTO_REPLY_AFTER_HOURS_MIN_CONFIDENCE || '0.6'),
+        allowedIntents: (process.env.AUTO_REPLY_INTENTS || 'address,treatment_info').split(',').map(intent => intent.trim()).filter(Boolean),
+        maxBotTurns: parseInt(process.env.AUTO_REPLY_MAX_BOT_TURNS || '3', 10)
+    });
+
+    return tenant;
 }
 
-// --- 3. SECURITY & API MIDDLEWARE ---
-let connexeaseToken = null;
-let tokenExpiresAt = null;
+const tenants = new Map(loadTenants().map(config => [config.id, createTenant(config)]));
+// The first tenant keeps the plain /webhook URL
+const defaultTenant = tenants.values().next().value;
+
+// Conversations, bookings and users stored before tenants existed belong to the default tenant
+const adopted = store.assignTenant(defaultTenant.id);
+if (adopted.conversations + adopted.bookings + adopted.users > 0) {
+    console.log(`🏷️  Assigned ${adopted.conversations} conversation(s), ${adopted.bookings} booking(s) and ${adopted.users} user(s) to tenant ${defaultTenant.id}`);
+}
+
+// The tenant a stored conversation belongs to, or null if that tenant is no longer configured
+const tenantOf = (conversation) => (conversation ? tenants.get(conversation.tenantId) || null : null);
+
+// Photos, voice notes and videos customers send, copied out of the tenant's Connexease account (see attachments.js)
+const media = createMediaStore({
+    dir: process.env.MEDIA_DIR || path.join(__dirname, 'storage', 'media'),
+    fetchFile: (url, { maxBytes, conversationId }) => {
+        const tenant = tenantOf(store.getConversation(conversationId, { limit: 0 }));
+        if (!tenant) throw new Error(`No tenant for conversation ${conversationId}`);
+        return tenant.connexease.downloadFile(url, { maxBytes });
+    },
+    maxBytes: parseFloat(process.env.MEDIA_MAX_MB || '16') * 1024 * 1024
+});
 
-async function getConnexeaseToken() {
-    if (connexeaseToken && tokenExpiresAt && new Date() < tokenExpiresAt) {
-        return connexeaseToken;
+const auth = createAuth({
+    store,
+    getTenant: (tenantId) => tenants.get(tenantId) || null,
+    sessionTtlHours: parseFloat(process.env.SESSION_TTL_HOURS || '12')
+});
+
+function purgeExpiredConversations() {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    store.purgeExpiredSessions(new Date().toISOString());
+    store.purgeWebhookEvents(new Date(Date.now() - WEBHOOK_DEDUPE_DAYS * 24 * 60 * 60 * 1000).toISOString());
+    const removed = store.purgeExpired(cutoff);
+    if (removed > 0) {
+        console.log(`🧹 Purged ${removed} conversation(s) inactive for more than ${RETENTION_DAYS} days`);
     }
-    console.log("Fetching new Connexease token...");
-    try {
-        const response = await axios.post(`${process.env.CONNEXEASE_API_URL}/jwt/`, {
-            username: process.env.CONNEXEASE_USERNAME,
-            password: process.env.CONNEXEASE_PASSWORD
+    media.purgeOlderThan(new Date(cutoff))
+        .then(folders => { if (folders > 0) console.log(`🧹 Removed media of ${folders} expired conversation(s)`); })
+        .catch(error => console.error('Failed to purge expired media:', error));
+}
+
+// A tenant without users gets its first admin from its config (ADMIN_USERNAME / ADMIN_PASSWORD without a tenants file)
+function bootstrapAdmins() {
+    const users = store.listUsers();
+    tenants.forEach(tenant => {
+        if (users.some(user => user.tenantId === tenant.id)) return;
+        const admin = tenant.config.admin;
+        if (!admin) {
+            console.warn(`⚠️  No dashboard users for ${tenant.config.brand} yet; set ADMIN_USERNAME and ADMIN_PASSWORD (or the tenant's admin) to create the first admin`);
+            return;
+        }
+        if (store.getUser(admin.username)) {
+            console.warn(`⚠️  Can't create admin "${admin.username}" for ${tenant.config.brand}: the username is taken`);
+            return;
+        }
+        store.saveUser({
+            username: admin.username,
+            displayName: admin.username,
+            role: 'admin',
+            branches: [],
+            tenantId: tenant.id,
+            passwordHash: hashPassword(admin.password)
         });
-        connexeaseToken = response.data.token;
-        tokenExpiresAt = new Date(new Date().getTime() + 23.5 * 60 * 60 * 1000);
-        console.log("Connexease token refreshed successfully.");
-        return connexeaseToken;
-    } catch (error) {
-        console.error("FATAL: Could not get Connexease JWT:", error.response?.data);
-        return null;
+        console.log(`👤 Created admin user "${admin.username}" for ${tenant.config.brand}`);
+    });
+}
+
+// Workbook uploads arrive as base64 JSON, bigger than anything else; only admins get that far
+app.use('/api/knowledge-base/uploads', auth.requireRole('admin'), express.json({ limit: process.env.KNOWLEDGE_BASE_UPLOAD_LIMIT || '10mb' }));
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+// --- 2. WEBSOCKET LOGIC ---
+wss.on('connection', (ws, req) => {
+    ws.user = req.user;
+    console.log(`Agent-Assist Dashboard connected (${ws.user.username})`);
+    ws.on('close', () => console.log(`Agent-Assist Dashboard disconnected (${ws.user.username})`));
+});
+
+// Dashboards subscribe to the conversation they have open and only get events for it (protocol in realtime.js);
+// everything is re-checked against the agent's tenant and branches
+const realtime = createRealtimeHub({
+    wss,
+    heartbeatMs: parseInt(process.env.WS_HEARTBEAT_MS || '30000', 10),
+    authorize: (user, conversationId) => {
+        const conversation = store.getConversation(conversationId, { limit: 0 });
+        return canAccessConversation(user, conversation);
+    },
+    snapshot: (conversationId) => {
+        const conversation = store.getConversation(conversationId, { limit: 100 });
+        if (!conversation) return null;
+        const [latest] = store.listSuggestions(conversationId);
+        return {
+            conversationId,
+            customer: conversation.customer,
+            branchId: conversation.branchId || null,
+            handoff: conversation.handoff || null,
+            status: conversation.status || 'open',
+            assignee: conversation.assignee || null,
+            team: conversation.team || null,
+            messages: conversation.messages,
+            hasMoreMessages: conversation.hasMoreMessages,
+            bookings: store.listBookings({ conversationId }),
+            generating: suggestionQueue.isBusy(conversationId),
+            suggestion: latest ? {
+                suggestionId: latest.id,
+                tone: latest.tone,
+                suggestion: latest.suggestion,
+                chunkIds: latest.chunkIds || [],
+                confidence: latest.confidence,
+                intent: latest.intent,
+                proposedSlots: latest.proposedSlots || [],
+                warnings: latest.warnings || [],
+                feedback: latest.feedback || null,
+                model: latest.provider ? `${latest.provider}:${latest.model}` : null
+            } : null
+        };
     }
+});
+
+// Keeps every dashboard's conversation list fresh, subscribed or not
+function announceActivity(conversationId, message) {
+    const conversation = store.getConversation(conversationId, { limit: 0 });
+    realtime.announce(conversationId, {
+        conversationId,
+        customer: conversation.customer,
+        branchId: conversation.branchId || null,
+        handoff: conversation.handoff || null,
+        status: conversation.status || 'open',
+        assignee: conversation.assignee || null,
+        intent: conversation.intent || null,
+        tags: conversation.tags || [],
+        message,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// --- 3. SECURITY & API MIDDLEWARE ---
+// /webhook/:tenant picks the tenant; the plain /webhook URL belongs to the default tenant
+function resolveWebhookTenant(req, res, next) {
+    const tenant = req.params.tenant ? tenants.get(req.params.tenant) : defaultTenant;
+    if (!tenant) {
+        console.warn(`Webhook for unknown tenant "${req.params.tenant}"`);
+        return res.status(404).send('Unknown tenant.');
+    }
+    req.tenant = tenant;
+    next();
 }
 
 function ipAllowlist(req, res, next) {
-    const allowedIp = '34.89.215.92';
-    const clientIpString = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
-    const firstIp = clientIpString.split(',')[0].trim();
+    // req.ip already accounts for the trusted proxy hops
+    const clientIp = req.ip;
     
-    if (firstIp === allowedIp) {
+    if (req.tenant.webhookAllowlist.allows(clientIp)) {
         next();
     } else {
-        console.warn(`Blocked request from unauthorized IP: ${firstIp}`);
+        console.warn(`Blocked request from unauthorized IP: ${clientIp} (tenant ${req.tenant.id})`);
         res.status(403).send('Forbidden: IP address not allowed.');
     }
 }
 
 function verifyConnexeaseSignature(req, res, next) {
-    const signature = req.headers['x-connexease-webhook-sign'];
-    const secret = process.env.CONNEXEASE_WEBHOOK_SECRET;
+    const result = req.tenant.verifyWebhookDelivery({
+        rawBody: req.rawBody,
+        signature: req.headers['x-connexease-webhook-sign'],
+        timestamp: req.headers['x-connexease-webhook-timestamp'],
+        nonce: req.headers['x-connexease-webhook-nonce']
+    });
 
-    if (signature !== secret) {
-        console.error("Webhook signature verification FAILED");
+    if (!result.ok) {
+        console.error(`Webhook signature verification FAILED for tenant ${req.tenant.id}: ${result.reason}`);
         return res.status(403).send('Invalid signature.');
     }
+    if (result.usedPreviousSecret) {
+        console.warn(`Webhook signed with the previous secret; finish rotating the webhook secret of tenant ${req.tenant.id}`);
+    }
 
     console.log("Webhook signature verified successfully.");
     next();
 }
 
-// --- 4. getAIResponse Function (UPDATED for OpenAI GPT-5 Responses API) ---
-async function getAIResponse(userMessage) {
-    if (!knowledgeBase) {
-        knowledgeBase = await fs.readFile(path.join(__dirname, 'knowledgebase.txt'), 'utf-8');
+// --- 4. getAIResponse Function (prompt in suggestionPipeline.js, model providers in models.js) ---
+// Quick, short-timeout classification call in the tenant's brand and language; analyzeMessage falls back to keywords if it fails
+async function classifyWithModel(tenant, text, now) {
+    const { brand, language, timeZone } = tenant.config;
+    const response = await models.complete({
+        format: CLASSIFICATION_FORMAT,
+        instructions: classificationInstructions({ brand, language, timeZone, now }),
+        input: createRedaction({ now }).redact(text)
+    }, { timeoutMs: 8000, retries: 0 });
+    return JSON.parse(response.text);
+}
+
+// Classify the customer's message, store the result on it and tag/route the conversation
+async function analyzeCustomerMessage(tenant, conversationId, message) {
+    if (!tenant.catalog) await tenant.knowledgeBase.load();
+    // A photo or pin without a caption has no words to classify
+    const analysis = await analyzeMessage(tenant.catalog, message.content || '', {
+        classify: message.content ? (text, now) => classifyWithModel(tenant, text, now) : null,
+        timeZone: tenant.config.timeZone
+    });
+    const analyzed = store.updateMessage(conversationId, message.id, {
+        intent: analysis.intent,
+        entities: analysis.entities,
+        intentSource: analysis.source
+    });
+
+    const conversation = store.getConversation(conversationId, { limit: 0 });
+    const fields = { intent: analysis.intent, tags: [...new Set([...(conversation.tags || []), ...entityTags(analysis.entities)])] };
+
+    // Route to a branch as soon as the customer names exactly one (a doctor's branch counts too)
+    const branchIds = [...new Set([
+        ...analysis.entities.branches.map(branch => branch.id),
+        ...analysis.entities.doctors.map(doctor => doctor.branchId)
+    ])];
+    if (!conversation.branchId && branchIds.length === 1) {
+        fields.branchId = branchIds[0];
     }
-    
-    // GPT-5 Responses API with optimized instructions for agent assistance
-    const instructions = `Sen bir müşteri hizmetleri asistanısın. Climed klinikleri için çalışan insan temsilcilerine WhatsApp mesajlarına yanıt önerileri sunuyorsun.
+    store.updateConversation(conversationId, fields);
+
+    realtime.publish(conversationId, 'messageAnalyzed', {
+        conversationId,
+        messageId: message.id,
+        intent: analysis.intent,
+        entities: analysis.entities,
+        source: analysis.source
+    });
+    announceActivity(conversationId, analyzed);
+    return analysis;
+}
 
-Verilen bilgi bankasına dayanarak, müşterinin sorusu/şikayeti/isteği için profesyonel, yardımcı ve Türkçe bir yanıt önerisi oluştur.
+// Free slots at the branch being discussed, from the first date the customer mentioned, with the named doctor if any
+function proposeSlotsFor(tenant, conversation, entities) {
+    const branchId = entities?.branches.length === 1 ? entities.branches[0].id : conversation.branchId;
+    if (!branchId) return [];
+    const doctor = entities?.doctors.find(candidate => candidate.branchId === branchId);
+    return tenant.appointments.proposeSlots({ branchId, doctorId: doctor?.id, from: entities?.dates[0] });
+}
 
-KURALLAR:
-1. Sadece bilgi bankasındaki bilgileri kullan
-2. Türkçe yanıt ver
-3. Kısa ve net ol (50-150 kelime)
-4. Profesyonel ama samimi ton kullan
-5. Mevcut kliniği/uzmanı/randevu bilgilerini belirt
-6. Kopya yapılabilir format kullan
+async function getAIResponse(tenant, conversation, options) {
+    if (!tenant.knowledgeIndex) {
+        await tenant.knowledgeBase.load();
+    }
+    return tenant.pipeline.suggest(conversation, options);
+}
 
-BİLGİ BANKASI:
-${knowledgeBase}`;
+// Distinct event so the dashboard shows a failure (with a retry button) rather than a placeholder draft
+function publishSuggestionError(conversationId, error, generationId = null) {
+    const payload = {
+        conversationId,
+        generationId,
+        error: { code: error.code || 'model_error', message: error.message },
+        attempts: error.attempts || [],
+        timestamp: new Date().toISOString()
+    };
+    realtime.publish(conversationId, 'aiSuggestionError', payload);
+    return payload;
+}
 
+// Returns the Connexease response body, or null if the message could not be sent
+async function sendConnexeaseReply(tenant, conversationId, messageText, { isPrivate = false } = {}) {
     try {
-        const response = await openai.responses.create({
-            model: "gpt-5-nano", // Fast, cost-effective for simple instruction-following
-            reasoning: { effort: "minimal" }, // Fastest response time
-            text: { verbosity: "low" }, // Concise responses perfect for agents
-            instructions: instructions,
-            input: `Müşteri mesajı: "${userMessage}"`
-        });
-        
-        return response.output_text || "Müşteri talebi için özel bir yanıt hazırlanması gerekiyor.";
+        const sent = await tenant.connexease.sendMessage(conversationId, messageText, { isPrivate });
+        console.log(`Agent ${isPrivate ? 'note' : 'reply'} sent to conversation ${conversationId}`);
+        // Connexease echoes our own message back through message.created; it is already stored
+        if (sent.id) store.recordWebhookEvent(`${tenant.id}:message:${sent.id}`);
+        return sent;
     } catch (error) {
-        console.error("Error getting AI response from OpenAI:", error);
-        return "Müşteri talebi için özel bir yanıt hazırlanması gerekiyor.";
+        console.error("Error sending agent reply:", error.response?.data || error.message);
+        return null;
     }
 }
 
-async function sendConnexeaseReply(conversationId, messageText) {
-    const token = await getConnexeaseToken();
-    if (!token) return;
-    
-    const url = `${process.env.CONNEXEASE_API_URL}/api/v1/conversations/${conversationId}/messages`;
-    const payload = { message: { content: messageText, private: false } };
-    const headers = { 
-        'Content-Type': 'application/json', 
-        'api_access_token': token 
-    };
-    
+// --- Auto-reply (per tenant, see createTenant) ---
+function flagHandoff(conversationId, reason) {
+    const handoff = { reason, at: new Date().toISOString() };
+    store.updateConversation(conversationId, { handoff });
+    realtime.publish(conversationId, 'handoff', { conversationId, handoff });
+    announceActivity(conversationId, null);
+    console.log(`🙋 Conversation ${conversationId} handed off to a human (${reason})`);
+}
+
+// Sends the suggestion as the bot when the policy allows it, otherwise flags the conversation for a human.
+// Read fresh: an agent may have answered or taken over while the model was generating.
+async function handleAutoReply(tenant, conversationId, suggestion) {
+    const conversation = store.getConversation(conversationId, { limit: 0 });
+    const branch = tenant.catalog.branches.find(candidate => candidate.id === conversation.branchId);
+    const decision = tenant.autoReply.decide({
+        conversation,
+        confidence: suggestion.confidence,
+        intent: suggestion.intent,
+        warnings: suggestion.warnings,
+        open: isBranchOpen(branch, new Date(), tenant.config.timeZone)
+    });
+
+    if (!decision.send) {
+        if (decision.handoff) flagHandoff(conversation.id, decision.reason);
+        return null;
+    }
+
+    const result = await sendConnexeaseReply(tenant, conversation.id, suggestion.suggestion);
+    if (!result) {
+        flagHandoff(conversation.id, 'send_failed');
+        return null;
+    }
+
+    const message = store.addMessage(conversation.id, {
+        sender: 'bot',
+        content: suggestion.suggestion,
+        suggestionId: suggestion.id,
+        autoReplyReason: decision.reason,
+        externalId: result.id ?? null,
+        timestamp: localTimestamp(tenant)
+    });
+    store.updateSuggestion(suggestion.id, {
+        sent: { messageId: message.id, by: 'bot', at: message.createdAt, editDistance: 0, editRatio: 0, outcome: 'auto_sent' }
+    });
+    const { botTurns = 0 } = store.getConversation(conversation.id, { limit: 0 });
+    store.updateConversation(conversation.id, { botTurns: botTurns + 1 });
+    realtime.publish(conversation.id, 'botMessage', { conversationId: conversation.id, message, timestamp: new Date().toISOString() });
+    announceActivity(conversation.id, message);
+    return message;
+}
+
+// --- 5. WEBHOOK HANDLER ---
+const localTimestamp = (tenant) => new Date().toLocaleTimeString(tenant.config.locale, { hour: '2-digit', minute: '2-digit' });
+
+// Agent messages come from the dashboard or straight from Connexease; a human answering takes over from the bot
+function recordAgentMessage(tenant, conversationId, fields) {
+    const message = store.addMessage(conversationId, { sender: 'agent', ...fields, timestamp: localTimestamp(tenant) });
+    if (!message.private) {
+        store.updateConversation(conversationId, { humanEngaged: true, handoff: null });
+    }
+    realtime.publish(conversationId, 'agentMessage', { conversationId, message, timestamp: new Date().toISOString() });
+    announceActivity(conversationId, message);
+    return message;
+}
+
+// Analyze the burst's messages, then stream one suggestion for all of them; a newer message aborts `signal`
+async function generateSuggestion(conversationId, { items: messages, generationId, signal }) {
+    const streamDelta = (fields) => realtime.stream(conversationId, 'aiSuggestionDelta', { conversationId, generationId, ...fields });
+    const publishCancelled = () => realtime.publish(conversationId, 'aiSuggestionDone', {
+        conversationId, generationId, status: 'cancelled', reason: 'superseded', timestamp: new Date().toISOString()
+    });
+    const latestMessage = messages[messages.length - 1];
+    const tenant = tenantOf(store.getConversation(conversationId, { limit: 0 }));
+    if (!tenant) return console.warn(`No tenant for conversation ${conversationId}; skipping the suggestion`);
+
+    let conversation, reply;
+    try {
+        // Messages carried over from a cancelled job may already be analyzed
+        const analyzed = new Set(store.getConversation(conversationId, { limit: CONTEXT_MESSAGE_LIMIT }).messages
+            .filter(message => message.intent).map(message => message.id));
+        for (const message of messages.filter(item => !analyzed.has(item.id))) {
+            await analyzeCustomerMessage(tenant, conversationId, message);
+        }
+        conversation = store.getConversation(conversationId, { limit: CONTEXT_MESSAGE_LIMIT });
+        reply = await getAIResponse(tenant, conversation, {
+            signal,
+            onDelta: (delta) => streamDelta({ delta }),
+            onRestart: () => streamDelta({ delta: '', reset: true })
+        });
+    } catch (error) {
+        if (error.code === 'cancelled') return publishCancelled();
+        console.error("Failed to generate AI suggestion:", error.message);
+        publishSuggestionError(conversationId, error, generationId);
+        // Without a draft the bot can't answer, so a conversation it was handling goes to a human
+        const current = conversation && store.getConversation(conversationId, { limit: 0 });
+        if (current && tenant.autoReply.isEnabled() && !current.humanEngaged && !current.handoff) {
+            flagHandoff(conversationId, 'model_unavailable');
+        }
+        return;
+    }
+    if (signal.aborted) return publishCancelled();
+
     try {
-        await axios.post(url, payload, { headers });
-        console.log(`Agent reply sent to conversation ${conversationId}`);
+        const { suggestion, chunkIds, confidence, intent, proposedSlots, warnings, provider, model, usage, latencyMs } = reply;
+        const stored = store.addSuggestion(conversationId, {
+            messageId: latestMessage.id, tone: 'default', suggestion, chunkIds, confidence, intent, proposedSlots, warnings, provider, model, usage, latencyMs
+        });
+        realtime.publish(conversationId, 'aiSuggestionDone', {
+            conversationId,
+            generationId,
+            status: 'completed',
+            suggestionId: stored.id,
+            suggestion,
+            chunkIds,
+            confidence,
+            intent,
+            proposedSlots,
+            warnings,
+            model: `${provider}:${model}`,
+            timestamp: new Date().toISOString()
+        });
+        await handleAutoReply(tenant, conversationId, stored);
     } catch (error) {
-        console.error("Error sending agent reply:", error.response?.data);
+        console.error("Failed to deliver AI suggestion:", error);
     }
 }
 
-// --- 5. WEBHOOK HANDLER ---
-app.post('/webhook', ipAllowlist, verifyConnexeaseSignature, async (req, res) => {
+const suggestionQueue = createGenerationQueue({
+    run: generateSuggestion,
+    debounceMs: parseInt(process.env.SUGGESTION_DEBOUNCE_MS || '1500', 10),
+    maxConcurrent: parseInt(process.env.MODEL_MAX_CONCURRENCY || '4', 10)
+});
+
+// Connexease retries deliveries, and a conversation's first message can arrive with both conversation.created
+// and message.created; the event id and the message id each identify a delivery within a tenant's account
+function deliveryKeys(tenant, body) {
+    const payload = body.payload || {};
+    const eventId = body.id || body.event_id;
+    const messageId = body.hook === 'message.created' ? payload.id : payload.messages?.id;
+    return [eventId && `${tenant.id}:event:${eventId}`, messageId && `${tenant.id}:message:${messageId}`].filter(Boolean);
+}
+
+// Agents and assignees arrive as { id, name, email }
+const personOf = (agent) => (agent ? { id: agent.id ?? null, name: agent.name || agent.email || String(agent.id) } : null);
+
+// Location pins get the nearest open branches; media starts out 'pending' until downloaded
+function prepareAttachments(tenant, source) {
+    return extractAttachments(source).map(attachment => (attachment.type === 'location'
+        ? { ...attachment, nearestBranches: nearestBranches(tenant.catalog, attachment.location) }
+        : attachment));
+}
+
+// Download in the background so the message shows up right away; dashboards swap in the files when ready
+async function storeAttachments(conversationId, message) {
+    const attachments = [];
+    for (const attachment of message.attachments) {
+        attachments.push(attachment.status === 'pending' ? await media.save(conversationId, attachment) : attachment);
+    }
+    store.updateMessage(conversationId, message.id, { attachments });
+    realtime.publish(conversationId, 'attachmentsStored', { conversationId, messageId: message.id, attachments });
+}
+
+// Conversation ids come from each tenant's own Connexease account; one another tenant already owns is left alone
+function ownedByAnotherTenant(tenant, conversation) {
+    if (!conversation || conversation.tenantId === tenant.id) return false;
+    console.warn(`Ignoring webhook for tenant ${tenant.id}: conversation ${conversation.id} belongs to another tenant`);
+    return true;
+}
+
+function ingestCustomerMessage(tenant, conversationId, customerData, source) {
+    const attachments = prepareAttachments(tenant, source);
+    if (!conversationId || (!source?.content && attachments.length === 0)) return;
+
+    // A customer writing into a resolved or closed conversation reopens it, with a fresh bot budget
+    const existing = store.getConversation(conversationId, { limit: 0 });
+    if (ownedByAnotherTenant(tenant, existing)) return;
+    const customer = store.ensureConversation(conversationId, customerData, { tenantId: tenant.id }).customer;
+    if (existing?.status === 'resolved' || existing?.status === 'closed') {
+        setConversationStatus(conversationId, { status: 'open', humanEngaged: false, handoff: null, botTurns: 0 });
+    }
+
+    const message = store.addMessage(conversationId, {
+        sender: 'customer',
+        content: source.content || '',
+        externalId: source.id ?? null,
+        ...(attachments.length ? { attachments } : {}),
+        timestamp: localTimestamp(tenant)
+    });
+
+    // Push the customer message to dashboards
+    realtime.publish(conversationId, 'customerMessage', {
+        conversationId,
+        customer,
+        message,
+        timestamp: new Date().toISOString()
+    });
+    announceActivity(conversationId, message);
+
+    // A shared location routes an unrouted conversation to the nearest branch, like naming it would
+    const nearest = attachments.find(attachment => attachment.nearestBranches?.length)?.nearestBranches[0];
+    if (nearest && !store.getConversation(conversationId, { limit: 0 }).branchId) {
+        store.updateConversation(conversationId, { branchId: nearest.branchId });
+        realtime.publish(conversationId, 'conversationRouted', {
+            conversationId, branchId: nearest.branchId, routedBy: 'location', timestamp: new Date().toISOString()
+        });
+        announceActivity(conversationId, null);
+    }
+    if (attachments.some(attachment => attachment.status === 'pending')) {
+        storeAttachments(conversationId, message).catch(error => console.error(`Failed to store attachments for ${conversationId}:`, error));
+    }
+
+    // Bursts are coalesced into one suggestion (see generationQueue.js)
+    suggestionQueue.enqueue(conversationId, message);
+}
+
+// Messages agents write directly in Connexease, so the history shows both sides
+function ingestAgentMessage(tenant, conversationId, source) {
+    if (!conversationId || !source.content) return;
+    if (ownedByAnotherTenant(tenant, store.getConversation(conversationId, { limit: 0 }))) return;
+    store.ensureConversation(conversationId, null, { tenantId: tenant.id });
+    recordAgentMessage(tenant, conversationId, {
+        content: source.content,
+        private: Boolean(source.private),
+        agent: personOf(source.sender || source.user)?.name || null,
+        externalId: source.id ?? null,
+        via: 'connexease'
+    });
+}
+
+// Connexease conversation lifecycle hooks -> stored conversation status
+const STATUS_HOOKS = {
+    'conversation.assigned': 'assigned',
+    'conversation.transferred': 'transferred',
+    'conversation.resolved': 'resolved',
+    'conversation.closed': 'closed'
+};
+
+function setConversationStatus(conversationId, fields) {
+    store.updateConversation(conversationId, { ...fields, statusChangedAt: new Date().toISOString() });
+    const conversation = store.getConversation(conversationId, { limit: 0 });
+    realtime.publish(conversationId, 'conversationStatus', {
+        conversationId,
+        status: conversation.status,
+        assignee: conversation.assignee || null,
+        team: conversation.team || null,
+        handoff: conversation.handoff || null,
+        timestamp: new Date().toISOString()
+    });
+    announceActivity(conversationId, null);
+}
+
+function ingestStatusChange(tenant, hookType, payload) {
+    const conversationId = payload.conversation_uuid || payload.uuid;
+    const conversation = conversationId ? store.getConversation(conversationId, { limit: 0 }) : null;
+    if (!conversation) {
+        console.warn(`Ignoring ${hookType} for unknown conversation ${conversationId}`);
+        return;
+    }
+    if (ownedByAnotherTenant(tenant, conversation)) return;
+
+    const status = STATUS_HOOKS[hookType];
+    const assignee = personOf(payload.assignee || payload.agent);
+    if (status === 'assigned') {
+        // Assigned to a person: the bot steps back; unassigned: back in the open queue
+        setConversationStatus(conversationId, assignee
+            ? { status, assignee, humanEngaged: true, handoff: null }
+            : { status: 'open', assignee: null });
+    } else if (status === 'transferred') {
+        setConversationStatus(conversationId, { status, assignee, team: payload.team?.name || payload.team || null });
+    } else {
+        setConversationStatus(conversationId, { status });
+    }
+    console.log(`📌 Conversation ${conversationId} ${status}${assignee ? ` (${assignee.name})` : ''}`);
+}
+
+app.post(['/webhook', '/webhook/:tenant'], resolveWebhookTenant, ipAllowlist, verifyConnexeaseSignature, async (req, res) => {
     res.status(200).send('Event received');
 
+    const tenant = req.tenant;
     const hookType = req.body.hook;
-    const payload = req.body.payload;
-    let conversationId, message;
+    const payload = req.body.payload || {};
+
+    const keys = deliveryKeys(tenant, req.body);
+    if (keys.length > 0 && !keys.map(key => store.recordWebhookEvent(key)).every(Boolean)) {
+        console.log(`Duplicate webhook delivery ignored (${keys.join(', ')})`);
+        return;
+    }
 
     if (hookType === 'message.created') {
-        if (!payload.customer) return; // Ignore agent messages
-        conversationId = payload.conversation_uuid;
-        message = {
-            sender: 'customer',
-            content: payload.content,
-            timestamp: new Date().toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' })
-        };
+        if (payload.customer) {
+            ingestCustomerMessage(tenant, payload.conversation_uuid, payload.customer, payload);
+        } else {
+            ingestAgentMessage(tenant, payload.conversation_uuid, payload);
+        }
     } else if (hookType === 'conversation.created') {
-        conversationId = payload.uuid;
-        message = {
-            sender: 'customer',
-            content: payload.messages?.content,
-            timestamp: new Date().toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' })
-        };
-    } else {
-        return;
+        ingestCustomerMessage(tenant, payload.uuid, payload.customer || payload.messages?.customer, payload.messages);
+    } else if (STATUS_HOOKS[hookType]) {
+        ingestStatusChange(tenant, hookType, payload);
     }
+});
 
-    if (!message || !message.content) return;
+// --- 6. API ENDPOINTS FOR DASHBOARD ---
 
-    // Store conversation
-    if (!conversations.has(conversationId)) {
-        conversations.set(conversationId, {
-            id: conversationId,
-            customer: payload.customer || payload.messages?.customer,
-            messages: []
-        });
+// Agents only see their tenant's conversations routed to their branches; anything else looks like it doesn't exist
+function findAccessibleConversation(req, res, options) {
+    const conversation = store.getConversation(req.params.id || req.body.conversationId, options);
+    if (!canAccessConversation(req.user, conversation)) {
+        res.status(404).send('Conversation not found');
+        return null;
     }
-    
-    const conversation = conversations.get(conversationId);
-    conversation.messages.push(message);
-
-    // Broadcast customer message to dashboard
-    broadcast({ 
-        type: 'customerMessage', 
-        payload: { 
-            conversationId, 
-            customer: conversation.customer,
-            message,
-            timestamp: new Date().toISOString()
-        } 
+    return conversation;
+}
+
+// Password guessing is slowed down per client IP and per username (LOGIN_MAX_ATTEMPTS per LOGIN_WINDOW_MINUTES)
+const loginLimiter = createLoginLimiter({
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '10', 10),
+    windowMinutes: parseFloat(process.env.LOGIN_WINDOW_MINUTES || '15')
+});
+
+// Login, logout and the current user
+app.post('/api/login', (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).send('username and password are required');
+    }
+
+    const limiterKeys = [`ip:${req.ip}`, `user:${username.toLowerCase()}`];
+    const retryAfter = loginLimiter.retryAfter(limiterKeys);
+    if (retryAfter > 0) {
+        console.warn(`Dashboard login for "${username}" from ${req.ip} rate limited`);
+        res.setHeader('Retry-After', String(retryAfter));
+        return res.status(429).send('Too many failed logins, try again later');
+    }
+
+    // The tenant's login page (/login?tenant=<id>) only lets that tenant's users in
+    const session = auth.login(username, password, { tenantId: typeof req.body.tenant === 'string' ? req.body.tenant : null });
+    if (!session) {
+        loginLimiter.recordFailure(limiterKeys);
+        console.warn(`Failed dashboard login for "${username}"`);
+        return res.status(401).send('Invalid username or password');
+    }
+    loginLimiter.reset([`user:${username.toLowerCase()}`]);
+
+    res.setHeader('Set-Cookie', auth.sessionCookie(req, session.token, session.expiresAt));
+    res.json({ user: session.user, expiresAt: session.expiresAt });
+});
+
+app.post('/api/logout', (req, res) => {
+    auth.logout(req);
+    res.setHeader('Set-Cookie', auth.clearCookie());
+    res.status(204).end();
+});
+
+app.get('/api/me', auth.requireAuth, (req, res) => {
+    const { id, brand, language, locale } = req.tenant.config;
+    res.json({ ...req.user, tenant: { id, brand, language, locale } });
+});
+
+// Branch list for routing and user management
+app.get('/api/branches', auth.requireAuth, async (req, res) => {
+    if (!req.tenant.catalog) await req.tenant.knowledgeBase.load();
+    res.json(req.tenant.catalog.branches.map(branch => ({ id: branch.id, name: branch.name, closed: branch.closed })));
+});
+
+// User management (admin only, within the admin's tenant); passwords are only ever stored as scrypt hashes
+function validateUserFields(body) {
+    if (body.role !== undefined && !ROLES.includes(body.role)) {
+        return `role must be one of: ${ROLES.join(', ')}`;
+    }
+    if (body.branches !== undefined && (!Array.isArray(body.branches) || body.branches.some(branch => typeof branch !== 'string'))) {
+        return 'branches must be an array of branch IDs';
+    }
+    if (body.password !== undefined && (typeof body.password !== 'string' || body.password.length < 8)) {
+        return 'password must be at least 8 characters';
+    }
+    return null;
+}
+
+app.get('/api/users', auth.requireRole('admin'), (req, res) => {
+    res.json(store.listUsers().filter(user => user.tenantId === req.user.tenantId).map(publicUser));
+});
+
+app.post('/api/users', auth.requireRole('admin'), (req, res) => {
+    const { username, password, displayName, role = 'agent', branches = [] } = req.body;
+    const error = validateUserFields({ role, branches, password }) ||
+        (typeof username !== 'string' || !/^[a-z0-9._-]{2,64}$/i.test(username) ? 'username is required (letters, digits, . _ -)' : null) ||
+        (password === undefined ? 'password is required' : null);
+
+    if (error) return res.status(400).send(error);
+    // Usernames are unique across tenants, since the login form may not say which tenant it is for
+    if (store.getUser(username)) return res.status(409).send('User already exists');
+
+    const user = store.saveUser({
+        username,
+        displayName: displayName || username,
+        role,
+        branches,
+        tenantId: req.user.tenantId,
+        passwordHash: hashPassword(password)
+    });
+    res.status(201).json(publicUser(user));
+});
+
+app.patch('/api/users/:username', auth.requireRole('admin'), (req, res) => {
+    const user = store.getUser(req.params.username);
+    if (!user || user.tenantId !== req.user.tenantId) return res.status(404).send('User not found');
+
+    const error = validateUserFields(req.body);
+    if (error) return res.status(400).send(error);
+
+    const { role, branches, displayName, password } = req.body;
+    const updated = store.saveUser({
+        ...user,
+        ...(role !== undefined && { role }),
+        ...(branches !== undefined && { branches }),
+        ...(displayName !== undefined && { displayName }),
+        ...(password !== undefined && { passwordHash: hashPassword(password) })
+    });
+    res.json(publicUser(updated));
+});
+
+const MAX_PAGE_SIZE = 200;
+
+function parsePaging(query, defaultLimit) {
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+    return { limit, offset };
+}
+
+// Get conversations sorted by most recent activity (?limit=&offset=, filters ?intent=&tag=)
+app.get('/api/conversations', auth.requireAuth, (req, res) => {
+    const { limit, offset } = parsePaging(req.query, 50);
+    const { items, total } = store.listConversations({
+        limit,
+        offset,
+        tenantId: req.user.tenantId,
+        branchIds: branchScope(req.user),
+        intent: req.query.intent || null,
+        tag: req.query.tag || null
     });
+    res.json({ conversations: items, total, limit, offset });
+});
+
+// Get specific conversation messages (?limit=&before=<message id> pages backwards)
+app.get('/api/conversations/:id', auth.requireAuth, (req, res) => {
+    const { limit } = parsePaging(req.query, 100);
+    const before = parseInt(req.query.before, 10) || undefined;
+    const conversation = findAccessibleConversation(req, res, { limit, before });
+    if (!conversation) return;
+
+    res.json({
+        id: conversation.id,
+        customer: conversation.customer,
+        branchId: conversation.branchId || null,
+        messages: conversation.messages,
+        hasMoreMessages: conversation.hasMoreMessages
+    });
+});
+
+// Stored attachment files, for the dashboard's thumbnails and players
+app.get('/api/conversations/:id/attachments/:file', auth.requireAuth, (req, res) => {
+    if (!findAccessibleConversation(req, res, { limit: 0 })) return;
+    const filePath = media.filePath(req.params.id, req.params.file);
+    if (!filePath) return res.status(404).send('Attachment not found');
+
+    const headers = { 'X-Content-Type-Options': 'nosniff', 'Cache-Control': 'private, max-age=86400' };
+    if (!isInlineFile(req.params.file)) headers['Content-Disposition'] = `attachment; filename="${req.params.file}"`;
+    res.sendFile(filePath, { headers }, (error) => {
+        if (error && !res.headersSent) res.status(404).send('Attachment not found');
+    });
+});
+
+// Route a conversation to a branch (supervisors and admins)
+app.patch('/api/conversations/:id', auth.requireRole('supervisor'), async (req, res) => {
+    const { branchId } = req.body;
+    if (!req.tenant.catalog) await req.tenant.knowledgeBase.load();
+    if (branchId !== null && !req.tenant.catalog.branches.some(branch => branch.id === branchId)) {
+        return res.status(400).send('Unknown branchId');
+    }
+    if (!findAccessibleConversation(req, res, { limit: 0 })) return;
+
+    store.updateConversation(req.params.id, { branchId });
+    const payload = { conversationId: req.params.id, branchId, routedBy: req.user.username, timestamp: new Date().toISOString() };
+    realtime.publish(req.params.id, 'conversationRouted', payload);
+    announceActivity(req.params.id, null);
+    res.json(payload);
+});
+
+// Regenerate alternative drafts (short / detailed / apologetic) for the dashboard's refresh button
+app.post('/api/regenerate-suggestion', auth.requireAuth, async (req, res) => {
+    const { conversationId } = req.body;
+    const tones = Array.isArray(req.body.tones) && req.body.tones.length > 0 ? req.body.tones : DEFAULT_VARIANT_TONES;
+    // hasOwn, not "in": "toString" or "constructor" are on every object's prototype but are not tones
+    const unknownTones = tones.filter(tone => typeof tone !== 'string' || !Object.hasOwn(SUGGESTION_TONES, tone));
+
+    if (!conversationId) {
+        return res.status(400).send('conversationId is required');
+    }
+    if (unknownTones.length > 0) {
+        return res.status(400).send(`Unknown tone(s): ${unknownTones.join(', ')}`);
+    }
+
+    const conversation = findAccessibleConversation(req, res, { limit: CONTEXT_MESSAGE_LIMIT });
+    if (!conversation) return;
 
-    // Generate AI suggestion for agent
     try {
-        const aiSuggestion = await getAIResponse(message.content);
-        broadcast({ 
-            type: 'aiSuggestion', 
-            payload: { 
-                conversationId, 
-                suggestion: aiSuggestion,
-                timestamp: new Date().toISOString()
-            } 
-        });
+        const results = await Promise.all(tones.map(tone => suggestionQueue.limit(() => getAIResponse(req.tenant, conversation, { tone }))));
+        const latestCustomerMessage = [...conversation.messages].reverse().find(message => message.sender === 'customer');
+        const variants = results.map((result, index) => store.addSuggestion(conversationId, {
+            messageId: latestCustomerMessage?.id,
+            tone: tones[index],
+            suggestion: result.suggestion,
+            chunkIds: result.chunkIds,
+            intent: result.intent,
+            warnings: result.warnings,
+            provider: result.provider,
+            model: result.model,
+            usage: result.usage,
+            latencyMs: result.latencyMs
+        })).map(({ id, tone, suggestion, warnings }) => ({ id, tone, suggestion, warnings }));
+        const chunkIds = [...new Set(results.flatMap(result => result.chunkIds))];
+        const payload = {
+            conversationId,
+            suggestion: variants[0].suggestion,
+            variants,
+            chunkIds,
+            timestamp: new Date().toISOString()
+        };
+
+        realtime.publish(conversationId, 'aiSuggestion', payload);
+        res.json(payload);
     } catch (error) {
-        console.error("Failed to generate AI suggestion:", error);
+        console.error("Failed to regenerate AI suggestions:", error.message);
+        res.status(502).json(publishSuggestionError(conversationId, error));
     }
 });
 
-// --- 6. API ENDPOINTS FOR DASHBOARD ---
-
-// Get all conversations sorted by most recent activity
-app.get('/api/conversations', (req, res) => {
-    const convoList = Array.from(conversations.values()).map(c => ({
-        id: c.id,
-        name: c.customer?.name || c.customer?.phone_number || 'Unknown Customer',
-        phoneNumber: c.customer?.phone_number,
-        lastMessage: c.messages.length > 0 ? c.messages[c.messages.length - 1].content.substring(0, 40) : 'No messages',
-        messageCount: c.messages.length,
-        lastActivity: c.messages.length > 0 ? c.messages[c.messages.length - 1].timestamp : null
-    }));
+// Auto-reply status of the user's tenant for everyone; only its admins may flip the kill switch
+app.get('/api/auto-reply', auth.requireAuth, (req, res) => {
+    res.json(req.tenant.autoReply.settings());
+});
 
-    // Sort by last activity
-    convoList.sort((a, b) => new Date(b.lastActivity || 0) - new Date(a.lastActivity || 0));
-    res.json(convoList);
+app.put('/api/auto-reply', auth.requireRole('admin'), (req, res) => {
+    if (typeof req.body.enabled !== 'boolean') {
+        return res.status(400).send('enabled must be true or false');
+    }
+    req.tenant.autoReply.setEnabled(req.body.enabled);
+    console.log(`🤖 Auto-reply ${req.body.enabled ? 'enabled' : 'disabled'} for ${req.tenant.config.brand} by ${req.user.username}`);
+    res.json(req.tenant.autoReply.settings());
 });
 
-// Get specific conversation messages
-app.get('/api/conversations/:id', (req, res) => {
-    const conversation = conversations.get(req.params.id);
-    if (conversation) {
-        res.json({
-            id: conversation.id,
-            customer: conversation.customer,
-            messages: conversation.messages
+// Send an agent reply (or a private note) to the customer through Connexease
+app.post('/api/conversations/:id/reply', auth.requireAuth, async (req, res) => {
+    const conversationId = req.params.id;
+    const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+    const isPrivate = req.body.private === true;
+
+    if (!content) {
+        return res.status(400).send('content is required');
+    }
+    if (!findAccessibleConversation(req, res, { limit: 0 })) return;
+
+    // Only a draft of this conversation counts; anything else is sent as a plain reply
+    const draft = req.body.suggestionId ? store.getSuggestion(parseInt(req.body.suggestionId, 10)) : null;
+    const suggestion = draft?.conversationId === conversationId ? draft : null;
+
+    const result = await sendConnexeaseReply(req.tenant, conversationId, content, { isPrivate });
+    if (!result) {
+        return res.status(502).send('Failed to send message through Connexease');
+    }
+
+    const message = recordAgentMessage(req.tenant, conversationId, {
+        content,
+        private: isPrivate,
+        suggestionId: suggestion?.id ?? null,
+        agent: req.user.username,
+        externalId: result.id ?? null
+    });
+
+    // The first reply sent from a draft records how much the agent changed it
+    if (suggestion && !isPrivate && !suggestion.sent) {
+        store.updateSuggestion(suggestion.id, {
+            sent: { messageId: message.id, by: req.user.username, at: message.createdAt, ...outcomeOf(suggestion.suggestion, content) }
         });
-    } else {
-        res.status(404).send('Conversation not found');
     }
+    res.status(201).json(message);
+});
+
+// 👍 / 👎 on a draft; a thumbs down needs a reason so the analytics can say what went wrong
+app.post('/api/suggestions/:id/feedback', auth.requireAuth, (req, res) => {
+    const { rating, reason = null } = req.body;
+    const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 500) : '';
+
+    if (rating !== 'up' && rating !== 'down') {
+        return res.status(400).send('rating must be "up" or "down"');
+    }
+    if (rating === 'down' && !FEEDBACK_REASONS.includes(reason)) {
+        return res.status(400).send(`reason must be one of: ${FEEDBACK_REASONS.join(', ')}`);
+    }
+
+    const suggestion = store.getSuggestion(parseInt(req.params.id, 10));
+    const conversation = suggestion && store.getConversation(suggestion.conversationId, { limit: 0 });
+    if (!canAccessConversation(req.user, conversation)) {
+        return res.status(404).send('Suggestion not found');
+    }
+
+    const feedback = {
+        rating,
+        reason: rating === 'down' ? reason : null,
+        note: note || null,
+        by: req.user.username,
+        at: new Date().toISOString()
+    };
+    const updated = store.updateSuggestion(suggestion.id, { feedback });
+    res.json({ id: updated.id, conversationId: updated.conversationId, feedback });
+});
+
+// Supervisor numbers for a period: ?days=30 or ?from=&to= (ISO dates), optionally ?branchId=
+const modelPrices = loadPrices();
+const DEFAULT_ANALYTICS_DAYS = 30;
+
+app.get('/api/analytics', auth.requireRole('supervisor'), (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || DEFAULT_ANALYTICS_DAYS, 1), 366);
+    const from = req.query.from ? new Date(req.query.from) : new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+        return res.status(400).send('from and to must be ISO dates, from before to');
+    }
+
+    const branchId = req.query.branchId || null;
+    if (branchId && !canAccessBranch(req.user, branchId)) {
+        return res.status(404).send('Branch not found');
+    }
+
+    const suggestions = store.listSuggestionsBetween({
+        from: from.toISOString(),
+        to: to.toISOString(),
+        tenantId: req.user.tenantId,
+        branchIds: branchId ? [branchId] : branchScope(req.user)
+    });
+    res.json({
+        from: from.toISOString(),
+        to: to.toISOString(),
+        branchId,
+        ...summarizeSuggestions(suggestions, { prices: modelPrices })
+    });
+});
+
+// Knowledge base of the admin's tenant: upload workbooks, preview the diff, apply; list versions and roll back
+const KNOWLEDGE_BASE_ERROR_STATUS = { not_found: 404, invalid: 400, unreadable: 400, stale: 409, swap_failed: 500 };
+
+function sendKnowledgeBaseResult(res, result, status = 200) {
+    if (!result.ok) {
+        return res.status(KNOWLEDGE_BASE_ERROR_STATUS[result.error] || 400).json({ error: result.error, message: result.message, problems: result.problems });
+    }
+    res.status(status).json(result.draft || { version: result.version, unchanged: Boolean(result.unchanged) });
+}
+
+app.get('/api/knowledge-base', auth.requireRole('admin'), async (req, res) => {
+    const { knowledgeBase } = req.tenant;
+    await knowledgeBase.load();
+    res.json({ ...knowledgeBase.current(), files: req.tenant.config.knowledgeBase.files, versions: await knowledgeBase.listVersions() });
+});
+
+// { files: { branches?: <base64 ŞUBE DOKTOR.xlsx>, treatments?: <base64 TEDAVİLER.xlsx> } } -> preview
+app.post('/api/knowledge-base/uploads', auth.requireRole('admin'), async (req, res) => {
+    const files = req.body?.files || {};
+    const uploads = {};
+    for (const kind of Object.keys(req.tenant.config.knowledgeBase.files)) {
+        if (files[kind] === undefined || files[kind] === null) continue;
+        if (typeof files[kind] !== 'string') return res.status(400).send(`files.${kind} must be a base64 string`);
+        uploads[kind] = Buffer.from(files[kind], 'base64');
+    }
+
+    await req.tenant.knowledgeBase.load();
+    const result = await req.tenant.knowledgeBase.preview(uploads, { by: req.user.username });
+    sendKnowledgeBaseResult(res, result, 201);
+});
+
+app.post('/api/knowledge-base/uploads/:id/apply', auth.requireRole('admin'), async (req, res) => {
+    sendKnowledgeBaseResult(res, await req.tenant.knowledgeBase.apply(req.params.id, { by: req.user.username }));
+});
+
+app.post('/api/knowledge-base/versions/:id/rollback', auth.requireRole('admin'), async (req, res) => {
+    await req.tenant.knowledgeBase.load();
+    sendKnowledgeBaseResult(res, await req.tenant.knowledgeBase.rollback(req.params.id, { by: req.user.username }));
+});
+
+// Appointments: free slots per branch, bookings per conversation, cancel and reschedule
+const BOOKING_ERROR_STATUS = { not_found: 404, invalid_slot: 400, closed: 400, conflict: 409, not_active: 409 };
+
+function sendBookingResult(res, result, status = 200) {
+    if (!result.ok) return res.status(BOOKING_ERROR_STATUS[result.error] || 400).json({ error: result.error, message: result.message });
+    if (result.booking.conversationId) {
+        realtime.publish(result.booking.conversationId, 'bookingUpdated', { conversationId: result.booking.conversationId, booking: result.booking });
+    }
+    res.status(status).json(result.booking);
+}
+
+function findAccessibleBooking(req, res) {
+    const booking = store.getBooking(parseInt(req.params.id, 10));
+    if (!booking || booking.tenantId !== req.user.tenantId || !canAccessBranch(req.user, booking.branchId)) {
+        res.status(404).send('Booking not found');
+        return null;
+    }
+    return booking;
+}
+
+// ?doctorId=&from=YYYY-MM-DD&days=
+app.get('/api/branches/:branchId/slots', auth.requireAuth, async (req, res) => {
+    if (!req.tenant.catalog) await req.tenant.knowledgeBase.load();
+    if (!canAccessBranch(req.user, req.params.branchId)) return res.status(404).send('Branch not found');
+    if (req.query.from && !/^\d{4}-\d{2}-\d{2}$/.test(req.query.from)) return res.status(400).send('from must be YYYY-MM-DD');
+
+    const result = req.tenant.appointments.freeSlots({
+        branchId: req.params.branchId,
+        doctorId: req.query.doctorId || undefined,
+        from: req.query.from,
+        days: Math.max(parseInt(req.query.days, 10) || 7, 1)
+    });
+    if (!result.ok) return res.status(BOOKING_ERROR_STATUS[result.error] || 400).json({ error: result.error, message: result.message });
+    res.json({ branchId: req.params.branchId, slots: result.slots });
+});
+
+app.get('/api/conversations/:id/bookings', auth.requireAuth, (req, res) => {
+    if (!findAccessibleConversation(req, res, { limit: 0 })) return;
+    res.json(store.listBookings({ conversationId: req.params.id }));
+});
+
+// Body: { doctorId, start, branchId?, treatmentId?, note? }; the branch defaults to the conversation's
+app.post('/api/conversations/:id/bookings', auth.requireAuth, async (req, res) => {
+    const conversation = findAccessibleConversation(req, res, { limit: 0 });
+    if (!conversation) return;
+    const branchId = req.body.branchId || conversation.branchId;
+    if (!branchId || !req.body.doctorId || !req.body.start) {
+        return res.status(400).send('branchId (or a routed conversation), doctorId and start are required');
+    }
+    if (!canAccessBranch(req.user, branchId)) return res.status(404).send('Branch not found');
+    if (!req.tenant.catalog) await req.tenant.knowledgeBase.load();
+
+    const result = req.tenant.appointments.book({
+        conversationId: conversation.id,
+        branchId,
+        doctorId: req.body.doctorId,
+        start: req.body.start,
+        treatmentId: req.body.treatmentId || null,
+        note: typeof req.body.note === 'string' ? req.body.note : '',
+        createdBy: req.user.username
+    });
+    if (result.ok) console.log(`📅 Booking ${result.booking.id} created by ${req.user.username}`);
+    sendBookingResult(res, result, 201);
+});
+
+app.post('/api/bookings/:id/cancel', auth.requireAuth, (req, res) => {
+    const booking = findAccessibleBooking(req, res);
+    if (!booking) return;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason : '';
+    sendBookingResult(res, req.tenant.appointments.cancel(booking.id, { by: req.user.username, reason }));
+});
+
+// Body: { start } - same doctor and branch, new time
+app.post('/api/bookings/:id/reschedule', auth.requireAuth, async (req, res) => {
+    const booking = findAccessibleBooking(req, res);
+    if (!booking) return;
+    if (!req.body.start) return res.status(400).send('start is required');
+    if (!req.tenant.catalog) await req.tenant.knowledgeBase.load();
+    sendBookingResult(res, req.tenant.appointments.reschedule(booking.id, req.body.start, { by: req.user.username }));
 });
 
 // --- 7. AGENT-ASSIST DASHBOARD ---
-app.get('/dashboard', (req, res) => {
+// /login?tenant=<id> is that tenant's branded login page; with a single tenant the plain URL is branded too
+const loginPath = (tenant) => (tenants.size > 1 ? `/login?tenant=${tenant.id}` : '/login');
+
+app.get('/login', (req, res) => {
+    const tenant = tenants.get(req.query.tenant) || (tenants.size === 1 ? defaultTenant : null);
+    const title = tenant ? `${tenant.config.brand} - Agent Assist Login` : 'Agent Assist Login';
+    const loginHtml = `
+    <!DOCTYPE html>
+    <html lang="${tenant ? tenant.config.language : 'en'}">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title}</title>
+        <script src="https://cdn.tailwindcss.com"></script>
+        <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600&display=swap" rel="stylesheet">
+        <style>body { font-family: 'Inter', sans-serif; }</style>
+    </head>
+    <body class="bg-gray-900 text-gray-100 h-screen flex items-center justify-center">
+        <form id="login-form" class="bg-gray-950 border border-gray-700 rounded-lg p-6 w-80 space-y-4">
+            <h1 class="text-xl font-semibold text-blue-400">${tenant ? `${tenant.config.brand} ` : ''}Agent Assist</h1>
+            <input id="username" autocomplete="username" placeholder="Username" required
+                   class="w-full bg-gray-900 border border-gray-700 rounded p-2 text-sm focus:outline-none focus:border-blue-500">
+            <input id="password" type="password" autocomplete="current-password" placeholder="Password" required
+                   class="w-full bg-gray-900 border border-gray-700 rounded p-2 text-sm focus:outline-none focus:border-blue-500">
+            <button class="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded text-sm">Log in</button>
+            <p id="login-error" class="text-xs text-red-400"></p>
+        </form>
+    <script>
+        document.getElementById('login-form').onsubmit = (event) => {
+            event.preventDefault();
+            fetch('/api/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: document.getElementById('username').value,
+                    password: document.getElementById('password').value,
+                    tenant: ${JSON.stringify(tenant && tenants.size > 1 ? tenant.id : null)}
+                })
+            })
+                .then(res => {
+                    if (!res.ok) return res.text().then(text => { throw new Error(text); });
+                    window.location.href = '/dashboard';
+                })
+                .catch(err => { document.getElementById('login-error').textContent = err.message; });
+        };
+    </script>
+    </body>
+    </html>
+    `;
+    res.send(loginHtml);
+});
+
+app.get('/dashboard', auth.requireAuth, (req, res) => {
+    const { brand, language, locale, timeZone, knowledgeBase } = req.tenant.config;
     const dashboardHtml = `
     <!DOCTYPE html>
-    <html lang="tr">
+    <html lang="${language}">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Climed - Agent Assist Dashboard</title>
+        <title>${brand} - Agent Assist Dashboard</title>
         <script src="https://cdn.tailwindcss.com"></script>
         <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600&display=swap" rel="stylesheet">
         <style>
@@ -279,7 +1275,25 @@ app.get('/dashboard', (req, res) => {
         <div class="w-1/4 bg-gray-950 border-r border-gray-700 flex flex-col">
             <div class="p-4 border-b border-gray-700">
                 <h1 class="text-xl font-semibold text-blue-400">Conversations</h1>
-                <p class="text-sm text-gray-400 mt-1">Climed Customer Service</p>
+                <p class="text-sm text-gray-400 mt-1">${brand} Customer Service</p>
+                <div class="flex justify-between items-center mt-2 text-xs text-gray-400">
+                    <span id="current-user"></span>
+                    <button id="logout" class="text-blue-400 hover:underline">Log out</button>
+                </div>
+                <div class="flex justify-between items-center mt-2 text-xs text-gray-400">
+                    <span id="auto-reply-status">Auto-reply: ...</span>
+                    <button id="auto-reply-toggle" class="text-blue-400 hover:underline hidden"></button>
+                </div>
+                <div class="flex space-x-3 mt-2">
+                    <button id="analytics-open" class="text-xs text-blue-400 hover:underline hidden">📊 Suggestion analytics</button>
+                    <button id="kb-open" class="text-xs text-blue-400 hover:underline hidden">📚 Knowledge base</button>
+                </div>
+                <div class="flex items-center mt-3 space-x-2">
+                    <select id="intent-filter" class="bg-gray-900 border border-gray-700 rounded text-xs text-gray-200 p-1">
+                        <option value="">All intents</option>
+                    </select>
+                    <button id="tag-filter" class="hidden bg-blue-700 text-white px-2 py-0.5 rounded text-xs" title="Clear tag filter"></button>
+                </div>
             </div>
             <div id="conversations-list" class="flex-1 overflow-y-auto">
                 <!-- Conversations will be loaded here -->
@@ -294,14 +1308,26 @@ app.get('/dashboard', (req, res) => {
             <div id="chat-messages" class="flex-1 overflow-y-auto p-4 space-y-4">
                 <!-- Messages will be loaded here -->
             </div>
+            <div id="compose" class="p-4 border-t border-gray-700 bg-gray-800 hidden">
+                <textarea id="compose-text" rows="4" placeholder="Type a reply or use the AI suggestion..."
+                          class="w-full bg-gray-900 border border-gray-700 rounded p-2 text-sm text-gray-100 focus:outline-none focus:border-blue-500"></textarea>
+                <div class="flex justify-between items-center mt-2">
+                    <label class="text-xs text-gray-400 flex items-center">
+                        <input id="compose-private" type="checkbox" class="mr-2"> Private note (not sent to customer)
+                    </label>
+                    <button id="compose-send" class="bg-green-600 hover:bg-green-700 text-white px-4 py-1 rounded text-sm">Send</button>
+                </div>
+                <p id="compose-status" class="text-xs mt-1 text-gray-400"></p>
+            </div>
         </div>
 
         <!-- RIGHT PANEL: AI Suggestions -->
         <div class="w-1/3 bg-gray-950 border-l border-gray-700 flex flex-col">
             <div class="p-4 border-b border-gray-700">
-                <h2 class="text-lg font-semibold text-green-400">GPT-5 Assistant</h2>
-                <p class="text-sm text-gray-400 mt-1">AI-powered suggestions</p>
+                <h2 class="text-lg font-semibold text-green-400">AI Assistant</h2>
+                <p class="text-sm text-gray-400 mt-1">Suggestions from ${models.describe().join(' → ')}</p>
             </div>
+            <div id="bookings" class="p-4 border-b border-gray-700 hidden"></div>
             <div id="ai-suggestions" class="flex-1 overflow-y-auto p-4">
                 <!-- AI suggestions will appear here -->
             </div>
@@ -312,57 +1338,312 @@ app.get('/dashboard', (req, res) => {
             </div>
         </div>
 
+        <!-- Supervisor analytics, over everything -->
+        <div id="analytics-panel" class="hidden fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50">
+            <div class="bg-gray-900 border border-gray-700 rounded-lg w-2/3 max-h-full overflow-y-auto p-6">
+                <div class="flex justify-between items-center mb-4">
+                    <h2 class="text-lg font-semibold text-blue-400">Suggestion analytics</h2>
+                    <div class="flex items-center space-x-2 text-xs">
+                        <select id="analytics-days" class="bg-gray-900 border border-gray-700 rounded text-gray-200 p-1">
+                            <option value="1">Last 24 hours</option>
+                            <option value="7">Last 7 days</option>
+                            <option value="30" selected>Last 30 days</option>
+                            <option value="90">Last 90 days</option>
+                        </select>
+                        <select id="analytics-branch" class="bg-gray-900 border border-gray-700 rounded text-gray-200 p-1">
+                            <option value="">All branches</option>
+                        </select>
+                        <button id="analytics-close" class="text-gray-400 hover:text-white px-2">✕</button>
+                    </div>
+                </div>
+                <div id="analytics-body" class="text-sm text-gray-300">Loading...</div>
+            </div>
+        </div>
+
+        <!-- Knowledge base management (admins) -->
+        <div id="kb-panel" class="hidden fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50">
+            <div class="bg-gray-900 border border-gray-700 rounded-lg w-2/3 max-h-full overflow-y-auto p-6">
+                <div class="flex justify-between items-center mb-4">
+                    <h2 class="text-lg font-semibold text-blue-400">Knowledge base</h2>
+                    <button id="kb-close" class="text-gray-400 hover:text-white px-2 text-xs">✕</button>
+                </div>
+                <p id="kb-live" class="text-sm text-gray-300 mb-4">Loading...</p>
+                <div class="bg-gray-800 rounded p-3 mb-4 text-xs text-gray-300">
+                    <p class="mb-2">Upload new workbooks; a workbook left empty keeps its current version.</p>
+                    <label class="block mb-1">${knowledgeBase.files.branches} <input id="kb-branches" type="file" accept=".xlsx" class="ml-2"></label>
+                    <label class="block mb-2">${knowledgeBase.files.treatments} <input id="kb-treatments" type="file" accept=".xlsx" class="ml-2"></label>
+                    <button id="kb-preview" class="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded">Preview changes</button>
+                </div>
+                <div id="kb-draft" class="mb-4"></div>
+                <h3 class="text-xs font-semibold text-gray-400 uppercase mb-2">Versions</h3>
+                <div id="kb-versions" class="text-xs text-gray-300"></div>
+            </div>
+        </div>
+
     <script>
         let activeConversationId = null;
-        let currentCustomerMessage = null;
+        let loadedConversations = [];
+        let conversationsTotal = 0;
+        let loadedMessages = [];
+        let hasMoreMessages = false;
+        let currentSuggestion = null;
+        let selectedVariant = 0;
+        let currentBookings = [];
+        let streamingSuggestion = null; // { generationId, text } while a draft is being written
 
-        // WebSocket connection
-        const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const ws = new WebSocket(\`\${wsProtocol}//\${window.location.host}\`);
-        
-        ws.onopen = () => {
-            console.log('Connected to Agent-Assist Dashboard');
-            loadConversations();
+        let composePrefill = '';
+
+        // Customer messages, model drafts and workbook contents go through this before they reach innerHTML
+        const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+        const TONE_LABELS = { default: 'Önerilen', short: 'Kısa', detailed: 'Detaylı', apologetic: 'Özür dileyen' };
+
+        let currentUser = null;
+        let branchNames = {};
+        const filters = { intent: '', tag: '' };
+
+        const INTENT_LABELS = {
+            appointment: 'Appointment',
+            price: 'Price',
+            address: 'Address',
+            treatment_info: 'Treatment info',
+            complaint: 'Complaint',
+            cancellation: 'Cancellation',
+            other: 'Other'
         };
+        const INTENT_COLORS = { complaint: 'bg-red-800', cancellation: 'bg-orange-800', appointment: 'bg-green-800', price: 'bg-indigo-800' };
+
+        const intentChip = (intent) => intent
+            ? \`<span class="\${INTENT_COLORS[intent] || 'bg-gray-600'} text-white px-2 py-0.5 rounded text-xs">\${escapeHtml(INTENT_LABELS[intent] || intent)}</span>\`
+            : '';
+
+        const STATUS_LABELS = { assigned: 'Assigned', transferred: 'Transferred', resolved: 'Resolved', closed: 'Closed' };
+
+        // Connexease status of a conversation; open conversations show nothing
+        function statusChip({ status, assignee }) {
+            if (!STATUS_LABELS[status]) return '';
+            const color = status === 'resolved' || status === 'closed' ? 'bg-gray-600' : 'bg-sky-800';
+            return \`<span class="\${color} text-white px-2 py-0.5 rounded text-xs">\${STATUS_LABELS[status]}\${assignee ? \`: \${escapeHtml(assignee.name)}\` : ''}</span>\`;
+        }
+
+        const ATTACHMENT_PREVIEWS = { image: '📷 Photo', audio: '🎤 Voice message', video: '🎬 Video', location: '📍 Location', file: '📎 File' };
+
+        // List preview: the caption, or what was attached
+        function messagePreview(message) {
+            if (message.content) return message.content.substring(0, 40);
+            const attachment = (message.attachments || [])[0];
+            return attachment ? (ATTACHMENT_PREVIEWS[attachment.type] || ATTACHMENT_PREVIEWS.file) : '';
+        }
+
+        // "branch:kadikoy" -> branch name, "treatment:varis" -> "varis"
+        function tagLabel(tag) {
+            const [kind, value] = tag.split(':');
+            return kind === 'branch' ? (branchNames[value] || value) : value;
+        }
 
-        ws.onmessage = (event) => {
-            const data = JSON.parse(event.data);
-            handleDashboardUpdate(data);
+        document.getElementById('intent-filter').innerHTML += Object.entries(INTENT_LABELS)
+            .map(([intent, label]) => \`<option value="\${intent}">\${label}</option>\`).join('');
+        document.getElementById('intent-filter').onchange = (event) => {
+            filters.intent = event.target.value;
+            loadConversations();
         };
 
-        ws.onclose = () => {
-            console.log('Dashboard connection lost');
-            setTimeout(loadConversations, 5000);
+        // Clicking a tag in the list filters by it; clicking the filter chip clears it
+        function setTagFilter(tag) {
+            filters.tag = tag;
+            const chip = document.getElementById('tag-filter');
+            chip.classList.toggle('hidden', !tag);
+            chip.textContent = tag ? \`\${tagLabel(tag)} ✕\` : '';
+            loadConversations();
+        }
+        document.getElementById('tag-filter').onclick = () => setTagFilter('');
+
+        // The session cookie authenticates every call; an expired session goes back to the login page
+        function apiFetch(url, options) {
+            return fetch(url, options).then(res => {
+                if (res.status === 401) window.location.href = '${loginPath(req.tenant)}';
+                return res;
+            });
+        }
+
+        apiFetch('/api/me')
+            .then(res => res.json())
+            .then(user => {
+                currentUser = user;
+                document.getElementById('current-user').textContent = \`\${user.displayName || user.username} (\${user.role})\`;
+                document.getElementById('analytics-open').classList.toggle('hidden', user.role === 'agent');
+                document.getElementById('kb-open').classList.toggle('hidden', user.role !== 'admin');
+                loadAutoReplyStatus();
+            })
+            .catch(err => console.error('Failed to load current user:', err));
+
+        // Auto-reply kill switch: everyone sees the state, admins can flip it
+        function renderAutoReplyStatus(settings) {
+            document.getElementById('auto-reply-status').textContent = \`Auto-reply: \${settings.enabled ? 'ON' : 'OFF'}\`;
+            const toggle = document.getElementById('auto-reply-toggle');
+            toggle.classList.toggle('hidden', currentUser?.role !== 'admin');
+            toggle.textContent = settings.enabled ? 'Turn off' : 'Turn on';
+            toggle.onclick = () => apiFetch('/api/auto-reply', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ enabled: !settings.enabled })
+            })
+                .then(res => res.json())
+                .then(renderAutoReplyStatus)
+                .catch(err => console.error('Failed to switch auto-reply:', err));
+        }
+
+        function loadAutoReplyStatus() {
+            apiFetch('/api/auto-reply')
+                .then(res => res.json())
+                .then(renderAutoReplyStatus)
+                .catch(err => console.error('Failed to load auto-reply status:', err));
+        }
+
+        apiFetch('/api/branches')
+            .then(res => res.json())
+            .then(branches => {
+                branchNames = Object.fromEntries(branches.map(branch => [branch.id, branch.name]));
+                document.getElementById('analytics-branch').innerHTML += branches
+                    .map(branch => \`<option value="\${escapeHtml(branch.id)}">\${escapeHtml(branch.name)}</option>\`).join('');
+                displayConversations(loadedConversations);
+            })
+            .catch(err => console.error('Failed to load branches:', err));
+
+        document.getElementById('logout').onclick = () => {
+            fetch('/api/logout', { method: 'POST' }).finally(() => { window.location.href = '${loginPath(req.tenant)}'; });
         };
 
+        // WebSocket connection (protocol v1: subscribe to the open conversation, resume by sequence number)
+        const PROTOCOL_VERSION = 1;
+        const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        let ws = null;
+        let serverEpoch = null;
+        let lastSeq = null; // last event applied for the active conversation
+        let reconnectDelay = 1000;
+
+        function connect() {
+            ws = new WebSocket(\`\${wsProtocol}//\${window.location.host}\`);
+
+            ws.onmessage = (event) => {
+                const data = JSON.parse(event.data);
+                handleDashboardUpdate(data);
+            };
+
+            ws.onclose = () => {
+                console.log('Dashboard connection lost, reconnecting...');
+                apiFetch('/api/me').catch(() => {}); // back to the login page if the session expired
+                setTimeout(connect, reconnectDelay);
+                reconnectDelay = Math.min(reconnectDelay * 2, 30000);
+            };
+        }
+
+        function sendToServer(message) {
+            if (ws && ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({ v: PROTOCOL_VERSION, ...message }));
+            }
+        }
+
+        // With a known position the server replays what we missed, otherwise it sends a fresh snapshot
+        function subscribe(conversationId) {
+            sendToServer({ type: 'subscribe', conversationId, epoch: serverEpoch, lastSeq });
+        }
+
         // Handle real-time updates
         function handleDashboardUpdate(data) {
-            if (data.type === 'customerMessage') {
-                // Update conversations list
+            if (data.type === 'hello') {
+                console.log('Connected to Agent-Assist Dashboard');
+                reconnectDelay = 1000;
+                serverEpoch = data.payload.epoch;
+                loadConversations();
+                if (activeConversationId) subscribe(activeConversationId);
+                return;
+            }
+            if (data.type === 'conversationUpdated') {
                 updateConversationsList(data.payload);
-                
-                // If viewing this conversation, show the new message
-                if (activeConversationId === data.payload.conversationId) {
-                    displayCustomerMessage(data.payload.message);
+                return;
+            }
+            if (data.type === 'error') {
+                console.error('Dashboard server error:', data.payload);
+                if (data.conversationId && data.conversationId === activeConversationId) {
+                    document.getElementById('chat-messages').innerHTML = '<p class="text-center text-red-400">Failed to load messages</p>';
                 }
+                return;
+            }
 
-                // Store for potential AI suggestion
-                currentCustomerMessage = data.payload.message.content;
-                
+            // Everything else belongs to the subscribed conversation
+            if (data.conversationId !== activeConversationId) return;
+            if (data.type === 'aiSuggestionDelta') {
+                displayAiSuggestionDelta(data.payload); // streamed tokens carry no sequence number
+                return;
+            }
+            if (data.type === 'snapshot') {
+                lastSeq = data.seq;
+                applySnapshot(data.payload);
+                return;
+            }
+            if (lastSeq !== null && data.seq <= lastSeq) return; // already applied
+            lastSeq = data.seq;
+
+            if (data.type === 'customerMessage' || data.type === 'agentMessage' || data.type === 'botMessage') {
+                loadedMessages.push(data.payload.message);
+                displayCustomerMessage(data.payload.message);
+                if (data.type === 'agentMessage' && !data.payload.message.private) renderHandoff(null);
+            } else if (data.type === 'messageAnalyzed') {
+                const message = loadedMessages.find(item => item.id === data.payload.messageId);
+                if (message) {
+                    Object.assign(message, { intent: data.payload.intent, entities: data.payload.entities });
+                    const element = document.getElementById(\`message-\${message.id}\`);
+                    if (element) element.outerHTML = renderMessage(message);
+                }
+            } else if (data.type === 'attachmentsStored') {
+                const message = loadedMessages.find(item => item.id === data.payload.messageId);
+                if (message) {
+                    message.attachments = data.payload.attachments;
+                    const element = document.getElementById(\`message-\${message.id}\`);
+                    if (element) element.outerHTML = renderMessage(message);
+                }
+            } else if (data.type === 'handoff') {
+                renderHandoff(data.payload.handoff);
+            } else if (data.type === 'conversationStatus') {
+                renderConversationStatus(data.payload);
+                renderHandoff(data.payload.handoff);
             } else if (data.type === 'aiSuggestion') {
-                // Display AI suggestion
-                if (activeConversationId === data.payload.conversationId) {
-                    displayAiSuggestion(data.payload.suggestion);
+                displayAiSuggestion(data.payload);
+            } else if (data.type === 'aiSuggestionDone') {
+                if (data.payload.status === 'completed') {
+                    displayAiSuggestion(data.payload);
+                } else if (streamingSuggestion?.generationId === data.payload.generationId) {
+                    clearStreamingSuggestion();
                 }
+            } else if (data.type === 'aiSuggestionError') {
+                if (streamingSuggestion?.generationId === data.payload.generationId) clearStreamingSuggestion();
+                displayAiSuggestionError(data.payload);
+            } else if (data.type === 'conversationRouted') {
+                renderBranchRouting(data.payload.branchId);
+            } else if (data.type === 'bookingUpdated') {
+                const booking = data.payload.booking;
+                currentBookings = currentBookings.filter(item => item.id !== booking.id).concat(booking)
+                    .sort((a, b) => a.startAt.localeCompare(b.startAt));
+                renderBookings();
             }
         }
 
-        // Load all conversations
-        function loadConversations() {
-            fetch('/api/conversations')
+        connect();
+
+        // Load the first page of conversations, or the next page when appending
+        function loadConversations(append = false) {
+            const offset = append ? loadedConversations.length : 0;
+            const query = new URLSearchParams({ offset });
+            if (filters.intent) query.set('intent', filters.intent);
+            if (filters.tag) query.set('tag', filters.tag);
+            apiFetch(\`/api/conversations?\${query}\`)
                 .then(res => res.json())
-                .then(conversations => {
-                    displayConversations(conversations);
+                .then(data => {
+                    loadedConversations = append ? loadedConversations.concat(data.conversations) : data.conversations;
+                    conversationsTotal = data.total;
+                    displayConversations(loadedConversations);
                 })
                 .catch(err => {
                     console.error('Failed to load conversations:', err);
@@ -383,80 +1664,189 @@ app.get('/dashboard', (req, res) => {
             container.innerHTML = conversations.map(conv => {
                 const isActive = activeConversationId === conv.id;
                 return \`
-                    <div class="conversation-item \${isActive ? 'active' : ''} p-4 border-b border-gray-700 cursor-pointer" 
-                         onclick="selectConversation('\${conv.id}', '\${conv.name}')">
-                        <h3 class="font-semibold text-white">\${conv.name}</h3>
-                        <p class="text-sm text-gray-400 mt-1 truncate">\${conv.lastMessage}</p>
+                    <div class="conversation-item \${isActive ? 'active' : ''} p-4 border-b border-gray-700 cursor-pointer"
+                         data-conversation-id="\${escapeHtml(conv.id)}" data-name="\${escapeHtml(conv.name)}"
+                         onclick="selectConversation(this.dataset.conversationId, this.dataset.name)">
+                        <div class="flex justify-between items-center">
+                            <h3 class="font-semibold text-white">\${escapeHtml(conv.name)}</h3>
+                            \${conv.branchId ? \`<span class="bg-gray-700 text-gray-300 px-2 py-0.5 rounded text-xs">\${escapeHtml(branchNames[conv.branchId] || conv.branchId)}</span>\` : ''}
+                        </div>
+                        <div class="flex flex-wrap gap-1 mt-1">
+                            \${conv.handoff ? '<span class="bg-red-700 text-white px-2 py-0.5 rounded text-xs">Needs human</span>' : ''}
+                            \${statusChip(conv)}
+                            \${intentChip(conv.intent)}
+                            \${(conv.tags || []).filter(tag => !tag.startsWith('branch:')).map(tag => \`
+                                <span data-tag="\${escapeHtml(tag)}" onclick="event.stopPropagation(); setTagFilter(this.dataset.tag)"
+                                      class="bg-gray-700 text-gray-300 hover:bg-gray-600 px-2 py-0.5 rounded text-xs">\${escapeHtml(tagLabel(tag))}</span>\`).join('')}
+                        </div>
+                        <p class="text-sm text-gray-400 mt-1 truncate">\${escapeHtml(conv.lastMessage)}</p>
                         <div class="flex justify-between items-center mt-2">
                             <span class="text-xs text-gray-500">\${conv.messageCount} message(s)</span>
-                            <span class="text-xs text-gray-500">\${conv.lastActivity || ''}</span>
+                            <span class="text-xs text-gray-500">\${escapeHtml(conv.lastActivity)}</span>
                         </div>
                     </div>
                 \`;
-            }).join('');
+            }).join('') + (conversationsTotal > conversations.length ? \`
+                <button onclick="loadConversations(true)" class="w-full p-3 text-sm text-blue-400 hover:bg-gray-800">
+                    Load more (\${conversationsTotal - conversations.length} remaining)
+                </button>\` : '');
         }
 
-        // Update conversations list with new message
+        // Update conversations list with new activity, moving the conversation to the top on new messages
         function updateConversationsList(payload) {
-            const container = document.getElementById('conversations-list');
-            const existingConv = document.querySelector(\`[onclick*="'\${payload.conversationId}'"]\`);
-            
-            if (existingConv) {
-                // Update existing conversation position
-                const newConv = document.createElement('div');
-                newConv.className = \`conversation-item \${activeConversationId === payload.conversationId ? 'active' : ''} p-4 border-b border-gray-700 cursor-pointer\`;
-                newConv.onclick = () => selectConversation(payload.conversationId, payload.customer.name || payload.customer.phone_number);
-                newConv.innerHTML = \`
-                    <h3 class="font-semibold text-white">\${payload.customer.name || payload.customer.phone_number || 'Unknown Customer'}</h3>
-                    <p class="text-sm text-gray-400 mt-1 truncate">\${payload.message.content.substring(0, 40)}...</p>
-                    <div class="flex justify-between items-center mt-2">
-                        <span class="text-xs text-gray-500">\${payload.message.timestamp}</span>
-                    </div>
-                \`;
-                
-                // Remove old and add new at top
-                existingConv.remove();
-                container.insertBefore(newConv, container.firstChild);
-            } else {
-                // Add new conversation at top
+            const conv = loadedConversations.find(item => item.id === payload.conversationId);
+            if (!conv || filters.intent || filters.tag) {
                 loadConversations();
+                return;
+            }
+
+            Object.assign(conv, {
+                branchId: payload.branchId,
+                handoff: payload.handoff,
+                status: payload.status,
+                assignee: payload.assignee,
+                intent: payload.intent,
+                tags: payload.tags
+            });
+            if (payload.message && payload.message.id !== conv.lastMessageId) {
+                conv.lastMessageId = payload.message.id;
+                conv.lastMessage = messagePreview(payload.message);
+                conv.lastActivity = payload.message.timestamp;
+                conv.messageCount += 1;
+                loadedConversations = [conv].concat(loadedConversations.filter(item => item !== conv));
             }
+            displayConversations(loadedConversations);
         }
 
         // Select a conversation
         function selectConversation(conversationId, customerName) {
+            if (activeConversationId && activeConversationId !== conversationId) {
+                sendToServer({ type: 'unsubscribe', conversationId: activeConversationId });
+            }
             activeConversationId = conversationId;
+            lastSeq = null;
             
             // Update conversation list UI
             document.querySelectorAll('.conversation-item').forEach(item => {
                 item.classList.remove('active');
             });
-            document.querySelector(\`[onclick*="'\${conversationId}'"]\`)?.classList.add('active');
+            document.querySelector(\`.conversation-item[data-conversation-id="\${CSS.escape(conversationId)}"]\`)?.classList.add('active');
 
             // Update chat header
             document.getElementById('chat-header').innerHTML = \`
-                <h2 class="text-lg font-semibold text-white">\${customerName}</h2>
+                <h2 class="text-lg font-semibold text-white">\${escapeHtml(customerName)}</h2>
                 <p class="text-sm text-gray-400">Customer conversation</p>
             \`;
 
-            // Load conversation messages
-            loadConversationMessages(conversationId);
+            // The subscription snapshot brings the messages and the latest AI suggestion
+            document.getElementById('chat-messages').innerHTML = '<p class="text-center text-gray-400">Loading messages...</p>';
+            document.getElementById('ai-suggestions').innerHTML = '';
+            document.getElementById('bookings').classList.add('hidden');
+            currentSuggestion = null;
+            streamingSuggestion = null;
+            currentBookings = [];
+            subscribe(conversationId);
+
+            // Fresh compose box for the newly selected conversation
+            document.getElementById('compose').classList.remove('hidden');
+            document.getElementById('compose-text').value = '';
+            document.getElementById('compose-status').textContent = '';
+            composePrefill = '';
         }
 
-        // Load messages for selected conversation
-        function loadConversationMessages(conversationId) {
-            const container = document.getElementById('chat-messages');
-            container.innerHTML = '<p class="text-center text-gray-400">Loading messages...</p>';
+        // Render a subscribed conversation from its snapshot
+        function applySnapshot(state) {
+            currentBookings = state.bookings || [];
+            renderBookings();
+            renderBranchRouting(state.branchId);
+            renderConversationStatus(state);
+            renderHandoff(state.handoff);
+            loadedMessages = state.messages;
+            hasMoreMessages = state.hasMoreMessages;
+            displayConversationMessages(loadedMessages);
+            if (state.suggestion) {
+                displayAiSuggestion(state.suggestion);
+            }
+            if (state.generating) {
+                document.getElementById('ai-suggestions').insertAdjacentHTML('afterbegin',
+                    '<p class="ai-streaming text-xs text-gray-400 mb-2">Generating a new suggestion...</p>');
+            }
+        }
 
-            fetch(\`/api/conversations/\${conversationId}\`)
+        // Page backwards through older messages of the active conversation
+        function loadEarlierMessages() {
+            if (!loadedMessages.length) return;
+            const conversationId = activeConversationId;
+            apiFetch(\`/api/conversations/\${encodeURIComponent(conversationId)}?before=\${loadedMessages[0].id}\`)
                 .then(res => res.json())
                 .then(data => {
-                    displayConversationMessages(data.messages);
+                    if (conversationId !== activeConversationId) return;
+                    const container = document.getElementById('chat-messages');
+                    const previousHeight = container.scrollHeight;
+                    loadedMessages = data.messages.concat(loadedMessages);
+                    hasMoreMessages = data.hasMoreMessages;
+                    displayConversationMessages(loadedMessages);
+                    container.scrollTop = container.scrollHeight - previousHeight;
                 })
-                .catch(err => {
-                    console.error('Failed to load messages:', err);
-                    container.innerHTML = '<p class="text-center text-red-400">Failed to load messages</p>';
-                });
+                .catch(err => console.error('Failed to load earlier messages:', err));
+        }
+
+        const HANDOFF_REASONS = {
+            bot_turn_limit: 'the bot reached its reply limit',
+            intent_not_allowed: 'this topic is not answered automatically',
+            low_confidence: 'the AI was not confident enough',
+            model_unavailable: 'the AI model could not be reached',
+            emergency: 'the customer may be describing an emergency',
+            guardrail: 'the AI draft failed the safety checks',
+            send_failed: 'the automatic reply could not be sent'
+        };
+
+        // Banner in the chat header while a handed-off conversation waits for an agent
+        function renderHandoff(handoff) {
+            const header = document.getElementById('chat-header');
+            header.querySelector('.handoff-banner')?.remove();
+            if (!handoff) return;
+            header.insertAdjacentHTML('beforeend', \`
+                <p class="handoff-banner mt-2 bg-red-900 border border-red-600 text-red-200 rounded px-2 py-1 text-xs">
+                    Needs a human: \${escapeHtml(HANDOFF_REASONS[handoff.reason] || handoff.reason)}
+                </p>\`);
+        }
+
+        // Status line in the chat header (assigned, transferred, resolved, closed)
+        function renderConversationStatus({ status, assignee, team }) {
+            const header = document.getElementById('chat-header');
+            header.querySelector('.conversation-status')?.remove();
+            if (!STATUS_LABELS[status]) return;
+            header.insertAdjacentHTML('beforeend', \`
+                <p class="conversation-status mt-2 text-xs text-sky-300">
+                    \${STATUS_LABELS[status]}\${assignee ? \` to \${escapeHtml(assignee.name)}\` : ''}\${team ? \` (\${escapeHtml(team)})\` : ''}
+                </p>\`);
+        }
+
+        // Supervisors can route the open conversation to a branch from the chat header
+        function renderBranchRouting(branchId) {
+            const header = document.getElementById('chat-header');
+            header.querySelector('.branch-routing')?.remove();
+            if (!currentUser || currentUser.role === 'agent') return;
+
+            const options = Object.entries(branchNames).map(([id, name]) =>
+                \`<option value="\${escapeHtml(id)}" \${id === branchId ? 'selected' : ''}>\${escapeHtml(name)}</option>\`).join('');
+            header.insertAdjacentHTML('beforeend', \`
+                <select class="branch-routing mt-2 bg-gray-900 border border-gray-700 rounded text-xs text-gray-200 p-1"
+                        onchange="routeConversation(this.value)">
+                    <option value="" \${branchId ? '' : 'selected'}>Unassigned branch</option>
+                    \${options}
+                </select>\`);
+        }
+
+        function routeConversation(branchId) {
+            apiFetch(\`/api/conversations/\${encodeURIComponent(activeConversationId)}\`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ branchId: branchId || null })
+            })
+                .then(res => { if (!res.ok) throw new Error(\`HTTP \${res.status}\`); })
+                .catch(err => console.error('Failed to route conversation:', err));
         }
 
         // Display conversation messages
@@ -468,38 +1858,174 @@ app.get('/dashboard', (req, res) => {
                 return;
             }
 
-            container.innerHTML = messages.map(msg => \`
-                <div class="flex justify-start">
-                    <div class="bg-gray-700 rounded-lg px-4 py-2 max-w-xs message-fade-in">
-                        <p class="text-sm">\${msg.content}</p>
-                        <p class="text-xs text-gray-400 mt-1 text-right">\${msg.timestamp}</p>
-                    </div>
-                </div>
-            \`).join('');
+            const earlierButton = hasMoreMessages ? \`
+                <div class="text-center">
+                    <button onclick="loadEarlierMessages()" class="text-xs text-blue-400 hover:underline">Load earlier messages</button>
+                </div>\` : '';
+
+            container.innerHTML = earlierButton + messages.map(renderMessage).join('');
 
             // Scroll to bottom
             container.scrollTop = container.scrollHeight;
         }
 
-        // Display customer message (real-time)
-        function displayCustomerMessage(message) {
-            const container = document.getElementById('chat-messages');
-            const messageEl = document.createElement('div');
-            messageEl.className = 'flex justify-start message-fade-in';
-            messageEl.innerHTML = \`
-                <div class="bg-gray-700 rounded-lg px-4 py-2 max-w-xs">
-                    <p class="text-sm">\${message.content}</p>
-                    <p class="text-xs text-gray-400 mt-1 text-right">\${message.timestamp}</p>
+        function entityTagsOf(entities) {
+            if (!entities) return [];
+            return [
+                ...entities.branches.map(branch => branch.name),
+                ...entities.doctors.map(doctor => doctor.fullName),
+                ...entities.treatments.map(treatment => treatment.name),
+                ...entities.dates,
+                ...entities.times
+            ];
+        }
+
+        // Customer messages on the left, agent and bot replies on the right, private notes highlighted
+        function renderMessage(msg) {
+            const isAgent = msg.sender === 'agent' || msg.sender === 'bot';
+            const bubbleClass = msg.private ? 'bg-yellow-900 border border-yellow-600' : (msg.sender === 'bot' ? 'bg-purple-800' : (isAgent ? 'bg-blue-700' : 'bg-gray-700'));
+            return \`
+                <div id="message-\${msg.id}" class="flex \${isAgent ? 'justify-end' : 'justify-start'}">
+                    <div class="\${bubbleClass} rounded-lg px-4 py-2 max-w-xs message-fade-in">
+                        \${msg.private ? '<p class="text-xs text-yellow-400 mb-1">Private note</p>' : ''}
+                        \${msg.sender === 'bot' ? '<p class="text-xs text-purple-300 mb-1">Bot (auto-reply)</p>' : ''}
+                        \${msg.via === 'connexease' ? \`<p class="text-xs text-blue-200 mb-1">\${escapeHtml(msg.agent || 'Agent')} via Connexease</p>\` : ''}
+                        \${msg.content ? \`<p class="text-sm">\${escapeHtml(msg.content)}</p>\` : ''}
+                        \${(msg.attachments || []).map(renderAttachment).join('')}
+                        \${msg.intent ? \`
+                        <div class="flex flex-wrap gap-1 mt-1">
+                            \${intentChip(msg.intent)}
+                            \${entityTagsOf(msg.entities).map(label => \`<span class="bg-gray-600 text-gray-200 px-2 py-0.5 rounded text-xs">\${escapeHtml(label)}</span>\`).join('')}
+                        </div>\` : ''}
+                        <p class="text-xs text-gray-400 mt-1 text-right">\${escapeHtml(msg.timestamp)}</p>
+                    </div>
                 </div>
             \`;
-            container.appendChild(messageEl);
+        }
+
+        // Stored files come from our own server; Connexease's URLs need its API token
+        function renderAttachment(attachment) {
+            if (attachment.type === 'location') {
+                const { latitude, longitude, name, address } = attachment.location;
+                const nearest = (attachment.nearestBranches || []).map(branch => \`\${branch.name} (\${branch.distanceKm} km)\`).join(', ');
+                const query = encodeURIComponent(\`\${latitude},\${longitude}\`);
+                return \`
+                    <div class="mt-1 text-sm">
+                        <a href="https://www.google.com/maps/search/?api=1&query=\${query}" target="_blank" rel="noopener" class="text-blue-300 hover:underline">📍 \${escapeHtml(name || address || 'Shared location')}</a>
+                        \${nearest ? \`<p class="text-xs text-gray-300 mt-1">Nearest: \${escapeHtml(nearest)}</p>\` : ''}
+                    </div>\`;
+            }
+            if (attachment.status === 'pending') {
+                return \`<p class="text-xs text-gray-400 mt-1">\${ATTACHMENT_PREVIEWS[attachment.type] || ATTACHMENT_PREVIEWS.file} · downloading…</p>\`;
+            }
+            if (attachment.status !== 'stored') {
+                return \`<p class="text-xs text-red-300 mt-1">\${ATTACHMENT_PREVIEWS[attachment.type] || ATTACHMENT_PREVIEWS.file} · could not be downloaded</p>\`;
+            }
+            const url = \`/api/conversations/\${encodeURIComponent(activeConversationId)}/attachments/\${encodeURIComponent(attachment.file)}\`;
+            if (attachment.type === 'image') {
+                return \`<a href="\${url}" target="_blank" rel="noopener"><img src="\${url}" alt="Photo" loading="lazy" class="mt-1 rounded max-h-48 object-cover"></a>\`;
+            }
+            if (attachment.type === 'audio') return \`<audio controls preload="none" src="\${url}" class="mt-1 w-60"></audio>\`;
+            if (attachment.type === 'video') return \`<video controls preload="none" src="\${url}" class="mt-1 rounded max-h-48"></video>\`;
+            return \`<a href="\${url}" class="block mt-1 text-sm text-blue-300 hover:underline">📎 \${escapeHtml(attachment.name || 'File')}</a>\`;
+        }
+
+        // Display a new message in the open conversation (real-time)
+        function displayCustomerMessage(message) {
+            const container = document.getElementById('chat-messages');
+            container.insertAdjacentHTML('beforeend', renderMessage(message));
             container.scrollTop = container.scrollHeight;
         }
 
-        // Display AI suggestion
-        function displayAiSuggestion(suggestion) {
+        // Streamed draft: shown as it is written, above the previous suggestion, until aiSuggestionDone replaces it
+        function displayAiSuggestionDelta(payload) {
             const container = document.getElementById('ai-suggestions');
-            
+            if (streamingSuggestion?.generationId !== payload.generationId) {
+                clearStreamingSuggestion();
+                streamingSuggestion = { generationId: payload.generationId, text: '' };
+                container.insertAdjacentHTML('afterbegin', \`
+                    <div class="ai-streaming bg-gray-800 rounded-lg p-4 mb-4 border-l-4 border-yellow-500">
+                        <p class="text-xs text-yellow-400 mb-2">Writing suggestion...</p>
+                        <p class="ai-streaming-text text-sm text-gray-200 leading-relaxed whitespace-pre-wrap"></p>
+                    </div>\`);
+                container.scrollTop = 0;
+            }
+            streamingSuggestion.text = payload.reset ? '' : streamingSuggestion.text + payload.delta;
+            container.querySelector('.ai-streaming-text').textContent = streamingSuggestion.text;
+        }
+
+        // Drop a draft that was cancelled by a newer message or failed
+        function clearStreamingSuggestion() {
+            streamingSuggestion = null;
+            document.querySelectorAll('#ai-suggestions .ai-streaming').forEach(element => element.remove());
+        }
+
+        // Display AI suggestion (a single draft, or several variants to pick from)
+        function displayAiSuggestion(payload) {
+            streamingSuggestion = null;
+            currentSuggestion = {
+                variants: payload.variants || [{ id: payload.suggestionId, tone: 'default', suggestion: payload.suggestion, warnings: payload.warnings, feedback: payload.feedback }],
+                chunkIds: payload.chunkIds || [],
+                confidence: payload.confidence,
+                intent: payload.intent,
+                model: payload.model || null,
+                proposedSlots: payload.proposedSlots || currentSuggestion?.proposedSlots || []
+            };
+            selectedVariant = 0;
+            renderAiSuggestion();
+            prefillCompose(currentSuggestion.variants[0].suggestion);
+
+            // Scroll to top
+            document.getElementById('ai-suggestions').scrollTop = 0;
+        }
+
+        // Every model provider failed: say so, keep any draft the agent is editing, offer a retry
+        function displayAiSuggestionError(payload) {
+            const container = document.getElementById('ai-suggestions');
+            container.querySelector('.ai-suggestion-error')?.remove();
+            container.insertAdjacentHTML('afterbegin', \`
+                <div class="ai-suggestion-error bg-red-950 border border-red-700 rounded-lg p-4 mb-4 text-sm">
+                    <p class="font-semibold text-red-300">AI suggestion unavailable</p>
+                    <p class="text-xs text-red-200 mt-1">\${escapeHtml(payload.error.message)}</p>
+                    <p class="text-xs text-gray-400 mt-1">\${payload.attempts.length} attempt(s): \${escapeHtml([...new Set(payload.attempts.map(attempt => \`\${attempt.provider}:\${attempt.model}\`))].join(', '))}</p>
+                    <button onclick="document.getElementById('refresh-suggestions').click()"
+                            class="mt-2 bg-red-700 hover:bg-red-600 text-white px-3 py-1 rounded text-xs">Retry</button>
+                </div>\`);
+        }
+
+        // Pick one of the regenerated variants
+        function selectVariant(index) {
+            selectedVariant = index;
+            renderAiSuggestion();
+            prefillCompose(currentSuggestion.variants[index].suggestion);
+        }
+
+        // Only replace the draft if the agent hasn't started editing it
+        function prefillCompose(text, force = false) {
+            const textarea = document.getElementById('compose-text');
+            if (force || textarea.value === '' || textarea.value === composePrefill) {
+                textarea.value = text;
+                composePrefill = text;
+            }
+        }
+
+        // Guardrail findings: red ones keep the draft from being sent automatically, yellow ones are worth a look
+        function renderWarnings(warnings) {
+            if (warnings.length === 0) return '';
+            return \`
+                <ul class="mb-3 space-y-1">
+                    \${warnings.map(warning => \`
+                        <li class="\${warning.severity === 'block' ? 'bg-red-950 border-red-700 text-red-200' : 'bg-yellow-950 border-yellow-700 text-yellow-200'} border rounded px-2 py-1 text-xs">
+                            ⚠️ \${escapeHtml(warning.message)}\${warning.evidence ? \`: <span class="font-mono">\${escapeHtml(warning.evidence)}</span>\` : ''}
+                        </li>\`).join('')}
+                </ul>\`;
+        }
+
+        function renderAiSuggestion() {
+            const container = document.getElementById('ai-suggestions');
+            const { variants, chunkIds } = currentSuggestion;
+            const variant = variants[selectedVariant];
+
             const suggestionEl = document.createElement('div');
             suggestionEl.className = 'ai-suggestion bg-gray-800 rounded-lg p-4 mb-4 border-l-4 border-green-500';
             suggestionEl.innerHTML = \`
@@ -507,22 +2033,167 @@ app.get('/dashboard', (req, res) => {
                     <div class="w-6 h-6 bg-green-500 rounded-full flex items-center justify-center mr-2">
                         <span class="text-white text-xs font-bold">AI</span>
                     </div>
-                    <span class="text-sm font-semibold text-green-400">GPT-5 Suggested Response:</span>
+                    <span class="text-sm font-semibold text-green-400">AI Suggested Response:</span>
                 </div>
-                <p class="text-sm text-gray-200 leading-relaxed">\${suggestion}</p>
+                \${variants.length > 1 ? \`
+                <div class="flex flex-wrap gap-1 mb-3">
+                    \${variants.map((v, index) => \`
+                        <button onclick="selectVariant(\${index})"
+                                class="\${index === selectedVariant ? 'bg-green-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'} px-2 py-1 rounded text-xs">
+                            \${escapeHtml(TONE_LABELS[v.tone] || v.tone)}
+                        </button>\`).join('')}
+                </div>\` : ''}
+                \${renderWarnings(variant.warnings || [])}
+                <p class="text-sm text-gray-200 leading-relaxed">\${escapeHtml(variant.suggestion)}</p>
+                \${typeof currentSuggestion.confidence === 'number' ? \`
+                <p class="mt-2 text-xs text-gray-400">Confidence \${Math.round(currentSuggestion.confidence * 100)}% · \${escapeHtml(currentSuggestion.intent)}\${currentSuggestion.model ? \` · \${escapeHtml(currentSuggestion.model)}\` : ''}</p>\` : ''}
+                \${currentSuggestion.proposedSlots.length ? \`
+                <div class="mt-3">
+                    <p class="text-xs text-gray-400 mb-1">Proposed slots (click to book)</p>
+                    <div class="flex flex-wrap gap-1">
+                        \${currentSuggestion.proposedSlots.map((slot, index) => \`
+                            <button onclick="bookProposedSlot(\${index})" title="\${escapeHtml(slot.doctorName)}"
+                                    class="bg-teal-700 hover:bg-teal-600 text-white px-2 py-1 rounded text-xs">\${formatSlotTime(slot.start)}</button>\`).join('')}
+                    </div>
+                </div>\` : ''}
+                \${chunkIds.length ? \`
+                <div class="mt-3 flex flex-wrap gap-1" title="Knowledge base sections used for this answer">
+                    \${chunkIds.map(id => \`<span class="bg-gray-700 text-gray-300 px-2 py-0.5 rounded text-xs">\${escapeHtml(id)}</span>\`).join('')}
+                </div>\` : ''}
                 <div class="mt-3 flex space-x-2">
-                    <button onclick="copySuggestion('\${suggestion.replace(/'/g, "\\'")}')" 
+                    <button onclick="copySuggestion(currentSuggestion.variants[selectedVariant].suggestion)" 
                             class="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded text-xs">
                         Copy Text
                     </button>
+                    <button onclick="prefillCompose(currentSuggestion.variants[selectedVariant].suggestion, true)" 
+                            class="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-xs">
+                        Use in Reply
+                    </button>
+                    \${variant.id ? renderFeedbackButtons(variant.feedback) : ''}
                 </div>
             \`;
             
             container.innerHTML = '';
             container.appendChild(suggestionEl);
-            
-            // Scroll to top
-            container.scrollTop = 0;
+        }
+
+        const FEEDBACK_REASONS = {
+            wrong_info: 'Wrong information',
+            hallucination: 'Made-up doctor, branch or address',
+            tone: 'Wrong tone',
+            too_long: 'Too long',
+            not_relevant: 'Does not answer the question',
+            unsafe: 'Unsafe or medical advice',
+            other: 'Other'
+        };
+
+        // 👍 / 👎 on the shown draft; a thumbs down asks why
+        function renderFeedbackButtons(feedback) {
+            const rating = feedback?.rating;
+            return \`
+                <div class="ml-auto flex items-center space-x-1">
+                    <button onclick="sendFeedback('up')" title="Good suggestion"
+                            class="\${rating === 'up' ? 'bg-green-700' : 'bg-gray-700 hover:bg-gray-600'} px-2 py-1 rounded text-xs">👍</button>
+                    <button onclick="document.getElementById('feedback-reason').classList.toggle('hidden')"
+                            title="\${rating === 'down' ? escapeHtml([FEEDBACK_REASONS[feedback.reason], feedback.note].filter(Boolean).join(': ')) : 'Bad suggestion'}"
+                            class="\${rating === 'down' ? 'bg-red-700' : 'bg-gray-700 hover:bg-gray-600'} px-2 py-1 rounded text-xs">👎</button>
+                    <select id="feedback-reason" onchange="sendFeedback('down', this.value)"
+                            class="hidden bg-gray-900 border border-gray-700 rounded text-xs text-gray-200 p-1">
+                        <option value="">Why?</option>
+                        \${Object.entries(FEEDBACK_REASONS).map(([reason, label]) => \`<option value="\${reason}">\${label}</option>\`).join('')}
+                    </select>
+                </div>\`;
+        }
+
+        function sendFeedback(rating, reason) {
+            const variant = currentSuggestion?.variants[selectedVariant];
+            if (!variant?.id || (rating === 'down' && !reason)) return;
+            const note = rating === 'down' ? prompt('Anything else the team should know? (optional)') : null;
+            apiFetch(\`/api/suggestions/\${encodeURIComponent(variant.id)}/feedback\`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ rating, reason, note: note || '' })
+            })
+                .then(res => res.ok ? res.json() : res.text().then(text => { throw new Error(text); }))
+                .then(result => {
+                    variant.feedback = result.feedback;
+                    renderAiSuggestion();
+                })
+                .catch(err => console.error('Failed to send feedback:', err));
+        }
+
+        // Appointment times are always shown in the clinics' time zone
+        const formatSlotTime = (iso) => new Date(iso).toLocaleString('${locale}', {
+            timeZone: '${timeZone}', weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+        });
+
+        // Bookings arrive back through the bookingUpdated event; errors (e.g. a slot taken meanwhile) are shown inline
+        function postBooking(url, body) {
+            const status = document.getElementById('bookings-status');
+            return apiFetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            })
+                .then(res => res.ok ? res.json() : res.json().then(err => { throw new Error(err.message || err.error); }))
+                .catch(err => {
+                    console.error('Booking request failed:', err);
+                    if (status) status.textContent = \`Failed: \${err.message}\`;
+                    else alert(\`Booking failed: \${err.message}\`);
+                });
+        }
+
+        function bookProposedSlot(index) {
+            const slot = currentSuggestion.proposedSlots[index];
+            if (!confirm(\`Book \${formatSlotTime(slot.start)} with \${slot.doctorName}?\`)) return;
+            postBooking(\`/api/conversations/\${encodeURIComponent(activeConversationId)}/bookings\`, { branchId: slot.branchId, doctorId: slot.doctorId, start: slot.start });
+        }
+
+        function cancelBooking(id) {
+            const reason = prompt('Cancellation reason (optional)');
+            if (reason === null) return;
+            postBooking(\`/api/bookings/\${encodeURIComponent(id)}/cancel\`, { reason });
+        }
+
+        function rescheduleBooking(id, start) {
+            postBooking(\`/api/bookings/\${encodeURIComponent(id)}/reschedule\`, { start });
+        }
+
+        // Offer the doctor's next free slots from the booking's day onwards
+        function showRescheduleOptions(id) {
+            const booking = currentBookings.find(item => item.id === id);
+            const query = new URLSearchParams({ doctorId: booking.doctorId, days: 7 });
+            apiFetch(\`/api/branches/\${encodeURIComponent(booking.branchId)}/slots?\${query}\`)
+                .then(res => res.json())
+                .then(data => {
+                    const options = data.slots.slice(0, 40).map(slot => \`<option value="\${escapeHtml(slot.start)}">\${formatSlotTime(slot.start)}</option>\`).join('');
+                    document.getElementById(\`reschedule-\${id}\`).innerHTML = options ? \`
+                        <select class="bg-gray-900 border border-gray-700 rounded text-xs text-gray-200 p-1"
+                                onchange="rescheduleBooking(\${id}, this.value)">
+                            <option value="">New time...</option>\${options}
+                        </select>\` : '<span class="text-xs text-gray-400">No free slots this week</span>';
+                })
+                .catch(err => console.error('Failed to load free slots:', err));
+        }
+
+        function renderBookings() {
+            const container = document.getElementById('bookings');
+            const active = currentBookings.filter(booking => booking.status === 'booked');
+            container.classList.toggle('hidden', currentBookings.length === 0);
+            container.innerHTML = \`
+                <h3 class="text-sm font-semibold text-teal-400 mb-2">Appointments</h3>
+                \${currentBookings.map(booking => \`
+                    <div class="text-xs mb-2 \${booking.status === 'booked' ? 'text-gray-200' : 'text-gray-500 line-through'}">
+                        <p>\${formatSlotTime(booking.startAt)} · \${escapeHtml(booking.doctorName || booking.doctorId)} · \${escapeHtml(branchNames[booking.branchId] || booking.branchId)}</p>
+                        \${booking.status === 'booked' ? \`
+                        <div class="flex items-center space-x-2 mt-1">
+                            <button onclick="cancelBooking(\${booking.id})" class="text-red-400 hover:underline">Cancel</button>
+                            <button onclick="showRescheduleOptions(\${booking.id})" class="text-blue-400 hover:underline">Reschedule</button>
+                            <span id="reschedule-\${booking.id}"></span>
+                        </div>\` : ''}
+                    </div>\`).join('')}
+                <p class="text-xs text-gray-500">\${active.length} active</p>
+                <p id="bookings-status" class="text-xs text-red-400"></p>\`;
         }
 
         // Copy suggestion to clipboard
@@ -541,19 +2212,239 @@ app.get('/dashboard', (req, res) => {
             });
         }
 
-        // Refresh AI suggestions
-        document.getElementById('refresh-suggestions').onclick = () => {
-            if (currentCustomerMessage) {
-                // Trigger new AI generation
-                fetch('/api/regenerate-suggestion', {
+        const OUTCOME_LABELS = { accepted: 'Sent as drafted', edited: 'Edited', rewritten: 'Rewritten', auto_sent: 'Auto-sent', unused: 'Not used' };
+        const percent = (value) => (value === null ? '–' : \`\${Math.round(value * 100)}%\`);
+        const statCard = (label, value) => \`
+            <div class="bg-gray-800 rounded p-3">
+                <p class="text-xs text-gray-400">\${label}</p>
+                <p class="text-lg font-semibold text-gray-100">\${value}</p>
+            </div>\`;
+
+        function renderAnalytics(stats) {
+            const reasons = Object.entries(stats.feedback.reasons).sort((a, b) => b[1] - a[1]);
+            document.getElementById('analytics-body').innerHTML = \`
+                <div class="grid grid-cols-4 gap-3 mb-4">
+                    \${statCard('Drafts', stats.drafts === stats.total ? stats.total : \`\${stats.drafts} (\${stats.total} generated)\`)}
+                    \${statCard('Acceptance rate', percent(stats.acceptanceRate))}
+                    \${statCard('Average edit', percent(stats.averageEditRatio))}
+                    \${statCard('Feedback', \`👍 \${stats.feedback.up} · 👎 \${stats.feedback.down}\`)}
+                    \${statCard('Latency p50 / p95', stats.latencyMs.p50 === null ? '–' : \`\${(stats.latencyMs.p50 / 1000).toFixed(1)}s / \${(stats.latencyMs.p95 / 1000).toFixed(1)}s\`)}
+                    \${statCard('Tokens in / out', \`\${stats.tokens.input.toLocaleString()} / \${stats.tokens.output.toLocaleString()}\`)}
+                    \${statCard('Model cost', \`$\${stats.cost.totalUsd.toFixed(2)}\`)}
+                    \${statCard('Cost per suggestion', stats.cost.perSuggestionUsd === null ? '–' : \`$\${stats.cost.perSuggestionUsd.toFixed(4)}\`)}
+                </div>
+                \${stats.cost.unpricedSuggestions ? \`<p class="text-xs text-yellow-300 mb-4">\${stats.cost.unpricedSuggestions} suggestion(s) from models without a price (set MODEL_PRICES) are not in the cost.</p>\` : ''}
+                <div class="grid grid-cols-3 gap-6">
+                    <div>
+                        <h3 class="text-xs font-semibold text-gray-400 uppercase mb-2">Outcomes</h3>
+                        \${Object.entries(stats.outcomes).map(([outcome, count]) => \`
+                            <p class="flex justify-between text-xs"><span>\${escapeHtml(OUTCOME_LABELS[outcome] || outcome)}</span><span>\${count}</span></p>\`).join('')}
+                    </div>
+                    <div>
+                        <h3 class="text-xs font-semibold text-gray-400 uppercase mb-2">Most rejected intents</h3>
+                        \${stats.mostRejectedIntents.map(({ intent, count }) => \`
+                            <p class="flex justify-between text-xs"><span>\${escapeHtml(INTENT_LABELS[intent] || intent)}</span><span>\${count}</span></p>\`).join('') || '<p class="text-xs text-gray-500">None</p>'}
+                    </div>
+                    <div>
+                        <h3 class="text-xs font-semibold text-gray-400 uppercase mb-2">👎 reasons</h3>
+                        \${reasons.map(([reason, count]) => \`
+                            <p class="flex justify-between text-xs"><span>\${escapeHtml(FEEDBACK_REASONS[reason] || reason)}</span><span>\${count}</span></p>\`).join('') || '<p class="text-xs text-gray-500">None</p>'}
+                    </div>
+                </div>\`;
+        }
+
+        function loadAnalytics() {
+            const query = new URLSearchParams({ days: document.getElementById('analytics-days').value });
+            const branchId = document.getElementById('analytics-branch').value;
+            if (branchId) query.set('branchId', branchId);
+            document.getElementById('analytics-body').textContent = 'Loading...';
+            apiFetch(\`/api/analytics?\${query}\`)
+                .then(res => res.ok ? res.json() : res.text().then(text => { throw new Error(text); }))
+                .then(renderAnalytics)
+                .catch(err => {
+                    console.error('Failed to load analytics:', err);
+                    document.getElementById('analytics-body').textContent = \`Failed to load analytics: \${err.message}\`;
+                });
+        }
+
+        document.getElementById('analytics-open').onclick = () => {
+            document.getElementById('analytics-panel').classList.remove('hidden');
+            loadAnalytics();
+        };
+        document.getElementById('analytics-close').onclick = () => document.getElementById('analytics-panel').classList.add('hidden');
+        document.getElementById('analytics-days').onchange = loadAnalytics;
+        document.getElementById('analytics-branch').onchange = loadAnalytics;
+
+        // Knowledge base (admins): upload, preview the diff, apply, roll back
+        let knowledgeBaseDraft = null;
+
+        const describeVersion = (version) => \`\${version.id} · \${version.source}\${version.by ? \` by \${version.by}\` : ''}\${version.rolledBackTo ? \` (rollback to \${version.rolledBackTo})\` : ''}\`;
+
+        function loadKnowledgeBaseState() {
+            apiFetch('/api/knowledge-base')
+                .then(res => res.json())
+                .then(state => {
+                    document.getElementById('kb-live').textContent = \`Live: \${describeVersion(state.version)} · \${state.counts.branches} branches, \${state.counts.doctors} doctors, \${state.counts.treatments} treatments\`;
+                    document.getElementById('kb-versions').innerHTML = state.versions.map(version => \`
+                        <div class="flex justify-between items-center border-b border-gray-800 py-1">
+                            <span>\${escapeHtml(describeVersion(version))} · \${new Date(version.createdAt).toLocaleString()} · \${version.counts.branches} branches, \${version.counts.treatments} treatments</span>
+                            \${version.live ? '<span class="text-green-400">live</span>' : \`
+                            <button data-version-id="\${escapeHtml(version.id)}" onclick="rollbackKnowledgeBase(this.dataset.versionId)" class="text-blue-400 hover:underline">Roll back</button>\`}
+                        </div>\`).join('');
+                })
+                .catch(err => console.error('Failed to load knowledge base:', err));
+        }
+
+        // Browsers only give file contents asynchronously; the API takes them as base64
+        const readAsBase64 = (file) => new Promise((resolve, reject) => {
+            if (!file) return resolve(null);
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result.split(',')[1]);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+
+        function describeChange(change) {
+            if (change.field === 'doctors') {
+                return [...change.added.map(doctor => \`+ \${escapeHtml(doctor)}\`), ...change.removed.map(doctor => \`− \${escapeHtml(doctor)}\`)].join('<br>');
+            }
+            return \`\${escapeHtml(change.field)}: <span class="text-red-300">\${escapeHtml(change.from ?? '—')}</span> → <span class="text-green-300">\${escapeHtml(change.to ?? '—')}</span>\`;
+        }
+
+        function renderDiffPart(title, part) {
+            return \`
+                <div class="mb-3">
+                    <h4 class="text-xs font-semibold text-gray-400 uppercase mb-1">\${title}</h4>
+                    \${part.added.map(name => \`<p class="text-xs text-green-300">+ \${escapeHtml(name)}</p>\`).join('')}
+                    \${part.removed.map(name => \`<p class="text-xs text-red-300">− \${escapeHtml(name)}</p>\`).join('')}
+                    \${part.changed.map(item => \`
+                        <div class="text-xs mt-1"><p class="font-semibold">\${escapeHtml(item.name)}</p><p class="ml-2 text-gray-300">\${item.changes.map(describeChange).join('<br>')}</p></div>\`).join('')}
+                    \${!part.added.length && !part.removed.length && !part.changed.length ? '<p class="text-xs text-gray-500">No changes</p>' : ''}
+                </div>\`;
+        }
+
+        function renderKnowledgeBaseDraft(draft) {
+            knowledgeBaseDraft = draft;
+            const blocked = draft.problems.length > 0 || draft.diff.empty;
+            document.getElementById('kb-draft').innerHTML = \`
+                <div class="bg-gray-800 rounded p-3">
+                    <p class="text-xs text-gray-400 mb-2">Preview against \${escapeHtml(draft.basedOn)}: \${draft.counts.branches} branches, \${draft.counts.doctors} doctors, \${draft.counts.treatments} treatments</p>
+                    \${draft.problems.map(problem => \`<p class="bg-red-950 border border-red-700 text-red-200 rounded px-2 py-1 text-xs mb-1">⛔ \${escapeHtml(problem)}</p>\`).join('')}
+                    \${draft.warnings.map(warning => \`<p class="bg-yellow-950 border border-yellow-700 text-yellow-200 rounded px-2 py-1 text-xs mb-1">⚠️ \${escapeHtml(warning.file)} row \${escapeHtml(warning.row)} [\${escapeHtml(warning.field)}]: \${escapeHtml(warning.message)}</p>\`).join('')}
+                    \${renderDiffPart('Branches', draft.diff.branches)}
+                    \${renderDiffPart('Treatments', draft.diff.treatments)}
+                    <button id="kb-apply" onclick="applyKnowledgeBaseDraft()" \${blocked ? 'disabled' : ''}
+                            class="\${blocked ? 'bg-gray-600' : 'bg-green-600 hover:bg-green-700'} text-white px-3 py-1 rounded text-xs">
+                        \${draft.diff.empty ? 'Nothing to apply' : 'Apply and go live'}
+                    </button>
+                </div>\`;
+        }
+
+        function showKnowledgeBaseError(err) {
+            console.error('Knowledge base request failed:', err);
+            document.getElementById('kb-draft').innerHTML = \`<p class="text-xs text-red-300">Failed: \${escapeHtml(err.message)}</p>\`;
+        }
+
+        // Error bodies are { error, message, problems }
+        const knowledgeBaseResponse = (res) => res.ok ? res.json() : res.json().then(err => {
+            throw new Error([err.message, ...(err.problems || [])].join('; '));
+        });
+
+        document.getElementById('kb-preview').onclick = () => {
+            Promise.all([
+                readAsBase64(document.getElementById('kb-branches').files[0]),
+                readAsBase64(document.getElementById('kb-treatments').files[0])
+            ])
+                .then(([branches, treatments]) => apiFetch('/api/knowledge-base/uploads', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ 
-                        conversationId: activeConversationId,
-                        message: currentCustomerMessage 
-                    })
-                }).catch(err => console.error('Failed to refresh suggestion:', err));
-            }
+                    body: JSON.stringify({ files: { branches, treatments } })
+                }))
+                .then(knowledgeBaseResponse)
+                .then(renderKnowledgeBaseDraft)
+                .catch(showKnowledgeBaseError);
+        };
+
+        function applyKnowledgeBaseDraft() {
+            if (!knowledgeBaseDraft || !confirm('Make this knowledge base live for every conversation?')) return;
+            apiFetch(\`/api/knowledge-base/uploads/\${encodeURIComponent(knowledgeBaseDraft.id)}/apply\`, { method: 'POST' })
+                .then(knowledgeBaseResponse)
+                .then(() => {
+                    knowledgeBaseDraft = null;
+                    document.getElementById('kb-draft').innerHTML = '';
+                    document.getElementById('kb-branches').value = '';
+                    document.getElementById('kb-treatments').value = '';
+                    loadKnowledgeBaseState();
+                })
+                .catch(showKnowledgeBaseError);
+        }
+
+        function rollbackKnowledgeBase(id) {
+            if (!confirm(\`Roll the knowledge base back to \${id}?\`)) return;
+            apiFetch(\`/api/knowledge-base/versions/\${encodeURIComponent(id)}/rollback\`, { method: 'POST' })
+                .then(knowledgeBaseResponse)
+                .then(loadKnowledgeBaseState)
+                .catch(showKnowledgeBaseError);
+        }
+
+        document.getElementById('kb-open').onclick = () => {
+            document.getElementById('kb-panel').classList.remove('hidden');
+            loadKnowledgeBaseState();
+        };
+        document.getElementById('kb-close').onclick = () => document.getElementById('kb-panel').classList.add('hidden');
+
+        // Send the compose box content through Connexease
+        document.getElementById('compose-send').onclick = () => {
+            const textarea = document.getElementById('compose-text');
+            const status = document.getElementById('compose-status');
+            const content = textarea.value.trim();
+            if (!activeConversationId || !content) return;
+
+            const variant = currentSuggestion?.variants[selectedVariant];
+            status.textContent = 'Sending...';
+            apiFetch(\`/api/conversations/\${encodeURIComponent(activeConversationId)}/reply\`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    content,
+                    private: document.getElementById('compose-private').checked,
+                    suggestionId: variant?.id || null
+                })
+            })
+                .then(res => {
+                    if (!res.ok) return res.text().then(text => { throw new Error(text); });
+                    textarea.value = '';
+                    composePrefill = '';
+                    status.textContent = 'Sent';
+                })
+                .catch(err => {
+                    console.error('Failed to send reply:', err);
+                    status.textContent = \`Failed to send: \${err.message}\`;
+                });
+        };
+
+        // Refresh AI suggestions: variants arrive through the aiSuggestion broadcast
+        document.getElementById('refresh-suggestions').onclick = () => {
+            if (!activeConversationId) return;
+
+            const button = document.getElementById('refresh-suggestions');
+            button.disabled = true;
+            button.textContent = 'Generating variants...';
+
+            apiFetch('/api/regenerate-suggestion', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ 
+                    conversationId: activeConversationId,
+                    tones: ['short', 'detailed', 'apologetic']
+                })
+            })
+                .then(res => { if (!res.ok) throw new Error(\`HTTP \${res.status}\`); })
+                .catch(err => console.error('Failed to refresh suggestion:', err))
+                .finally(() => {
+                    button.disabled = false;
+                    button.textContent = 'Refresh AI Suggestions';
+                });
         };
     </script>
     </body>
@@ -564,13 +2455,30 @@ app.get('/dashboard', (req, res) => {
 
 // --- 8. START SERVER ---
 server.listen(process.env.PORT || 3000, async () => {
+    console.log('✨ Agent-Assist Dashboard is ready!');
+    console.log(`🤖 Model providers: ${models.describe().join(' → ')}`);
+    for (const tenant of tenants.values()) {
+        const { brand, knowledgeBase } = tenant.config;
+        try {
+            await tenant.knowledgeBase.load();
+            console.log(`🏥 ${brand} catalog loaded: ${tenant.catalog.branches.length} branches, ${tenant.catalog.treatments.length} treatments`);
+            console.log(`🔎 ${brand} retrieval index built: ${tenant.knowledgeIndex.documents.length} chunks`);
+            if (process.env.KNOWLEDGE_BASE_WATCH !== 'false') {
+                tenant.knowledgeBase.watch();
+                console.log(`👀 Watching ${knowledgeBase.dataDir} and ${path.basename(knowledgeBase.catalogFile)} for ${brand} knowledge base changes`);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to load the ${brand} knowledge base:`, error);
+        }
+        console.log(`🪝 ${brand} webhooks: /webhook/${tenant.id}${tenant === defaultTenant ? ' (or /webhook)' : ''}`);
+    }
     try {
-        knowledgeBase = await fs.readFile(path.join(__dirname, 'knowledgebase.txt'), 'utf-8');
-        console.log('✨ GPT-5 Agent-Assist Dashboard is ready!');
-        console.log('🤖 Powered by OpenAI GPT-5 Nano');
-        console.log('📊 Knowledge base loaded successfully');
+        purgeExpiredConversations();
+        setInterval(purgeExpiredConversations, RETENTION_SWEEP_MS).unref();
+        console.log(`💾 Conversation store ready (${process.env.STORE_DRIVER || 'sqlite'}, ${RETENTION_DAYS}-day retention)`);
+        bootstrapAdmins();
     } catch (error) {
-        console.error('❌ Failed to load knowledge base:', error);
+        console.error('❌ Failed to prepare the conversation store:', error);
     }
     console.log(`🚀 Server running on port ${process.env.PORT || 3000}`);
-});
\ No newline at end of file
+});
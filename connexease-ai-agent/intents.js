@@ -0,0 +1,240 @@
+// intents.js - Intent classification and entity extraction for incoming customer messages
+//
+// The model classifies when it's available; a deterministic keyword classifier takes over when it isn't.
+// Branches, doctors and treatments are always resolved against the catalog, so entity IDs are stable.
+const { foldTurkish, normalizeText, findBranches, findDoctors, findTreatments } = require('./catalog');
+const { TIME_ZONE, localDate } = require('./businessHours');
+
+const INTENTS = ['appointment', 'price', 'address', 'treatment_info', 'complaint', 'cancellation', 'other'];
+
+// Checked in order, so "randevumu iptal etmek istiyorum" is a cancellation rather than an appointment
+const INTENT_KEYWORDS = [
+    ['cancellation', ['iptal', 'vazgec', 'gelemeyecegim', 'gelemiyorum', 'randevumu sil', 'ertele']],
+    ['complaint', ['sikayet', 'memnun degil', 'memnun kalmadim', 'rezalet', 'berbat', 'magdur', 'saygisiz', 'kimse donmedi', 'donus yapilmadi', 'hala bekliyorum']],
+    ['appointment', ['randevu', 'muayene olmak', 'gelmek istiyorum', 'musait', 'uygun saat', 'uygun gun', 'uygun mu', 'bos yer']],
+    ['price', ['fiyat', 'ucret', 'kac para', 'ne kadar tutar', 'tutar', 'odeme', 'taksit', 'sgk', 'sigorta', 'indirim', 'tl']],
+    ['address', ['adres', 'nerede', 'neresi', 'konum', 'lokasyon', 'yol tarifi', 'nasil gelirim', 'nasil gidilir', 'metro', 'otopark', 'durak']],
+    ['treatment_info', ['tedavi', 'ameliyat', 'lazer', 'yontem', 'nedir', 'iyilesme', 'operasyon', 'islem', 'nasil yapiliyor', 'yan etki']]
+];
+
+const WEEKDAY_NAMES = { pazar: 0, pazartesi: 1, sali: 2, carsamba: 3, persembe: 4, cuma: 5, cumartesi: 6 };
+const WEEKDAY_LABELS = ['Pazar', 'Pazartesi', 'Salı', 'Çarşamba', 'Perşembe', 'Cuma', 'Cumartesi'];
+const MONTHS = ['ocak', 'subat', 'mart', 'nisan', 'mayis', 'haziran', 'temmuz', 'agustos', 'eylul', 'ekim', 'kasim', 'aralik'];
+const RELATIVE_DAYS = [['yarindan sonra', 2], ['obur gun', 2], ['bugun', 0], ['yarin', 1]];
+
+// Phrases must appear as-is; single words may carry suffixes ("fiyati", "randevumu")
+function matchesKeyword(normalized, tokens, keyword) {
+    if (keyword.includes(' ')) return ` ${normalized} `.includes(` ${keyword} `);
+    return tokens.some(token => token === keyword || (keyword.length >= 4 && token.startsWith(keyword)));
+}
+
+function classifyByKeywords(text, entities) {
+    const normalized = normalizeText(text);
+    const tokens = normalized.split(' ');
+    const match = INTENT_KEYWORDS.find(([, keywords]) => keywords.some(keyword => matchesKeyword(normalized, tokens, keyword)));
+    if (match) return match[0];
+    // "Varis" on its own is almost always a question about the treatment
+    return entities?.treatments.length ? 'treatment_info' : 'other';
+}
+
+const toIsoDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date.toISOString().slice(0, 10) : null;
+};
+
+const addDays = (isoDate, days) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+// Dates without a year mean the next occurrence, so "3 ocak" in December is next January
+function withYear(today, month, day) {
+    const year = Number(today.slice(0, 4));
+    const date = toIsoDate(year, month, day);
+    return date && date < today ? toIsoDate(year + 1, month, day) : date;
+}
+
+// "yarın", "cuma", "12 kasım", "12.11", "12/11/2026" -> "YYYY-MM-DD" in the clinics' time zone
+function extractDates(text, now = new Date(), timeZone = TIME_ZONE) {
+    const folded = foldTurkish(text);
+    const today = localDate(now, timeZone);
+    const todayIndex = new Date(`${today}T00:00:00Z`).getUTCDay();
+    const dates = new Set();
+
+    RELATIVE_DAYS.forEach(([phrase, days]) => {
+        if (new RegExp(`(^|[^a-z])${phrase}([^a-z]|$)`).test(folded)) dates.add(addDays(today, days));
+    });
+
+    const weekdayPattern = new RegExp(`(^|[^a-z])(${Object.keys(WEEKDAY_NAMES).join('|')})(ya|ye|a|e|[^a-z]|$)`, 'g');
+    for (const [, , name] of folded.matchAll(weekdayPattern)) {
+        dates.add(addDays(today, (WEEKDAY_NAMES[name] - todayIndex + 7) % 7));
+    }
+
+    const monthPattern = new RegExp(`\\b(\\d{1,2})\\s+(${MONTHS.join('|')})[a-z]*(?:\\s+(\\d{4}))?`, 'g');
+    for (const [, day, month, year] of folded.matchAll(monthPattern)) {
+        const monthNumber = MONTHS.indexOf(month) + 1;
+        const date = year ? toIsoDate(Number(year), monthNumber, Number(day)) : withYear(today, monthNumber, Number(day));
+        if (date) dates.add(date);
+    }
+
+    // "saat 14.30" is a time, not the 14th of the 30th month
+    for (const [, prefix, day, month, year] of folded.matchAll(/(saat\s*)?\b(\d{1,2})[./](\d{1,2})(?:[./](\d{2,4}))?\b/g)) {
+        if (prefix) continue;
+        const fullYear = year ? Number(year.length === 2 ? `20${year}` : year) : null;
+        const date = fullYear ? toIsoDate(fullYear, Number(month), Number(day)) : withYear(today, Number(month), Number(day));
+        if (date) dates.add(date);
+    }
+
+    return [...dates].sort();
+}
+
+// "14:30", "saat 3", "saat 14.30" -> "HH:MM"; a bare "saat 3" means the afternoon
+function extractTimes(text) {
+    const folded = foldTurkish(text);
+    const times = new Set();
+
+    for (const [, hours, minutes] of folded.matchAll(/\b(\d{1,2}):(\d{2})\b/g)) {
+        if (Number(hours) < 24 && Number(minutes) < 60) times.add(`${hours.padStart(2, '0')}:${minutes}`);
+    }
+    for (const [, hours, minutes = '00'] of folded.matchAll(/saat\s*(\d{1,2})(?:[:.](\d{2}))?/g)) {
+        let hour = Number(hours);
+        if (hour >= 24 || Number(minutes) >= 60) continue;
+        if (hour >= 1 && hour <= 7 && minutes === '00') hour += 12;
+        times.add(`${String(hour).padStart(2, '0')}:${minutes}`);
+    }
+
+    return [...times].sort();
+}
+
+const uniqueById = (items) => [...new Map(items.map(item => [item.id, item])).values()];
+
+function extractEntities(catalog, text, now = new Date(), timeZone = TIME_ZONE) {
+    return {
+        branches: findBranches(catalog, text).map(({ id, name }) => ({ id, name })),
+        doctors: uniqueById(findDoctors(catalog, text).map(({ id, fullName, branchId }) => ({ id, fullName, branchId }))),
+        treatments: findTreatments(catalog, text).map(({ id, name }) => ({ id, name })),
+        dates: extractDates(text, now, timeZone),
+        times: extractTimes(text)
+    };
+}
+
+// Model output names things in free text; only what resolves against the catalog is kept
+function mergeModelEntities(catalog, entities, result) {
+    const fromModel = extractEntities(catalog, [result.branch, result.doctor, result.treatment].filter(Boolean).join(' '));
+    const validDate = /^\d{4}-\d{2}-\d{2}$/.test(result.date || '') && toIsoDate(...result.date.split('-').map(Number));
+    const validTime = /^([01]\d|2[0-3]):[0-5]\d$/.test(result.time || '');
+
+    return {
+        branches: uniqueById([...entities.branches, ...fromModel.branches]),
+        doctors: uniqueById([...entities.doctors, ...fromModel.doctors]),
+        treatments: uniqueById([...entities.treatments, ...fromModel.treatments]),
+        dates: [...new Set([...entities.dates, ...(validDate ? [result.date] : [])])].sort(),
+        times: [...new Set([...entities.times, ...(validTime ? [result.time] : [])])].sort()
+    };
+}
+
+// Structured output for the classification call
+const CLASSIFICATION_FORMAT = {
+    type: 'json_schema',
+    name: 'message_classification',
+    strict: true,
+    schema: {
+        type: 'object',
+        properties: {
+            intent: { type: 'string', enum: INTENTS },
+            branch: { type: 'string' },
+            doctor: { type: 'string' },
+            treatment: { type: 'string' },
+            date: { type: 'string' },
+            time: { type: 'string' }
+        },
+        required: ['intent', 'branch', 'doctor', 'treatment', 'date', 'time'],
+        additionalProperties: false
+    }
+};
+
+// brand, language and timeZone come from the tenant; clinics writing in another language than Turkish
+// get English instructions that name their customers' language
+function classificationInstructions({ brand, language = 'tr', timeZone = TIME_ZONE, now = new Date() } = {}) {
+    const today = localDate(now, timeZone);
+    const day = new Date(`${today}T00:00:00Z`);
+    if (language === 'tr') {
+        return `${brand} kliniklerine WhatsApp'tan gelen müşteri mesajını sınıflandır. Bugün ${today} (${WEEKDAY_LABELS[day.getUTCDay()]}).
+
+intent: appointment (randevu almak/değiştirmek), price (fiyat, ücret, ödeme), address (adres, konum, yol tarifi), treatment_info (tedavi hakkında bilgi), complaint (şikayet), cancellation (randevu iptali), other (diğer)
+branch, doctor, treatment: mesajda geçen şube, hekim ve tedavi adları; geçmiyorsa boş bırak
+date: mesajda geçen tarih YYYY-MM-DD biçiminde, time: saat HH:MM biçiminde; geçmiyorsa boş bırak`;
+    }
+
+    const languageName = new Intl.DisplayNames(['en'], { type: 'language' }).of(language);
+    const weekday = day.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+    return `Classify a customer message sent to ${brand} clinics on WhatsApp. Customers usually write in ${languageName}. Today is ${today} (${weekday}).
+
+intent: appointment (booking or changing an appointment), price (prices, fees, payment), address (address, location, directions), treatment_info (information about a treatment), complaint (complaint), cancellation (cancelling an appointment), other (anything else)
+branch, doctor, treatment: the branch, doctor and treatment names in the message as written; leave empty if there are none
+date: a date in the message as YYYY-MM-DD, time: a time as HH:MM; leave empty if there are none`;
+}
+
+// classify(text) is the model call; any failure falls back to keywords so analysis never blocks a message
+async function analyzeMessage(catalog, text, { classify, now = new Date(), timeZone = TIME_ZONE } = {}) {
+    const entities = extractEntities(catalog, text, now, timeZone);
+
+    if (classify) {
+        try {
+            const result = await classify(text, now);
+            if (INTENTS.includes(result?.intent)) {
+                return { intent: result.intent, entities: mergeModelEntities(catalog, entities, result), source: 'model' };
+            }
+            console.warn('Intent model returned no usable intent, using keyword fallback');
+        } catch (error) {
+            console.warn(`Intent model unavailable, using keyword fallback: ${error.message}`);
+        }
+    }
+
+    return { intent: classifyByKeywords(text, entities), entities, source: 'keywords' };
+}
+
+const INTENT_LABELS = {
+    appointment: 'randevu talebi',
+    price: 'fiyat sorusu',
+    address: 'adres / yol tarifi',
+    treatment_info: 'tedavi bilgisi',
+    complaint: 'şikayet',
+    cancellation: 'randevu iptali',
+    other: 'diğer'
+};
+
+// One prompt line so the reply model knows what the classifier already found
+function describeAnalysis({ intent, entities }) {
+    const parts = [`niyet: ${INTENT_LABELS[intent] || intent}`];
+    if (entities.branches.length) parts.push(`şube: ${entities.branches.map(branch => branch.name).join(', ')}`);
+    if (entities.doctors.length) parts.push(`hekim: ${entities.doctors.map(doctor => doctor.fullName).join(', ')}`);
+    if (entities.treatments.length) parts.push(`tedavi: ${entities.treatments.map(treatment => treatment.name).join(', ')}`);
+    if (entities.dates.length) parts.push(`tarih: ${entities.dates.join(', ')}`);
+    if (entities.times.length) parts.push(`saat: ${entities.times.join(', ')}`);
+    return parts.join('; ');
+}
+
+// Flat tags for list filtering: "branch:kadikoy", "treatment:varis", "date:2026-10-21"
+function entityTags(entities) {
+    return [
+        ...entities.branches.map(branch => `branch:${branch.id}`),
+        ...entities.doctors.map(doctor => `doctor:${doctor.id}`),
+        ...entities.treatments.map(treatment => `treatment:${treatment.id}`),
+        ...entities.dates.map(date => `date:${date}`)
+    ];
+}
+
+module.exports = {
+    INTENTS,
+    CLASSIFICATION_FORMAT,
+    classificationInstructions,
+    classifyByKeywords,
+    extractDates,
+    extractTimes,
+    extractEntities,
+    analyzeMessage,
+    describeAnalysis,
+    entityTags
+};
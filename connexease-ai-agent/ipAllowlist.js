@@ -0,0 +1,72 @@
+// ipAllowlist.js - IP/CIDR allowlist for the webhook endpoint
+const fs = require('fs');
+const net = require('net');
+
+// Connexease's webhook egress address
+const DEFAULT_ALLOWED = ['34.89.215.92'];
+const LOCALHOST = ['127.0.0.0/8', '::1'];
+
+// "::ffff:10.0.0.1" (IPv4 over an IPv6 socket) -> "10.0.0.1"
+function normalizeIp(ip) {
+    const value = (ip || '').trim();
+    const mapped = value.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    return mapped ? mapped[1] : value;
+}
+
+// Entries are single addresses or CIDR ranges, IPv4 or IPv6
+function createIpAllowlist(entries) {
+    const blockList = new net.BlockList();
+
+    entries.forEach(entry => {
+        const [address, prefix] = entry.trim().split('/');
+        const family = net.isIP(address);
+        if (!family) {
+            throw new Error(`Invalid IP allowlist entry "${entry}"`);
+        }
+        const type = family === 6 ? 'ipv6' : 'ipv4';
+        if (prefix === undefined) {
+            blockList.addAddress(address, type);
+        } else {
+            // Digits only: Number('') is 0, and "10.0.0.0/" must not turn into "allow everyone"
+            const bits = /^\d{1,3}$/.test(prefix) ? Number(prefix) : NaN;
+            if (!(bits <= (family === 6 ? 128 : 32))) {
+                throw new Error(`Invalid CIDR prefix in IP allowlist entry "${entry}"`);
+            }
+            blockList.addSubnet(address, bits, type);
+        }
+    });
+
+    return {
+        entries,
+        allows(ip) {
+            const address = normalizeIp(ip);
+            const family = net.isIP(address);
+            return family !== 0 && blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+        }
+    };
+}
+
+// WEBHOOK_ALLOWED_IPS (comma separated) and/or a JSON file { "allow": [...] }; localhost in dev mode
+function loadAllowlistEntries({ allowedIps, configFile, allowLocalhost }) {
+    let entries = [];
+
+    if (allowedIps) {
+        entries = entries.concat(allowedIps.split(',').map(entry => entry.trim()).filter(Boolean));
+    }
+    if (configFile) {
+        const config = JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+        if (!Array.isArray(config.allow)) {
+            throw new Error(`IP allowlist file ${configFile} must contain an "allow" array`);
+        }
+        entries = entries.concat(config.allow);
+    }
+    if (entries.length === 0) {
+        entries = [...DEFAULT_ALLOWED];
+    }
+    if (allowLocalhost) {
+        entries = entries.concat(LOCALHOST);
+    }
+    return entries;
+}
+
+module.exports = { createIpAllowlist, loadAllowlistEntries, normalizeIp };
@@ -0,0 +1,363 @@
+// knowledgeBase.js - The live catalog: admin uploads with a diff preview, versioned snapshots, rollback, hot reload
+//
+// Every catalog that goes live is validated, snapshotted into <versionsDir>/<version>/ together with the
+// workbooks it was built from, and only then swapped in. Uploaded workbooks are previewed first as a diff
+// against the live version. Edits on disk (new data/*.xlsx, or catalog.json rewritten by preprocessData.js)
+// are picked up by a watcher and go through the same path. A rollback activates an old snapshot as a new version.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { loadCatalog } = require('./catalog');
+const { DATA_DIR, DATA_FILES, buildCatalog } = require('./preprocessData');
+
+const DRAFT_TTL_MS = 30 * 60 * 1000;
+const WATCH_DEBOUNCE_MS = 1000;
+const DEFAULT_KEEP_VERSIONS = 50;
+const VERSION_ID_PATTERN = /^\d{8}T\d{9}-[0-9a-f]{6}$/;
+const BRANCH_FIELDS = ['name', 'closed', 'address', 'phone', 'directions'];
+const TREATMENT_FIELDS = ['name', 'description'];
+
+// generatedAt changes on every preprocess run, so versions are compared by content only
+const contentHash = (catalog) => crypto.createHash('sha256')
+    .update(JSON.stringify({ branches: catalog.branches, treatments: catalog.treatments }))
+    .digest('hex');
+
+const countsOf = (catalog) => ({
+    branches: catalog.branches.length,
+    doctors: catalog.branches.reduce((sum, branch) => sum + branch.doctors.length, 0),
+    treatments: catalog.treatments.length
+});
+
+// Problems that make a catalog unusable; parser warnings (catalog.errors) are shown but don't block
+function validateCatalog(catalog) {
+    if (!Array.isArray(catalog?.branches) || !Array.isArray(catalog?.treatments)) return ['Not a catalog'];
+    const problems = [];
+    if (catalog.branches.every(branch => branch.closed)) problems.push('No open branches');
+    if (catalog.treatments.length === 0) problems.push('No treatments');
+
+    const duplicates = (ids) => [...new Set(ids.filter((id, index) => ids.indexOf(id) !== index))];
+    duplicates(catalog.branches.map(branch => branch.id)).forEach(id => problems.push(`Duplicate branch "${id}"`));
+    duplicates(catalog.treatments.map(treatment => treatment.id)).forEach(id => problems.push(`Duplicate treatment "${id}"`));
+    catalog.branches.filter(branch => !branch.closed).forEach(branch => {
+        if (!branch.doctors?.length) problems.push(`${branch.name} has no doctors`);
+        if (!branch.address) problems.push(`${branch.name} has no address`);
+        if (!Object.values(branch.hours?.schedule || {}).some(Boolean)) problems.push(`${branch.name} has no working hours`);
+    });
+    return problems;
+}
+
+const doctorLabel = (doctor) => `${doctor.fullName} (${doctor.specialty})`;
+
+function branchChanges(before, after) {
+    const changes = BRANCH_FIELDS.filter(field => before[field] !== after[field])
+        .map(field => ({ field, from: before[field], to: after[field] }));
+    if (before.hours?.raw !== after.hours?.raw) changes.push({ field: 'hours', from: before.hours?.raw, to: after.hours?.raw });
+
+    const beforeDoctors = before.doctors.map(doctorLabel);
+    const afterDoctors = after.doctors.map(doctorLabel);
+    const added = afterDoctors.filter(doctor => !beforeDoctors.includes(doctor));
+    const removed = beforeDoctors.filter(doctor => !afterDoctors.includes(doctor));
+    if (added.length || removed.length) changes.push({ field: 'doctors', added, removed });
+    return changes;
+}
+
+function treatmentChanges(before, after) {
+    const changes = TREATMENT_FIELDS.filter(field => before[field] !== after[field])
+        .map(field => ({ field, from: before[field], to: after[field] }));
+    if (JSON.stringify(before.sections) !== JSON.stringify(after.sections)) {
+        changes.push({ field: 'sections', from: `${before.sections.length} sections`, to: `${after.sections.length} sections` });
+    }
+    return changes;
+}
+
+function diffById(current, next, describeChanges) {
+    const before = new Map(current.map(item => [item.id, item]));
+    const after = new Map(next.map(item => [item.id, item]));
+    return {
+        added: next.filter(item => !before.has(item.id)).map(item => item.name),
+        removed: current.filter(item => !after.has(item.id)).map(item => item.name),
+        changed: next.filter(item => before.has(item.id))
+            .map(item => ({ id: item.id, name: item.name, changes: describeChanges(before.get(item.id), item) }))
+            .filter(item => item.changes.length)
+    };
+}
+
+// What going from `current` to `next` would change, per branch and treatment
+function diffCatalogs(current, next) {
+    const diff = {
+        branches: diffById(current.branches, next.branches, branchChanges),
+        treatments: diffById(current.treatments, next.treatments, treatmentChanges)
+    };
+    diff.empty = [diff.branches, diff.treatments].every(part => !part.added.length && !part.removed.length && !part.changed.length);
+    return diff;
+}
+
+// Readers see the old file or the new one, never half of it
+async function writeFileAtomic(filePath, data) {
+    const temporary = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fsp.writeFile(temporary, data);
+    await fsp.rename(temporary, filePath);
+}
+
+// "20261019T184900123-a1b2c3": sorts by creation time
+const newVersionId = () => `${new Date().toISOString().replace(/[-:.]/g, '').slice(0, 18)}-${crypto.randomBytes(3).toString('hex')}`;
+
+// onSwap(catalog, version) makes a catalog live (builds the search index and swaps references); if it
+// throws, nothing changes. fileNames are the two workbooks' names in dataDir; name labels the logs.
+function createKnowledgeBase({
+    catalogFile,
+    versionsDir,
+    dataDir = DATA_DIR,
+    fileNames = DATA_FILES,
+    name = 'Knowledge base',
+    onSwap,
+    keepVersions = DEFAULT_KEEP_VERSIONS
+}) {
+    let live = null; // { catalog, version, hash }
+    const drafts = new Map();
+
+    // Loads, uploads, rollbacks and reloads from disk run one at a time
+    let queue = Promise.resolve();
+    const serialize = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    async function readWorkbooks(dir) {
+        const files = {};
+        for (const [kind, fileName] of Object.entries(fileNames)) {
+            files[kind] = await fsp.readFile(path.join(dir, fileName)).then(data => ({ name: fileName, data })).catch(() => null);
+        }
+        return files;
+    }
+
+    async function readVersion(id) {
+        if (!VERSION_ID_PATTERN.test(id || '')) return null;
+        const dir = path.join(versionsDir, id);
+        try {
+            const version = JSON.parse(await fsp.readFile(path.join(dir, 'version.json'), 'utf-8'));
+            const catalog = JSON.parse(await fsp.readFile(path.join(dir, 'catalog.json'), 'utf-8'));
+            return { version, catalog, files: await readWorkbooks(dir) };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Newest first
+    async function listVersions() {
+        const entries = await fsp.readdir(versionsDir).catch(() => []);
+        const versions = [];
+        for (const id of entries.filter(entry => VERSION_ID_PATTERN.test(entry)).sort().reverse()) {
+            const version = await fsp.readFile(path.join(versionsDir, id, 'version.json'), 'utf-8').then(JSON.parse).catch(() => null);
+            if (version) versions.push({ ...version, live: version.id === live?.version.id });
+        }
+        return versions;
+    }
+
+    async function snapshot(catalog, files, details) {
+        const version = {
+            id: newVersionId(),
+            createdAt: new Date().toISOString(),
+            by: null,
+            ...details,
+            hash: contentHash(catalog),
+            counts: countsOf(catalog),
+            warnings: (catalog.errors || []).length
+        };
+        const dir = path.join(versionsDir, version.id);
+        await fsp.mkdir(dir, { recursive: true });
+        await fsp.writeFile(path.join(dir, 'catalog.json'), JSON.stringify(catalog, null, 2) + '\n');
+        for (const file of Object.values(files).filter(Boolean)) {
+            await fsp.writeFile(path.join(dir, file.name), file.data);
+        }
+        await fsp.writeFile(path.join(dir, 'version.json'), JSON.stringify(version, null, 2) + '\n');
+
+        const stale = (await fsp.readdir(versionsDir)).filter(entry => VERSION_ID_PATTERN.test(entry)).sort().reverse().slice(keepVersions);
+        for (const id of stale.filter(id => id !== live?.version.id)) {
+            await fsp.rm(path.join(versionsDir, id), { recursive: true, force: true });
+        }
+        return version;
+    }
+
+    function swap(catalog, version) {
+        onSwap(catalog, version);
+        live = { catalog, version, hash: version.hash };
+        console.log(`📚 ${name} ${version.id} is live (${version.source}${version.by ? ` by ${version.by}` : ''}): ${version.counts.branches} branches, ${version.counts.treatments} treatments`);
+    }
+
+    // Validate, snapshot, swap, then write catalog.json (and the workbooks) so a restart comes back the same
+    async function activate(catalog, files, details) {
+        const problems = validateCatalog(catalog);
+        if (problems.length) return { ok: false, error: 'invalid', message: 'The knowledge base has problems', problems };
+        if (live && contentHash(catalog) === live.hash) return { ok: true, unchanged: true, version: live.version };
+
+        const version = await snapshot(catalog, files, details);
+        try {
+            swap(catalog, version);
+        } catch (error) {
+            console.error(`Could not activate knowledge base ${version.id}:`, error);
+            return { ok: false, error: 'swap_failed', message: error.message };
+        }
+
+        try {
+            await writeFileAtomic(catalogFile, JSON.stringify(catalog, null, 2) + '\n');
+            if (details.source !== 'data') {
+                for (const file of Object.values(files).filter(Boolean)) {
+                    await writeFileAtomic(path.join(dataDir, file.name), file.data);
+                }
+            }
+        } catch (error) {
+            console.error(`Knowledge base ${version.id} is live but could not be written back to disk:`, error.message);
+        }
+        return { ok: true, version };
+    }
+
+    // A new tenant may only have its workbooks yet; the catalog is built from them and written on activation
+    async function readCatalogFile() {
+        if (fs.existsSync(catalogFile)) return loadCatalog(catalogFile);
+        const files = await readWorkbooks(dataDir);
+        if (!files.branches || !files.treatments) throw new Error(`Neither ${catalogFile} nor the workbooks in ${dataDir} exist`);
+        return buildCatalog(files.branches, files.treatments);
+    }
+
+    // Startup: catalog.json as it is, matched to its snapshot (or snapshotted now so it can be rolled back to)
+    function load() {
+        return serialize(async () => {
+            if (live) return live.version;
+            const catalog = await readCatalogFile();
+            const versions = await listVersions();
+            const problems = validateCatalog(catalog);
+
+            // Every activation is a new version, so the newest one is what was live before the restart
+            const fallback = problems.length && versions.length ? await readVersion(versions[0].id) : null;
+            if (problems.length) {
+                console.warn(`⚠️  catalog.json has problems: ${problems.join('; ')}${fallback ? `; using version ${fallback.version.id} instead` : ''}`);
+            }
+            if (fallback) {
+                swap(fallback.catalog, fallback.version);
+                return live.version;
+            }
+
+            const hash = contentHash(catalog);
+            const known = versions.find(version => version.hash === hash);
+            swap(catalog, known || await snapshot(catalog, await readWorkbooks(dataDir), { source: 'startup' }));
+            if (!fs.existsSync(catalogFile)) {
+                await fsp.mkdir(path.dirname(catalogFile), { recursive: true });
+                await writeFileAtomic(catalogFile, JSON.stringify(catalog, null, 2) + '\n');
+            }
+            return live.version;
+        });
+    }
+
+    function purgeDrafts() {
+        const now = Date.now();
+        drafts.forEach((draft, id) => { if (draft.expiresAt <= now) drafts.delete(id); });
+    }
+
+    // uploads = { branches?: Buffer, treatments?: Buffer }; a workbook not uploaded is taken from data/
+    async function preview(uploads, { by = null } = {}) {
+        if (!uploads.branches && !uploads.treatments) return { ok: false, error: 'invalid', message: 'Upload at least one workbook' };
+        const current = await readWorkbooks(dataDir);
+        const files = Object.fromEntries(Object.entries(fileNames).map(([kind, fileName]) =>
+            [kind, uploads[kind] ? { name: fileName, data: uploads[kind] } : current[kind]]));
+        const missing = Object.keys(files).filter(kind => !files[kind]);
+        if (missing.length) return { ok: false, error: 'invalid', message: `Upload ${missing.map(kind => fileNames[kind]).join(' and ')} too` };
+
+        let catalog;
+        try {
+            catalog = buildCatalog(files.branches, files.treatments);
+        } catch (error) {
+            return { ok: false, error: 'unreadable', message: `Could not read the workbooks: ${error.message}` };
+        }
+
+        purgeDrafts();
+        const draft = { id: crypto.randomUUID(), catalog, files, by, basedOn: live.version.id, expiresAt: Date.now() + DRAFT_TTL_MS };
+        drafts.set(draft.id, draft);
+        return {
+            ok: true,
+            draft: {
+                id: draft.id,
+                basedOn: draft.basedOn,
+                expiresAt: new Date(draft.expiresAt).toISOString(),
+                counts: countsOf(catalog),
+                problems: validateCatalog(catalog),
+                warnings: catalog.errors,
+                diff: diffCatalogs(live.catalog, catalog)
+            }
+        };
+    }
+
+    function apply(draftId, { by = null } = {}) {
+        return serialize(async () => {
+            purgeDrafts();
+            const draft = drafts.get(draftId);
+            if (!draft) return { ok: false, error: 'not_found', message: 'Preview not found or expired; upload again' };
+            if (draft.basedOn !== live.version.id) {
+                return { ok: false, error: 'stale', message: 'The knowledge base changed since this preview; upload again' };
+            }
+            drafts.delete(draftId);
+            return activate(draft.catalog, draft.files, { source: 'upload', by });
+        });
+    }
+
+    function rollback(versionId, { by = null } = {}) {
+        return serialize(async () => {
+            const target = await readVersion(versionId);
+            if (!target) return { ok: false, error: 'not_found', message: 'Version not found' };
+            return activate(target.catalog, target.files, { source: 'rollback', by, rolledBackTo: versionId });
+        });
+    }
+
+    async function reloadFromDisk(kind) {
+        try {
+            const files = await readWorkbooks(dataDir);
+            const catalog = kind === 'data'
+                ? buildCatalog(files.branches, files.treatments)
+                : JSON.parse(await fsp.readFile(catalogFile, 'utf-8'));
+            const result = await activate(catalog, files, { source: kind });
+            if (!result.ok) console.warn(`⚠️  Ignored ${kind} change, live knowledge base kept: ${result.problems?.join('; ') || result.message}`);
+        } catch (error) {
+            // Usually a file caught halfway through being saved; the next change event retries
+            console.warn(`⚠️  Could not reload the knowledge base from ${kind}: ${error.message}`);
+        }
+    }
+
+    // Debounced, since editors and preprocessData.js write in several steps; -> stop()
+    function watch({ debounceMs = WATCH_DEBOUNCE_MS } = {}) {
+        const timers = {};
+        const targets = [
+            { kind: 'data', dir: dataDir, names: Object.values(fileNames) },
+            { kind: 'catalog.json', dir: path.dirname(catalogFile), names: [path.basename(catalogFile)] }
+        ];
+        const watchers = targets.flatMap(({ kind, dir, names }) => {
+            try {
+                return [fs.watch(dir, (event, filename) => {
+                    if (!filename || !names.some(candidate => candidate.normalize('NFC') === filename.toString().normalize('NFC'))) return;
+                    clearTimeout(timers[kind]);
+                    timers[kind] = setTimeout(() => serialize(() => reloadFromDisk(kind)), debounceMs);
+                })];
+            } catch (error) {
+                console.warn(`⚠️  Not watching ${dir} for knowledge base changes: ${error.message}`);
+                return [];
+            }
+        });
+        return () => {
+            watchers.forEach(watcher => watcher.close());
+            Object.values(timers).forEach(clearTimeout);
+        };
+    }
+
+    return {
+        load,
+        current: () => live && { version: live.version, counts: countsOf(live.catalog), warnings: live.catalog.errors || [] },
+        listVersions,
+        preview,
+        apply,
+        rollback,
+        watch
+    };
+}
+
+module.exports = { validateCatalog, diffCatalogs, createKnowledgeBase };
@@ -0,0 +1,270 @@
+// models.js - Model providers behind one interface, with per-call timeouts, retries and fallback ordering
+//
+// A provider is { name, model, generate({ instructions, input, format, verbosity, timeoutMs, signal, onDelta }) -> { text, usage } }.
+// `format` is a Responses-style json_schema format ({ type, name, schema, strict }); providers translate it.
+// With onDelta the provider streams and calls it with each text fragment; `signal` aborts the call.
+// MODEL_PROVIDERS lists them in fallback order, e.g. "openai:gpt-5-nano,openai:gpt-5-mini,chat:llama3.1,mock".
+const OpenAI = require('openai');
+
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 500;
+
+// OpenAI Responses API (GPT-5 family)
+function createResponsesProvider({ client, model = 'gpt-5-nano', reasoningEffort = 'minimal' }) {
+    return {
+        name: 'openai',
+        model,
+        async generate({ instructions, input, format, verbosity, timeoutMs, signal, onDelta }) {
+            const body = {
+                model,
+                reasoning: { effort: reasoningEffort },
+                text: { ...(verbosity ? { verbosity } : {}), ...(format ? { format } : {}) },
+                instructions,
+                input
+            };
+            const toUsage = (usage) => (usage ? { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens } : null);
+            const options = { timeout: timeoutMs, maxRetries: 0, signal };
+
+            if (!onDelta) {
+                const response = await client.responses.create(body, options);
+                return { text: response.output_text || '', usage: toUsage(response.usage) };
+            }
+
+            let text = '';
+            let usage = null;
+            const events = await client.responses.create({ ...body, stream: true }, options);
+            for await (const event of events) {
+                if (event.type === 'response.output_text.delta') {
+                    text += event.delta;
+                    onDelta(event.delta);
+                } else if (event.type === 'response.completed') {
+                    usage = toUsage(event.response.usage);
+                } else if (event.type === 'response.failed' || event.type === 'error') {
+                    throw new Error(event.response?.error?.message || event.message || 'Response stream failed');
+                }
+            }
+            return { text, usage };
+        }
+    };
+}
+
+// OpenAI-compatible /chat/completions, e.g. a local Ollama or llama.cpp server
+function createChatProvider({ client, model }) {
+    return {
+        name: 'chat',
+        model,
+        async generate({ instructions, input, format, timeoutMs, signal, onDelta }) {
+            const body = {
+                model,
+                messages: [{ role: 'system', content: instructions }, { role: 'user', content: input }],
+                ...(format ? { response_format: { type: 'json_schema', json_schema: { name: format.name, schema: format.schema, strict: format.strict } } } : {})
+            };
+            const toUsage = (usage) => (usage ? { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens } : null);
+            const options = { timeout: timeoutMs, maxRetries: 0, signal };
+
+            if (!onDelta) {
+                const response = await client.chat.completions.create(body, options);
+                return { text: response.choices?.[0]?.message?.content || '', usage: toUsage(response.usage) };
+            }
+
+            let text = '';
+            let usage = null;
+            const chunks = await client.chat.completions.create({ ...body, stream: true, stream_options: { include_usage: true } }, options);
+            for await (const chunk of chunks) {
+                const delta = chunk.choices?.[0]?.delta?.content;
+                if (delta) {
+                    text += delta;
+                    onDelta(delta);
+                }
+                if (chunk.usage) usage = toUsage(chunk.usage);
+            }
+            return { text, usage };
+        }
+    };
+}
+
+// Deterministic stand-in for tests and offline development: fills the requested schema without any network call
+function mockValue(property, input) {
+    if (property.enum) return property.enum.includes('other') ? 'other' : property.enum[0];
+    if (property.type === 'number') return 0.5;
+    if (property.type === 'boolean') return false;
+    return input;
+}
+
+function createMockProvider({ model = 'mock' } = {}) {
+    return {
+        name: 'mock',
+        model,
+        async generate({ input, format, onDelta }) {
+            const lastLine = String(input).trim().split('\n').pop().slice(0, 200);
+            const reply = `[mock] ${lastLine}`;
+            const respond = (text) => {
+                if (onDelta) text.match(/[\s\S]{1,16}/g).forEach(onDelta);
+                return { text, usage: null };
+            };
+            if (!format?.schema) return respond(reply);
+
+            // Only the first free-text field echoes the input; the others stay empty
+            let echoed = false;
+            const value = Object.fromEntries(Object.entries(format.schema.properties).map(([key, property]) => {
+                if (property.type === 'string' && !property.enum) {
+                    const text = echoed ? '' : reply;
+                    echoed = true;
+                    return [key, text];
+                }
+                return [key, mockValue(property, reply)];
+            }));
+            return respond(JSON.stringify(value));
+        }
+    };
+}
+
+// "openai:gpt-5-nano,chat:llama3.1,mock" -> providers; unknown kinds fail at startup rather than on the first message
+function createProviders(spec, env = process.env) {
+    return spec.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [kind, ...rest] = entry.split(':');
+        const model = rest.join(':') || undefined; // Ollama tags contain colons ("llama3.1:8b")
+        if (kind === 'openai') {
+            return createResponsesProvider({ client: new OpenAI({ apiKey: env.OPENAI_API_KEY }), model });
+        }
+        if (kind === 'chat') {
+            if (!model) throw new Error('chat provider needs a model, e.g. "chat:llama3.1"');
+            const client = new OpenAI({ apiKey: env.CHAT_API_KEY || 'local', baseURL: env.CHAT_BASE_URL || 'http://localhost:11434/v1' });
+            return createChatProvider({ client, model });
+        }
+        if (kind === 'mock') return createMockProvider({ model });
+        throw new Error(`Unknown model provider "${kind}" in MODEL_PROVIDERS`);
+    });
+}
+
+// Timeouts, connection errors, rate limits and server errors are worth another try; bad requests are not
+function isRetryable(error) {
+    if (!error.status) return true;
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+}
+
+// Resolves after ms, or as soon as signal aborts, so a cancelled job doesn't sit out its backoff in a queue slot
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal?.aborted) return resolve();
+        const done = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        signal?.addEventListener('abort', done, { once: true });
+    });
+}
+
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// Decoded value of a string field in JSON that may still be incomplete: '{"reply":"Merha' -> 'Merha'
+function partialStringField(json, field) {
+    const start = new RegExp(`"${field}"\\s*:\\s*"`).exec(json);
+    if (!start) return '';
+    let value = '';
+    for (let i = start.index + start[0].length; i < json.length; i++) {
+        const char = json[i];
+        if (char === '"') break;
+        if (char !== '\\') {
+            value += char;
+            continue;
+        }
+        const next = json[i + 1];
+        if (next === undefined) break; // escape split across deltas
+        if (next === 'u') {
+            const hex = json.slice(i + 2, i + 6);
+            if (hex.length < 4) break;
+            value += String.fromCharCode(parseInt(hex, 16));
+            i += 5;
+        } else {
+            value += JSON_ESCAPES[next] ?? next;
+            i += 1;
+        }
+    }
+    return value;
+}
+
+// Turns streamed structured output into plain text increments of one field (e.g. the reply of REPLY_FORMAT).
+// Output that isn't JSON never matches the field; the final result still carries the whole text.
+function createFieldStream(field, onText) {
+    let buffer = '';
+    let emitted = 0;
+    return (delta) => {
+        buffer += delta;
+        const value = partialStringField(buffer, field);
+        if (value.length > emitted) {
+            onText(value.slice(emitted));
+            emitted = value.length;
+        }
+    };
+}
+
+function createModelClient({ providers, timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, backoffMs = DEFAULT_BACKOFF_MS }) {
+    if (!providers.length) throw new Error('At least one model provider is required');
+
+    // Tries each provider in order, retrying transient failures with exponential backoff.
+    // A streamed attempt that fails after emitting text calls onRestart before the next attempt streams again.
+    // -> { text, usage, provider, model, attempts }; throws with error.attempts when every provider failed,
+    // or with code 'cancelled' as soon as request.signal aborts
+    async function complete(request, { timeoutMs: callTimeoutMs = timeoutMs, retries: callRetries = retries } = {}) {
+        const { onRestart, ...providerRequest } = request;
+        const attempts = [];
+        let streamed = false;
+
+        const cancelled = () => {
+            const error = new Error('Generation cancelled');
+            error.code = 'cancelled';
+            error.attempts = attempts;
+            return error;
+        };
+
+        for (const provider of providers) {
+            for (let attempt = 0; attempt <= callRetries; attempt++) {
+                if (request.signal?.aborted) throw cancelled();
+                if (streamed) {
+                    onRestart?.();
+                    streamed = false;
+                }
+                const startedAt = Date.now();
+                const onDelta = request.onDelta && ((delta) => {
+                    streamed = true;
+                    request.onDelta(delta);
+                });
+                try {
+                    const result = await provider.generate({ ...providerRequest, onDelta, timeoutMs: callTimeoutMs });
+                    attempts.push({ provider: provider.name, model: provider.model, ok: true, ms: Date.now() - startedAt });
+                    return { ...result, provider: provider.name, model: provider.model, attempts };
+                } catch (error) {
+                    if (request.signal?.aborted) throw cancelled();
+                    attempts.push({ provider: provider.name, model: provider.model, ok: false, ms: Date.now() - startedAt, error: error.message });
+                    console.warn(`Model ${provider.name}:${provider.model} failed (attempt ${attempt + 1}): ${error.message}`);
+                    if (!isRetryable(error)) break;
+                    if (attempt < callRetries) await sleep(backoffMs * 2 ** attempt, request.signal);
+                    if (request.signal?.aborted) throw cancelled();
+                }
+            }
+        }
+
+        const error = new Error(`All model providers failed: ${attempts[attempts.length - 1].error}`);
+        error.code = 'model_unavailable';
+        error.attempts = attempts;
+        throw error;
+    }
+
+    return {
+        complete,
+        describe: () => providers.map(provider => `${provider.name}:${provider.model}`)
+    };
+}
+
+module.exports = {
+    createResponsesProvider,
+    createChatProvider,
+    createMockProvider,
+    createProviders,
+    createModelClient,
+    createFieldStream
+};
@@ -1,45 +1,313 @@
 // preprocessData.js
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
 const XLSX = require('xlsx');
+const { slugify } = require('./catalog');
 
 // Ensure you place your Excel files in the 'data' folder
-const doctorsFile = path.join(__dirname, 'data', 'ŞUBE DOKTOR.xlsx');
-const treatmentsFile = path.join(__dirname, 'data', 'TEDAVİLER.xlsx');
-const outputFile = path.join(__dirname, 'knowledgebase.txt');
+const DATA_DIR = path.join(__dirname, 'data');
+const DATA_FILES = { branches: 'ŞUBE DOKTOR.xlsx', treatments: 'TEDAVİLER.xlsx' };
+const doctorsFile = path.join(DATA_DIR, DATA_FILES.branches);
+const treatmentsFile = path.join(DATA_DIR, DATA_FILES.treatments);
+const defaultCatalogFile = path.join(__dirname, 'catalog.json');
 
-let knowledgeBaseContent = "Information about our clinics and treatments:\n\n";
+const SPECIALTIES = {
+    'GC': 'Genel Cerrahi',
+    'KVC': 'Kalp ve Damar Cerrahisi',
+    'KARDİYOLOG': 'Kardiyoloji'
+};
+
+const TITLES = {
+    'PROF.DR.': 'Prof. Dr.',
+    'DOÇ.DR.': 'Doç. Dr.',
+    'OP.DR.': 'Op. Dr.',
+    'UZM.DR.': 'Uzm. Dr.',
+    'DR.': 'Dr.'
+};
+
+const WEEK_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const DAY_TOKENS = {
+    'PAZARTESİ': 'mon', 'PZT': 'mon',
+    'SALI': 'tue', 'SAL': 'tue',
+    'ÇARŞAMBA': 'wed', 'ÇRŞ': 'wed', 'ÇAR': 'wed',
+    'PERŞEMBE': 'thu', 'PRŞ': 'thu', 'PER': 'thu',
+    'CUMA': 'fri', 'CUM': 'fri',
+    'CUMARTESİ': 'sat', 'CMT': 'sat',
+    'PAZAR': 'sun', 'PZR': 'sun'
+};
+
+const DOCTOR_PATTERN = /((?:PROF|DOÇ|OP|UZM)\.\s*)?DR\.\s*([^()\r\n]+?)\s*\(\s*([^)]+?)\s*\)/giu;
+const HOURS_PATTERN = /(\d{1,2})[:.](\d{2})\s*[/-]\s*(\d{1,2})[:.](\d{2})/;
+const PHONE_PATTERN = /(?:\+?90\s*)?0?\s*\(?[2-5]\d{2}\)?[\s-]*\d{3}[\s-]*\d{2}[\s-]*\d{2}/;
+
+const cleanCell = (value) => (value === undefined || value === null ? '' : value.toString())
+    .replace(/\u200b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const upper = (text) => text.toLocaleUpperCase('tr-TR');
+
+// A workbook is a file path, or { name, data } for one that only exists in memory (an admin upload)
+const sourceName = (source) => path.basename(typeof source === 'string' ? source : source.name);
+
+const readRows = (source) => {
+    const workbook = typeof source === 'string' ? XLSX.readFile(source) : XLSX.read(source.data, { type: 'buffer' });
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]]; // Get first sheet
+    return XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+};
 
 const processFile = (filePath) => {
+    let content = '';
     try {
         const workbook = XLSX.readFile(filePath);
         const sheetName = workbook.SheetNames[0]; // Get first sheet
         const worksheet = workbook.Sheets[sheetName];
         const data = XLSX.utils.sheet_to_json(worksheet);
-        
+
         data.forEach(row => {
             let rowContent = Object.values(row)
                                  .filter(val => val && val.toString().trim() !== '' && !val.toString().includes('KAPALI'))
                                  .join('. ');
             if (rowContent) {
-                knowledgeBaseContent += rowContent + "\n\n";
+                content += rowContent + "\n\n";
             }
         });
     } catch (error) {
         throw new Error(`Error processing file ${filePath}: ${error.message}`);
     }
+    return content;
 };
 
-function buildKnowledgeBase() {
+// --- CATALOG PARSERS ---
+
+// "OP.DR. HAKAN YENEL (GC)  PROF. DR. KAZIM BEŞİRLİ (KVC)" -> [{ title, name, specialty }]
+function parseDoctors(text) {
+    const doctors = [];
+    const errors = [];
+    let leftover = text;
+
+    for (const match of text.matchAll(DOCTOR_PATTERN)) {
+        const titleKey = upper(`${match[1] || ''}DR.`).replace(/\s+/g, '');
+        const specialtyCode = upper(match[3]).replace(/\s+/g, '');
+        const name = cleanCell(match[2]);
+        const title = TITLES[titleKey] || 'Dr.';
+
+        if (!SPECIALTIES[specialtyCode]) {
+            errors.push(`Unknown specialty "${specialtyCode}" for ${name}`);
+        }
+        doctors.push({
+            id: slugify(name),
+            title,
+            name,
+            fullName: `${title} ${name}`,
+            specialtyCode,
+            specialty: SPECIALTIES[specialtyCode] || specialtyCode
+        });
+        leftover = leftover.replace(match[0], ' ');
+    }
+
+    if (/\p{L}/u.test(leftover)) {
+        errors.push(`Unparsed doctor text "${cleanCell(leftover)}"`);
+    }
+    return { doctors, errors };
+}
+
+// "ÇARŞAMBA 12:00/20:00\nDİĞER GÜNLER 09:00/18:00" -> { mon: { open, close }, ..., sun: null }
+function parseWorkingHours(text) {
+    const schedule = Object.fromEntries(WEEK_DAYS.map(day => [day, null]));
+    const errors = [];
+    const workingDays = WEEK_DAYS.slice(0, 6); // Clinics work six days a week unless stated otherwise
+
+    text.split(/\r?\n/).map(cleanCell).filter(Boolean).forEach(line => {
+        const time = line.match(HOURS_PATTERN);
+        if (!time) {
+            errors.push(`Unparsed working hours "${line}"`);
+            return;
+        }
+        const hours = {
+            open: `${time[1].padStart(2, '0')}:${time[2]}`,
+            close: `${time[3].padStart(2, '0')}:${time[4]}`
+        };
+        const prefix = upper(line.slice(0, time.index));
+        let days;
+
+        if (prefix.includes('STANDART')) {
+            const count = parseInt((prefix.match(/(\d)\s*GÜN/) || [])[1] || '6', 10);
+            days = WEEK_DAYS.slice(0, count);
+        } else if (prefix.includes('DİĞER')) {
+            days = workingDays.filter(day => !schedule[day]);
+        } else {
+            days = [];
+            prefix.split(/[\s,]+/).filter(token => token && token !== 'VE').forEach(token => {
+                if (DAY_TOKENS[token]) {
+                    days.push(DAY_TOKENS[token]);
+                } else {
+                    errors.push(`Unknown day "${token}" in working hours "${line}"`);
+                }
+            });
+        }
+        days.forEach(day => { schedule[day] = hours; });
+    });
+
+    return { schedule, errors };
+}
+
+function parseBranchRows(rows, file) {
+    const branches = [];
+    const errors = [];
+    const fileName = sourceName(file);
+
+    rows.slice(1).forEach((row, index) => {
+        const rowNumber = index + 2; // 1-based, after the header row
+        const [name, doctorsText, address, directions, hours] = row.map(cleanCell);
+        const rawDoctors = (row[1] || '').toString();
+        const rawHours = (row[4] || '').toString();
+        const addError = (field, message) => errors.push({ file: fileName, row: rowNumber, field, message });
+
+        if (!row.some(cell => cleanCell(cell))) return; // Blank row
+
+        if (!name) {
+            addError('ŞUBELER', 'Missing branch name');
+            return;
+        }
+
+        if ([doctorsText, address, hours].some(value => value.includes('KAPALI'))) {
+            branches.push({ id: slugify(name), name, closed: true, address: '', phone: null, directions: '', hours: { raw: '', schedule: null }, doctors: [] });
+            return;
+        }
+
+        const parsedDoctors = parseDoctors(rawDoctors);
+        const parsedHours = parseWorkingHours(rawHours);
+        const phone = address.match(PHONE_PATTERN);
+
+        parsedDoctors.errors.forEach(message => addError('HEKİMLER', message));
+        parsedHours.errors.forEach(message => addError('ÇALIŞMA SAATLERİ', message));
+        if (parsedDoctors.doctors.length === 0) addError('HEKİMLER', 'No doctors found');
+        if (!address) addError('ADRES///TELEFON', 'Missing address');
+        if (!hours) addError('ÇALIŞMA SAATLERİ', 'Missing working hours');
+
+        branches.push({
+            id: slugify(name),
+            name,
+            closed: false,
+            address: phone ? cleanCell(address.replace(phone[0], '')) : address,
+            phone: phone ? cleanCell(phone[0]) : null,
+            directions,
+            hours: { raw: rawHours.split(/\r?\n/).map(cleanCell).filter(Boolean).join(' / '), schedule: parsedHours.schedule },
+            doctors: parsedDoctors.doctors
+        });
+    });
+
+    return { branches, errors };
+}
+
+// Headings are short standalone lines without trailing punctuation, e.g. "Varis Nedir?"
+const isHeading = (line) => line.length <= 90 && /^\p{Lu}/u.test(line) && !/[.,:;!]$/.test(line);
+
+function parseTreatmentSections(text) {
+    const sections = [];
+    let current = { heading: null, paragraphs: [] };
+
+    text.split(/\r?\n/).map(cleanCell).filter(Boolean).forEach(line => {
+        if (isHeading(line)) {
+            if (current.heading || current.paragraphs.length) sections.push(current);
+            current = { heading: line, paragraphs: [] };
+        } else {
+            current.paragraphs.push(line);
+        }
+    });
+    if (current.heading || current.paragraphs.length) sections.push(current);
+
+    return sections.map(section => ({ heading: section.heading, body: section.paragraphs.join('\n') }));
+}
+
+function parseTreatmentRows(rows, file) {
+    const treatments = [];
+    const errors = [];
+    const fileName = sourceName(file);
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + 1; // This sheet has no header row
+        const name = cleanCell(row[0]);
+        const text = (row[1] || '').toString();
+        const addError = (field, message) => errors.push({ file: fileName, row: rowNumber, field, message });
+
+        if (!name && !cleanCell(text)) return; // Blank row
+        if (!name) {
+            addError('name', 'Missing treatment name');
+            return;
+        }
+        if (!cleanCell(text)) {
+            addError('description', `Missing description for ${name}`);
+            return;
+        }
+
+        const sections = parseTreatmentSections(text);
+        const intro = sections.find(section => section.body);
+
+        treatments.push({
+            id: slugify(name),
+            name,
+            description: intro ? intro.body.split('\n')[0] : '',
+            sections,
+            faq: sections
+                .filter(section => section.heading && section.heading.endsWith('?') && section.body)
+                .map(section => ({ question: section.heading, answer: section.body }))
+        });
+    });
+
+    return { treatments, errors };
+}
+
+function buildCatalog(branchFile = doctorsFile, treatmentFile = treatmentsFile) {
+    const branchResult = parseBranchRows(readRows(branchFile), branchFile);
+    const treatmentResult = parseTreatmentRows(readRows(treatmentFile), treatmentFile);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        branches: branchResult.branches,
+        treatments: treatmentResult.treatments,
+        errors: [...branchResult.errors, ...treatmentResult.errors]
+    };
+}
+
+// A tenant's workbooks -> its catalog.json, with knowledgebase.txt next to it
+function buildKnowledgeBase({ dataDir = DATA_DIR, files = DATA_FILES, catalogFile = defaultCatalogFile } = {}) {
     try {
         console.log('Processing files...');
-        processFile(doctorsFile);
-        processFile(treatmentsFile);
+        const branchFile = path.join(dataDir, files.branches);
+        const treatmentFile = path.join(dataDir, files.treatments);
+        const outputFile = path.join(path.dirname(catalogFile), 'knowledgebase.txt');
+        const knowledgeBaseContent = "Information about our clinics and treatments:\n\n" +
+            processFile(branchFile) +
+            processFile(treatmentFile);
         fs.writeFileSync(outputFile, knowledgeBaseContent);
         console.log(`Knowledge base successfully created at ${outputFile}`);
+
+        const catalog = buildCatalog(branchFile, treatmentFile);
+        fs.writeFileSync(catalogFile, JSON.stringify(catalog, null, 2) + '\n');
+        console.log(`Catalog with ${catalog.branches.length} branches and ${catalog.treatments.length} treatments created at ${catalogFile}`);
+        catalog.errors.forEach(error => console.warn(`⚠️  ${error.file} row ${error.row} [${error.field}]: ${error.message}`));
     } catch (error) {
         console.error('Error building knowledge base:', error);
     }
 }
 
-buildKnowledgeBase()
+module.exports = { DATA_DIR, DATA_FILES, buildCatalog, parseDoctors, parseWorkingHours, processFile };
+
+// node preprocessData.js [--tenant <id>]; without --tenant the default tenant (see tenants.js)
+if (require.main === module) {
+    require('dotenv').config();
+    const { values } = parseArgs({ options: { tenant: { type: 'string' } } });
+    // Loaded here because tenants.js itself reads DATA_DIR and DATA_FILES from this module
+    const tenants = require('./tenants').loadTenants();
+    const tenant = values.tenant ? tenants.find(candidate => candidate.id === values.tenant) : tenants[0];
+    if (tenant) {
+        buildKnowledgeBase(tenant.knowledgeBase);
+    } else {
+        console.error(`Unknown tenant "${values.tenant}"; configured: ${tenants.map(candidate => candidate.id).join(', ')}`);
+        process.exitCode = 1;
+    }
+}
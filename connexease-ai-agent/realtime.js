@@ -0,0 +1,148 @@
+// realtime.js - Versioned WebSocket protocol: per-conversation subscriptions, sequenced events, resume and heartbeats
+//
+// Server -> client: { v, type, conversationId?, seq?, payload }
+//   hello          { protocolVersion, epoch, heartbeatMs, user }  sent once per connection
+//   snapshot       full state of a subscribed conversation; seq = last event it already includes
+//   <event>        sequenced conversation event (customerMessage, aiSuggestion, ...) for subscribers only
+//   aiSuggestionDelta  unsequenced streamed tokens for subscribers; never replayed, aiSuggestionDone carries the result
+//   conversationUpdated  unsequenced list update for every client allowed to see the conversation
+//   error          { code, message }
+// Client -> server: { v, type: 'subscribe', conversationId, epoch?, lastSeq? } | { v, type: 'unsubscribe', conversationId }
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const PROTOCOL_VERSION = 1;
+const DEFAULT_HEARTBEAT_MS = 30000;
+const DEFAULT_BACKLOG_SIZE = 100;
+const MAX_TRACKED_CONVERSATIONS = 1000;
+
+function createRealtimeHub({ wss, authorize, snapshot, heartbeatMs = DEFAULT_HEARTBEAT_MS, backlogSize = DEFAULT_BACKLOG_SIZE }) {
+    // Sequence numbers are global and only meaningful within one server run (epoch)
+    const epoch = crypto.randomBytes(8).toString('hex');
+    let seq = 0;
+    // conversationId -> { floor, events }; floor = newest seq no longer retained, so resumes from below it need a snapshot
+    const backlogs = new Map();
+
+    const send = (ws, message) => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ v: PROTOCOL_VERSION, ...message }));
+        }
+    };
+    const sendError = (ws, code, message, conversationId) => send(ws, { type: 'error', conversationId, payload: { code, message } });
+
+    function remember(conversationId, event) {
+        let backlog = backlogs.get(conversationId);
+        if (backlog) {
+            backlogs.delete(conversationId); // re-insert so the Map stays ordered by recent activity
+        } else {
+            backlog = { floor: event.seq - 1, events: [] };
+        }
+        backlog.events.push(event);
+        if (backlog.events.length > backlogSize) {
+            backlog.floor = backlog.events.shift().seq;
+        }
+        backlogs.set(conversationId, backlog);
+
+        if (backlogs.size > MAX_TRACKED_CONVERSATIONS) {
+            backlogs.delete(backlogs.keys().next().value);
+        }
+    }
+
+    function sendSnapshot(ws, conversationId) {
+        const state = snapshot(conversationId);
+        if (!state) return sendError(ws, 'not_found', 'Conversation not found', conversationId);
+        send(ws, { type: 'snapshot', conversationId, seq, payload: state });
+    }
+
+    // Replay missed events when the client's position is still covered by the backlog, otherwise start over
+    function subscribe(ws, { conversationId, epoch: clientEpoch, lastSeq }) {
+        if (typeof conversationId !== 'string' || !conversationId) {
+            return sendError(ws, 'bad_request', 'conversationId is required');
+        }
+        if (!authorize(ws.user, conversationId)) {
+            return sendError(ws, 'not_found', 'Conversation not found', conversationId);
+        }
+        ws.subscriptions.add(conversationId);
+
+        const backlog = backlogs.get(conversationId);
+        const canResume = clientEpoch === epoch && Number.isInteger(lastSeq) && lastSeq <= seq &&
+            (backlog ? lastSeq >= backlog.floor : false);
+        if (!canResume) return sendSnapshot(ws, conversationId);
+
+        backlog.events.filter(event => event.seq > lastSeq).forEach(event => send(ws, event));
+    }
+
+    function handleMessage(ws, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            return sendError(ws, 'bad_request', 'Messages must be JSON');
+        }
+        if (message.v !== PROTOCOL_VERSION) {
+            return sendError(ws, 'unsupported_version', `Protocol version ${PROTOCOL_VERSION} required`);
+        }
+
+        if (message.type === 'subscribe') {
+            subscribe(ws, message);
+        } else if (message.type === 'unsubscribe') {
+            ws.subscriptions.delete(message.conversationId);
+        } else {
+            sendError(ws, 'bad_request', `Unknown message type "${message.type}"`);
+        }
+    }
+
+    wss.on('connection', (ws) => {
+        ws.subscriptions = new Set();
+        ws.isAlive = true;
+        ws.on('pong', () => { ws.isAlive = true; });
+        ws.on('message', (raw) => handleMessage(ws, raw.toString()));
+        send(ws, { type: 'hello', payload: { protocolVersion: PROTOCOL_VERSION, epoch, heartbeatMs, user: ws.user } });
+    });
+
+    // Sockets that miss a ping round are terminated instead of lingering as half-open connections
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(ws => {
+            if (!ws.isAlive) return ws.terminate();
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }, heartbeatMs);
+    heartbeat.unref();
+    wss.on('close', () => clearInterval(heartbeat));
+
+    // Sequenced event for the conversation's subscribers; access is re-checked since conversations can be re-routed
+    function publish(conversationId, type, payload) {
+        const event = { v: PROTOCOL_VERSION, type, conversationId, seq: ++seq, payload };
+        remember(conversationId, event);
+
+        wss.clients.forEach(ws => {
+            if (ws.subscriptions?.has(conversationId) && authorize(ws.user, conversationId)) {
+                send(ws, event);
+            }
+        });
+        return event.seq;
+    }
+
+    // Unsequenced and not kept in the backlog: streamed tokens would otherwise push real events out of it
+    function stream(conversationId, type, payload) {
+        wss.clients.forEach(ws => {
+            if (ws.subscriptions?.has(conversationId) && authorize(ws.user, conversationId)) {
+                send(ws, { type, conversationId, payload });
+            }
+        });
+    }
+
+    // Unsequenced update for conversation lists; clients re-fetch the list over REST after reconnecting
+    function announce(conversationId, payload) {
+        wss.clients.forEach(ws => {
+            if (ws.subscriptions && authorize(ws.user, conversationId)) {
+                send(ws, { type: 'conversationUpdated', conversationId, payload });
+            }
+        });
+    }
+
+    return { epoch, publish, stream, announce };
+}
+
+module.exports = { PROTOCOL_VERSION, createRealtimeHub };
@@ -0,0 +1,177 @@
+// redaction.js - Turkish PII detection: reversible placeholders for model calls, masking for logs
+//
+// Before a prompt leaves the server, T.C. kimlik numbers, phone numbers, e-mails, IBANs, dates of birth
+// and the customer's name are swapped for placeholders like [TELEFON_1]; the model's reply gets the real
+// values back. Logs only ever see the kind ("[TELEFON]"), never the value.
+const util = require('util');
+
+// Detection order matters: an IBAN or TCKN must be claimed before the phone pattern sees its digits
+const KINDS = ['AD', 'EPOSTA', 'IBAN', 'TCKN', 'TELEFON', 'DOGUM_TARIHI'];
+
+const NOT_WORD_BEFORE = '(?<![\\p{L}\\d])';
+const NOT_WORD_AFTER = '(?![\\p{L}\\d])';
+
+const EMAIL_PATTERN = /[\p{L}\d._%+-]+@[\p{L}\d-]+(?:\.[\p{L}\d-]+)*\.\p{L}{2,}/gu;
+const IBAN_PATTERN = /(?<![A-Z\d])TR\d{2}(?:\s?\d){22}(?!\d)/giu;
+const TCKN_PATTERN = /(?<!\d)[1-9]\d{10}(?!\d)/gu;
+// 0532 123 45 67, +90 (212) 555 12 34, 5321234567; mobile and landline area codes start with 2-5
+const PHONE_PATTERN = /(?<![\d+])(?:\+?90[\s-]?)?\(?0?[2-5]\d{2}\)?[\s-]?\d{3}[\s-]?\d{2}[\s-]?\d{2}(?!\d)/gu;
+const DATE_PATTERN = /(?<!\d)(\d{1,2})[./-](\d{1,2})[./-]((?:19|20)\d{2})(?!\d)/gu;
+// The keyword must be in the date's own clause: "…doğumluyum, randevu 25.11.2026" is an appointment.
+// A dot only ends the clause before a space, so "d.t." and "01.02." stay inside it.
+const BIRTH_KEYWORD = /(?:doğum|dogum|d\.\s?t\.|d\.\s?tarihi)(?:[^\n,;!?.]|\.(?=\S)){0,25}$/iu;
+const BIRTH_SUFFIX = /^\s*(?:doğumlu|dogumlu|doğumluyum|dogumluyum)/iu;
+// Letter by letter [aA] (i and ı with both Turkish capitals), so a keyword matches in any case while the
+// name after it still has to be capitalized; the i flag would make \p{Lu} match lowercase letters too
+const anyCase = (word) => word.replace(/\p{L}/gu, letter => ({ i: '[iİI]', ı: '[ıIi]' }[letter] || `[${letter}${letter.toLocaleUpperCase('tr-TR')}]`));
+// "Adım Ayşe Yılmaz", "ismim Mehmet", "adı soyadı: Ali Veli"
+const NAME_KEYWORDS = ['adım', 'adim', 'ismim', 'adı soyadı', 'adi soyadi', 'ad soyad'];
+const NAME_PATTERN = new RegExp(
+    `(?<![\\p{L}])(?:${NAME_KEYWORDS.map(anyCase).join('|')})\\s*:?\\s+(\\p{Lu}\\p{Ll}+(?:\\s+\\p{Lu}\\p{Ll}+){0,2})`,
+    'gu'
+);
+
+// Adults' birth years; later full dates are most likely appointment or treatment dates
+const MIN_BIRTH_AGE_YEARS = 12;
+
+// T.C. kimlik: 11 digits, no leading zero, two check digits
+function isValidTckn(value) {
+    const digits = String(value).split('').map(Number);
+    if (digits.length !== 11 || digits[0] === 0) return false;
+    const odd = digits[0] + digits[2] + digits[4] + digits[6] + digits[8];
+    const even = digits[1] + digits[3] + digits[5] + digits[7];
+    const tenth = ((odd * 7 - even) % 10 + 10) % 10;
+    const eleventh = digits.slice(0, 10).reduce((sum, digit) => sum + digit, 0) % 10;
+    return digits[9] === tenth && digits[10] === eleventh;
+}
+
+// ISO 13616 mod-97 check
+function isValidIban(value) {
+    const iban = String(value).replace(/\s+/g, '').toUpperCase();
+    const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+    let remainder = 0;
+    for (const digit of rearranged) remainder = (remainder * 10 + Number(digit)) % 97;
+    return remainder === 1;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function collect(pattern, text, kind, accept = () => true, group = 0) {
+    const matches = [];
+    for (const match of text.matchAll(pattern)) {
+        const value = match[group];
+        const start = match.index + match[0].length - value.length;
+        if (accept(value, match)) matches.push({ kind, start, end: start + value.length, value });
+    }
+    return matches;
+}
+
+// -> [{ kind, start, end, value }] sorted by position, without overlaps; `known` is [{ kind, value }]
+function findPii(text, { known = [], now = new Date() } = {}) {
+    if (!text) return [];
+    const latestBirthYear = now.getFullYear() - MIN_BIRTH_AGE_YEARS;
+    const isBirthDate = (value, match) => {
+        const [, day, month, year] = match;
+        if (Number(day) < 1 || Number(day) > 31 || Number(month) < 1 || Number(month) > 12) return false;
+        const before = text.slice(Math.max(0, match.index - 30), match.index);
+        const after = text.slice(match.index + value.length, match.index + value.length + 15);
+        return Number(year) <= latestBirthYear || BIRTH_KEYWORD.test(before) || BIRTH_SUFFIX.test(after);
+    };
+
+    const candidates = [
+        ...known.filter(entry => entry.value && entry.value.length >= 3).flatMap(entry =>
+            collect(new RegExp(`${NOT_WORD_BEFORE}${escapeRegExp(entry.value)}${NOT_WORD_AFTER}`, 'gu'), text, entry.kind)),
+        ...collect(NAME_PATTERN, text, 'AD', () => true, 1),
+        ...collect(EMAIL_PATTERN, text, 'EPOSTA'),
+        ...collect(IBAN_PATTERN, text, 'IBAN', isValidIban),
+        ...collect(TCKN_PATTERN, text, 'TCKN', isValidTckn),
+        ...collect(PHONE_PATTERN, text, 'TELEFON'),
+        ...collect(DATE_PATTERN, text, 'DOGUM_TARIHI', isBirthDate)
+    ];
+
+    // Earlier detectors win overlaps: a known name beats a pattern, an IBAN beats the phone inside it
+    const accepted = [];
+    candidates.forEach(candidate => {
+        if (!accepted.some(other => candidate.start < other.end && other.start < candidate.end)) accepted.push(candidate);
+    });
+    return accepted.sort((a, b) => a.start - b.start);
+}
+
+function replaceMatches(text, matches, replacement) {
+    let output = '';
+    let position = 0;
+    matches.forEach(match => {
+        output += text.slice(position, match.start) + replacement(match);
+        position = match.end;
+    });
+    return output + text.slice(position);
+}
+
+// "Numaram 0532 123 45 67" -> "Numaram [TELEFON]"; for logs, where nothing has to be restored
+const maskPii = (text, options) => replaceMatches(String(text), findPii(String(text), options), match => `[${match.kind}]`);
+
+const PLACEHOLDER_PATTERN = /\[(?:AD|EPOSTA|IBAN|TCKN|TELEFON|DOGUM_TARIHI)_\d+\]/g;
+const LONGEST_PLACEHOLDER = '[DOGUM_TARIHI_999]'.length;
+
+// One redaction per model call: the same value always gets the same placeholder, so replies can refer to it
+function createRedaction({ now = new Date() } = {}) {
+    const known = [];
+    const byValue = new Map();
+    const byPlaceholder = new Map();
+    const counters = {};
+
+    function placeholderFor(kind, value) {
+        const key = `${kind}:${value}`;
+        if (!byValue.has(key)) {
+            counters[kind] = (counters[kind] || 0) + 1;
+            const placeholder = `[${kind}_${counters[kind]}]`;
+            byValue.set(key, placeholder);
+            byPlaceholder.set(placeholder, value);
+        }
+        return byValue.get(key);
+    }
+
+    // Values already known to be personal (the customer's profile), redacted wherever they appear
+    function remember(kind, value) {
+        const text = String(value || '').trim();
+        if (text && !known.some(entry => entry.value === text)) known.push({ kind, value: text });
+    }
+
+    const redact = (text) => (text ? replaceMatches(text, findPii(text, { known, now }), match => placeholderFor(match.kind, match.value)) : text);
+
+    // Unknown placeholders are left alone rather than guessed
+    const restore = (text) => (text ? text.replace(PLACEHOLDER_PATTERN, placeholder => byPlaceholder.get(placeholder) ?? placeholder) : text);
+
+    // Restores streamed text; a placeholder split across deltas is held back until it is complete.
+    // flush() sends whatever is still held back once the stream has ended.
+    function restoreStream(onText) {
+        let pending = '';
+        const push = (delta) => {
+            pending += delta;
+            const open = pending.lastIndexOf('[');
+            const held = open !== -1 && !pending.includes(']', open) && pending.length - open < LONGEST_PLACEHOLDER
+                ? pending.slice(open) : '';
+            const ready = pending.slice(0, pending.length - held.length);
+            pending = held;
+            if (ready) onText(restore(ready));
+        };
+        push.flush = () => {
+            const rest = pending;
+            pending = '';
+            if (rest) onText(restore(rest));
+        };
+        return push;
+    }
+
+    return { redact, restore, remember, restoreStream, count: () => byPlaceholder.size };
+}
+
+// Every console line goes through maskPii, including objects and errors console would have printed
+function maskConsole(target = console) {
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+        const original = target[level].bind(target);
+        target[level] = (...args) => original(maskPii(util.format(...args)));
+    });
+}
+
+module.exports = { KINDS, isValidTckn, isValidIban, findPii, maskPii, createRedaction, maskConsole };
@@ -0,0 +1,122 @@
+// retrieval.js - BM25 search over catalog chunks so prompts only carry the relevant parts
+const { normalizeText, slugify, findBranches, findDoctors, findTreatments, describeBranch } = require('./catalog');
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MIN_STEM_LENGTH = 4;
+
+const STOPWORDS = new Set([
+    've', 'veya', 'ile', 'bir', 'bu', 'su', 'o', 'da', 'de', 'mi', 'mu', 'ne', 'icin', 'ama', 'cok',
+    'gibi', 'olan', 'olarak', 'daha', 'en', 'ya', 'ki', 'ise', 'hem', 'her', 'var', 'yok',
+    'merhaba', 'iyi', 'gunler', 'tesekkurler', 'lutfen', 'acaba', 'sey', 'nedir'
+]);
+
+// Longest first; operates on normalizeText() output, so "ı/i", "ş/s" etc. are already folded
+const SUFFIXES = [
+    'larindan', 'lerinden', 'larinda', 'lerinde', 'sinin', 'sunun', 'imiz', 'umuz', 'iniz', 'unuz',
+    'lari', 'leri', 'daki', 'deki', 'taki', 'teki', 'lar', 'ler', 'nin', 'nun', 'dan', 'den', 'tan', 'ten',
+    'dir', 'dur', 'tir', 'tur', 'da', 'de', 'ta', 'te', 'im', 'um', 'in', 'un', 'si', 'su', 'yi', 'yu',
+    'ya', 'ye', 'mi', 'mu', 'i', 'u', 'a', 'e'
+];
+
+// Light suffix stripping: "varislerim" -> "varis", "kadikoyde" -> "kadikoy"
+function stem(token) {
+    let result = token;
+    for (let pass = 0; pass < 3; pass++) {
+        const suffix = SUFFIXES.find(candidate => result.endsWith(candidate) && result.length - candidate.length >= MIN_STEM_LENGTH);
+        if (!suffix) break;
+        result = result.slice(0, -suffix.length);
+    }
+    return result;
+}
+
+function tokenize(text) {
+    return normalizeText(text)
+        .split(' ')
+        .filter(token => token.length > 1 && !STOPWORDS.has(token))
+        .map(stem);
+}
+
+// One chunk per branch, one per treatment section (FAQ questions get their own "faq:" IDs)
+function buildChunks(catalog) {
+    const chunks = [];
+    const seen = new Set();
+    const addChunk = (id, title, text) => {
+        let uniqueId = id;
+        for (let n = 2; seen.has(uniqueId); n++) uniqueId = `${id}-${n}`;
+        seen.add(uniqueId);
+        chunks.push({ id: uniqueId, title, text });
+    };
+
+    addChunk('branch:overview', 'Şubeler', `ŞUBELERİMİZ: ${catalog.branches.filter(branch => !branch.closed).map(branch => branch.name).join(', ')}`);
+    catalog.branches.forEach(branch => addChunk(`branch:${branch.id}`, branch.name, describeBranch(branch)));
+
+    catalog.treatments.forEach(treatment => {
+        addChunk(`treatment:${treatment.id}`, treatment.name, `TEDAVİ: ${treatment.name}\n${treatment.description}`);
+        treatment.sections.filter(section => section.body).forEach(section => {
+            const isQuestion = section.heading?.endsWith('?');
+            const id = section.heading
+                ? `${isQuestion ? 'faq' : 'treatment'}:${treatment.id}:${slugify(section.heading)}`
+                : `treatment:${treatment.id}:intro`;
+            addChunk(id, section.heading || treatment.name, `TEDAVİ: ${treatment.name}\n${section.heading ? section.heading + '\n' : ''}${section.body}`);
+        });
+    });
+
+    return chunks;
+}
+
+function buildIndex(chunks) {
+    const documentFrequency = new Map();
+    const documents = chunks.map(chunk => {
+        const termFrequency = new Map();
+        const tokens = tokenize(chunk.text);
+        tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+        termFrequency.forEach((count, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+        return { chunk, termFrequency, length: tokens.length };
+    });
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+
+    return { documents, documentFrequency, averageLength };
+}
+
+function search(index, query, k) {
+    const terms = [...new Set(tokenize(query))];
+    const total = index.documents.length;
+
+    return index.documents
+        .map(doc => {
+            const score = terms.reduce((sum, term) => {
+                const frequency = doc.termFrequency.get(term);
+                if (!frequency) return sum;
+                const df = index.documentFrequency.get(term);
+                const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+                const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / index.averageLength);
+                return sum + idf * (frequency * (BM25_K1 + 1)) / norm;
+            }, 0);
+            return { chunk: doc.chunk, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+}
+
+// Branches, doctors and treatments named outright always make the cut; BM25 fills the rest
+function retrieve(index, catalog, query, k) {
+    const byId = new Map(index.documents.map(doc => [doc.chunk.id, doc.chunk]));
+    const selected = new Map();
+    const add = (id) => { if (byId.has(id) && selected.size < k) selected.set(id, byId.get(id)); };
+
+    findBranches(catalog, query).forEach(branch => add(`branch:${branch.id}`));
+    findDoctors(catalog, query).forEach(doctor => add(`branch:${doctor.branchId}`));
+    findTreatments(catalog, query).forEach(treatment => add(`treatment:${treatment.id}`));
+    search(index, query, k).forEach(result => add(result.chunk.id));
+
+    if (selected.size === 0) add('branch:overview');
+    return [...selected.values()];
+}
+
+function formatChunks(chunks) {
+    return chunks.map(chunk => `[${chunk.id}]\n${chunk.text}`).join('\n\n');
+}
+
+module.exports = { stem, tokenize, buildChunks, buildIndex, search, retrieve, formatChunks };
@@ -0,0 +1,44 @@
+// store/index.js - Pluggable conversation storage (SQLite file by default, in-memory for tests)
+//
+// Every driver implements the same synchronous interface:
+//   saveCustomer(customer)                      -> customer record
+//   ensureConversation(id, customer?, { tenantId }?) -> conversation record (created for the tenant if missing)
+//   updateConversation(id, fields)              -> conversation record | null
+//   getConversation(id, { limit, before })      -> conversation with its messages | null
+//   listConversations({ limit, offset, tenantId, branchIds, intent, tag }) -> { items, total } (null filters = all)
+//   addMessage(conversationId, message)         -> stored message (with id and createdAt)
+//   updateMessage(conversationId, id, fields)   -> message | null
+//   addSuggestion(conversationId, suggestion)   -> stored suggestion (with id and createdAt)
+//   listSuggestions(conversationId)             -> suggestions, newest first
+//   getSuggestion(id) / updateSuggestion(id, fields) -> suggestion | null
+//   listSuggestionsBetween({ from, to, tenantId, branchIds }) -> suggestions with their conversation's branchId, oldest first
+//   addBooking(booking) / getBooking(id) / updateBooking(id, fields) -> booking | null
+//   listBookings({ tenantId, conversationId, branchId, doctorId, status, from, to }) -> bookings by start time
+//   purgeExpired(cutoffIso)                     -> number of conversations removed; their bookings (and bookings
+//                                                  without one) go too once the appointment ended before the cutoff
+//   saveUser(user) / getUser(username) / listUsers()
+//   createSession(session) / getSession(id) / deleteSession(id)
+//   purgeExpiredSessions(nowIso)                -> number of sessions removed
+//   assignTenant(tenantId)                      -> { conversations, bookings, users } stored without a tenant, now the tenant's
+//   recordWebhookEvent(key)                     -> true the first time a delivery key is seen
+//   purgeWebhookEvents(cutoffIso)               -> number of delivery keys forgotten
+//   close()
+const path = require('path');
+const { createSqliteStore } = require('./sqlite');
+const { createMemoryStore } = require('./memory');
+const { customerKey, toListItem } = require('./records');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', 'storage', 'agent-assist.db');
+
+function createStore({ driver = 'sqlite', filePath = DEFAULT_DB_PATH } = {}) {
+    switch (driver) {
+        case 'sqlite':
+            return createSqliteStore(filePath);
+        case 'memory':
+            return createMemoryStore();
+        default:
+            throw new Error(`Unknown store driver "${driver}"`);
+    }
+}
+
+module.exports = { createStore, customerKey, toListItem };
@@ -0,0 +1,248 @@
+// store/memory.js - In-memory conversation store for tests and throwaway runs
+const { customerKey, toListItem } = require('./records');
+
+function createMemoryStore() {
+    const customers = new Map();
+    const conversations = new Map();
+    const users = new Map();
+    const sessions = new Map();
+    const webhookEvents = new Map(); // key -> receivedAt
+    const bookings = new Map();
+    let nextMessageId = 1;
+    let nextBookingId = 1;
+    let nextSuggestionId = 1;
+
+    const toConversation = (record) => ({
+        ...record.data,
+        id: record.id,
+        customer: record.customerId ? customers.get(record.customerId) || null : null,
+        createdAt: record.createdAt,
+        lastActivityAt: record.lastActivityAt
+    });
+
+    function saveCustomer(customer, tenantId = null) {
+        const id = customerKey(customer, tenantId);
+        if (!id) return null;
+        customers.set(id, customer);
+        return customer;
+    }
+
+    function ensureConversation(id, customer, { tenantId = null } = {}) {
+        const customerId = customer ? customerKey(saveCustomer(customer, tenantId), tenantId) : null;
+        if (!conversations.has(id)) {
+            const now = new Date().toISOString();
+            const data = tenantId ? { tenantId } : {};
+            conversations.set(id, { id, customerId, data, createdAt: now, lastActivityAt: now, messages: [], suggestions: [] });
+        } else if (customerId) {
+            conversations.get(id).customerId = customerId;
+        }
+        return toConversation(conversations.get(id));
+    }
+
+    function updateConversation(id, fields) {
+        const record = conversations.get(id);
+        if (!record) return null;
+        record.data = { ...record.data, ...fields };
+        return toConversation(record);
+    }
+
+    function getConversation(id, { limit = 100, before = Number.MAX_SAFE_INTEGER } = {}) {
+        const record = conversations.get(id);
+        if (!record) return null;
+        const earlier = record.messages.filter(message => message.id < before);
+        return {
+            ...toConversation(record),
+            messages: (limit > 0 ? earlier.slice(-limit) : []).map(message => ({ ...message })),
+            hasMoreMessages: earlier.length > limit
+        };
+    }
+
+    function listConversations({ limit = 50, offset = 0, tenantId = null, branchIds = null, intent = null, tag = null } = {}) {
+        const sorted = [...conversations.values()]
+            .filter(record => !tenantId || record.data.tenantId === tenantId)
+            .filter(record => !branchIds || branchIds.includes(record.data.branchId))
+            .filter(record => !intent || record.data.intent === intent)
+            .filter(record => !tag || (record.data.tags || []).includes(tag))
+            .sort((a, b) => b.lastActivityAt.localeCompare(a.lastActivityAt));
+        const items = sorted.slice(offset, offset + limit).map(record =>
+            toListItem(toConversation(record), record.messages[record.messages.length - 1], record.messages.length));
+        return { items, total: sorted.length };
+    }
+
+    function addMessage(conversationId, message) {
+        ensureConversation(conversationId);
+        const record = conversations.get(conversationId);
+        const stored = { ...message, id: nextMessageId++, createdAt: new Date().toISOString() };
+        record.messages.push(stored);
+        record.lastActivityAt = stored.createdAt;
+        return { ...stored };
+    }
+
+    function updateMessage(conversationId, messageId, fields) {
+        const message = conversations.get(conversationId)?.messages.find(candidate => candidate.id === messageId);
+        if (!message) return null;
+        Object.assign(message, fields);
+        return { ...message };
+    }
+
+    function addSuggestion(conversationId, suggestion) {
+        ensureConversation(conversationId);
+        const stored = { ...suggestion, id: nextSuggestionId++, conversationId, createdAt: new Date().toISOString() };
+        conversations.get(conversationId).suggestions.push(stored);
+        return { ...stored };
+    }
+
+    function listSuggestions(conversationId) {
+        const record = conversations.get(conversationId);
+        return record ? [...record.suggestions].reverse().map(suggestion => ({ ...suggestion })) : [];
+    }
+
+    const findSuggestion = (id) => [...conversations.values()]
+        .map(record => record.suggestions.find(suggestion => suggestion.id === id))
+        .find(Boolean);
+
+    function updateSuggestion(id, fields) {
+        const suggestion = findSuggestion(id);
+        if (!suggestion) return null;
+        Object.assign(suggestion, fields);
+        return { ...suggestion };
+    }
+
+    function listSuggestionsBetween({ from = null, to = null, tenantId = null, branchIds = null } = {}) {
+        return [...conversations.values()]
+            .filter(record => !tenantId || record.data.tenantId === tenantId)
+            .filter(record => !branchIds || branchIds.includes(record.data.branchId))
+            .flatMap(record => record.suggestions.map(suggestion => ({ ...suggestion, branchId: record.data.branchId ?? null })))
+            .filter(suggestion => (!from || suggestion.createdAt >= from) && (!to || suggestion.createdAt < to))
+            .sort((a, b) => a.id - b.id);
+    }
+
+    function addBooking({ conversationId = null, status = 'booked', ...booking }) {
+        const stored = { ...booking, conversationId, status, id: nextBookingId++, createdAt: new Date().toISOString() };
+        bookings.set(stored.id, stored);
+        return { ...stored };
+    }
+
+    function updateBooking(id, fields) {
+        const booking = bookings.get(id);
+        if (!booking) return null;
+        Object.assign(booking, fields, { id });
+        return { ...booking };
+    }
+
+    function listBookings({ tenantId = null, conversationId = null, branchId = null, doctorId = null, status = null, from = null, to = null } = {}) {
+        return [...bookings.values()]
+            .filter(booking => (!tenantId || booking.tenantId === tenantId) &&
+                (!conversationId || booking.conversationId === conversationId) &&
+                (!branchId || booking.branchId === branchId) &&
+                (!doctorId || booking.doctorId === doctorId) &&
+                (!status || booking.status === status) &&
+                (!from || booking.endAt > from) &&
+                (!to || booking.startAt < to))
+            .sort((a, b) => a.startAt.localeCompare(b.startAt))
+            .map(booking => ({ ...booking }));
+    }
+
+    function purgeExpired(cutoffIso) {
+        let removed = 0;
+        conversations.forEach((record, id) => {
+            if (record.lastActivityAt < cutoffIso) {
+                conversations.delete(id);
+                removed++;
+            }
+        });
+        const referenced = new Set([...conversations.values()].map(record => record.customerId));
+        [...customers.keys()].forEach(id => { if (!referenced.has(id)) customers.delete(id); });
+        bookings.forEach((booking, id) => {
+            if (booking.endAt < cutoffIso && !conversations.has(booking.conversationId)) bookings.delete(id);
+        });
+        return removed;
+    }
+
+    function saveUser({ username, ...data }) {
+        const existing = users.get(username);
+        users.set(username, { ...data, username, createdAt: existing?.createdAt || new Date().toISOString() });
+        return getUser(username);
+    }
+
+    function getUser(username) {
+        const user = users.get(username);
+        return user ? { ...user } : null;
+    }
+
+    function purgeExpiredSessions(nowIso) {
+        let removed = 0;
+        sessions.forEach((session, id) => {
+            if (session.expiresAt < nowIso) {
+                sessions.delete(id);
+                removed++;
+            }
+        });
+        return removed;
+    }
+
+    function assignTenant(tenantId) {
+        const counts = { conversations: 0, bookings: 0, users: 0 };
+        conversations.forEach(record => {
+            if (record.data.tenantId) return;
+            record.data = { ...record.data, tenantId };
+            counts.conversations++;
+        });
+        [[bookings, 'bookings'], [users, 'users']].forEach(([records, name]) => records.forEach(record => {
+            if (record.tenantId) return;
+            record.tenantId = tenantId;
+            counts[name]++;
+        }));
+        return counts;
+    }
+
+    function recordWebhookEvent(key) {
+        if (webhookEvents.has(key)) return false;
+        webhookEvents.set(key, new Date().toISOString());
+        return true;
+    }
+
+    function purgeWebhookEvents(cutoffIso) {
+        let removed = 0;
+        webhookEvents.forEach((receivedAt, key) => {
+            if (receivedAt < cutoffIso) {
+                webhookEvents.delete(key);
+                removed++;
+            }
+        });
+        return removed;
+    }
+
+    return {
+        saveCustomer,
+        ensureConversation,
+        updateConversation,
+        getConversation,
+        listConversations,
+        addMessage,
+        updateMessage,
+        addSuggestion,
+        listSuggestions,
+        getSuggestion: (id) => (findSuggestion(id) ? { ...findSuggestion(id) } : null),
+        updateSuggestion,
+        listSuggestionsBetween,
+        addBooking,
+        getBooking: (id) => (bookings.has(id) ? { ...bookings.get(id) } : null),
+        updateBooking,
+        listBookings,
+        purgeExpired,
+        saveUser,
+        getUser,
+        listUsers: () => [...users.values()].sort((a, b) => a.username.localeCompare(b.username)).map(user => ({ ...user })),
+        createSession: (session) => { sessions.set(session.id, { ...session }); return { ...session }; },
+        getSession: (id) => (sessions.has(id) ? { ...sessions.get(id) } : null),
+        deleteSession: (id) => { sessions.delete(id); },
+        purgeExpiredSessions,
+        assignTenant,
+        recordWebhookEvent,
+        purgeWebhookEvents,
+        close: () => {}
+    };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,41 @@
+// store/records.js - Record helpers shared by the store drivers
+
+// Connexease customers don't always carry an id; the phone number is the next best key.
+// Kept apart per tenant, so one clinic group's customer record never shows up in another's.
+function customerKey(customer, tenantId = null) {
+    if (!customer) return null;
+    const key = String(customer.id || customer.uuid || customer.phone_number || customer.name || '') || null;
+    return key && tenantId ? `${tenantId}:${key}` : key;
+}
+
+const ATTACHMENT_PREVIEWS = { image: '📷 Photo', audio: '🎤 Voice message', video: '🎬 Video', location: '📍 Location', file: '📎 File' };
+
+// Text of the last message, or what was attached when it has no caption
+function previewOf(message) {
+    if (!message) return 'No messages';
+    if (message.content) return message.content.substring(0, 40);
+    const attachment = message.attachments?.[0];
+    return attachment ? ATTACHMENT_PREVIEWS[attachment.type] || ATTACHMENT_PREVIEWS.file : 'No messages';
+}
+
+// Conversation list row as the dashboard's left panel expects it
+function toListItem(conversation, lastMessage, messageCount) {
+    return {
+        id: conversation.id,
+        name: conversation.customer?.name || conversation.customer?.phone_number || 'Unknown Customer',
+        phoneNumber: conversation.customer?.phone_number,
+        branchId: conversation.branchId || null,
+        handoff: conversation.handoff || null,
+        status: conversation.status || 'open',
+        assignee: conversation.assignee || null,
+        intent: conversation.intent || null,
+        tags: conversation.tags || [],
+        lastMessageId: lastMessage?.id ?? null,
+        lastMessage: previewOf(lastMessage),
+        messageCount,
+        lastActivity: lastMessage ? lastMessage.timestamp : null,
+        lastActivityAt: conversation.lastActivityAt
+    };
+}
+
+module.exports = { customerKey, toListItem };
@@ -0,0 +1,362 @@
+// store/sqlite.js - SQLite-backed conversation store
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { customerKey, toListItem } = require('./records');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS customers (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS conversations (
+        id TEXT PRIMARY KEY,
+        customer_id TEXT,
+        data TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL,
+        last_activity_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS conversations_last_activity ON conversations (last_activity_at);
+    CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id TEXT NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+        sender TEXT NOT NULL,
+        content TEXT,
+        data TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS messages_conversation ON messages (conversation_id, id);
+    CREATE TABLE IF NOT EXISTS suggestions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id TEXT NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS suggestions_conversation ON suggestions (conversation_id, id);
+    CREATE TABLE IF NOT EXISTS bookings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id TEXT,
+        branch_id TEXT NOT NULL,
+        doctor_id TEXT NOT NULL,
+        start_at TEXT NOT NULL,
+        end_at TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS bookings_doctor_start ON bookings (doctor_id, start_at);
+    CREATE INDEX IF NOT EXISTS bookings_conversation ON bookings (conversation_id);
+    CREATE TABLE IF NOT EXISTS webhook_events (
+        key TEXT PRIMARY KEY,
+        received_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS users (
+        username TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL REFERENCES users (username) ON DELETE CASCADE,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+`;
+
+// NULL parameters mean "don't filter on this"
+const LIST_FILTER = `(@tenantId IS NULL OR json_extract(data, '$.tenantId') = @tenantId)
+    AND (@branchIds IS NULL OR json_extract(data, '$.branchId') IN (SELECT value FROM json_each(@branchIds)))
+    AND (@intent IS NULL OR json_extract(data, '$.intent') = @intent)
+    AND (@tag IS NULL OR EXISTS (SELECT 1 FROM json_each(data, '$.tags') WHERE value = @tag))`;
+
+function createSqliteStore(filePath) {
+    if (filePath !== ':memory:') {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.exec(SCHEMA);
+
+    const statements = {
+        getCustomer: db.prepare('SELECT data FROM customers WHERE id = ?'),
+        upsertCustomer: db.prepare(`INSERT INTO customers (id, data, updated_at) VALUES (@id, @data, @now)
+            ON CONFLICT (id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`),
+        getConversation: db.prepare('SELECT * FROM conversations WHERE id = ?'),
+        insertConversation: db.prepare(`INSERT INTO conversations (id, customer_id, data, created_at, last_activity_at)
+            VALUES (@id, @customerId, @data, @now, @now)`),
+        setConversationCustomer: db.prepare('UPDATE conversations SET customer_id = ? WHERE id = ?'),
+        setConversationData: db.prepare('UPDATE conversations SET data = ? WHERE id = ?'),
+        touchConversation: db.prepare('UPDATE conversations SET last_activity_at = ? WHERE id = ?'),
+        // Branch-scoped listing takes the allowed branch IDs as a JSON array (NULL = unrestricted)
+        listConversations: db.prepare(`SELECT * FROM conversations WHERE ${LIST_FILTER}
+            ORDER BY last_activity_at DESC LIMIT @limit OFFSET @offset`),
+        countConversations: db.prepare(`SELECT COUNT(*) AS total FROM conversations WHERE ${LIST_FILTER}`),
+        insertMessage: db.prepare(`INSERT INTO messages (conversation_id, sender, content, data, created_at)
+            VALUES (@conversationId, @sender, @content, @data, @createdAt)`),
+        getMessage: db.prepare('SELECT * FROM messages WHERE id = ? AND conversation_id = ?'),
+        setMessageData: db.prepare('UPDATE messages SET data = ? WHERE id = ?'),
+        messagesBefore: db.prepare('SELECT * FROM messages WHERE conversation_id = ? AND id < ? ORDER BY id DESC LIMIT ?'),
+        lastMessage: db.prepare('SELECT * FROM messages WHERE conversation_id = ? ORDER BY id DESC LIMIT 1'),
+        countMessages: db.prepare('SELECT COUNT(*) AS total FROM messages WHERE conversation_id = ?'),
+        insertSuggestion: db.prepare('INSERT INTO suggestions (conversation_id, data, created_at) VALUES (?, ?, ?)'),
+        listSuggestions: db.prepare('SELECT * FROM suggestions WHERE conversation_id = ? ORDER BY id DESC'),
+        getSuggestion: db.prepare('SELECT * FROM suggestions WHERE id = ?'),
+        setSuggestionData: db.prepare('UPDATE suggestions SET data = ? WHERE id = ?'),
+        suggestionsBetween: db.prepare(`SELECT suggestions.*, json_extract(conversations.data, '$.branchId') AS branch_id
+            FROM suggestions JOIN conversations ON conversations.id = suggestions.conversation_id
+            WHERE (@from IS NULL OR suggestions.created_at >= @from)
+            AND (@to IS NULL OR suggestions.created_at < @to)
+            AND (@tenantId IS NULL OR json_extract(conversations.data, '$.tenantId') = @tenantId)
+            AND (@branchIds IS NULL OR json_extract(conversations.data, '$.branchId') IN (SELECT value FROM json_each(@branchIds)))
+            ORDER BY suggestions.id`),
+        purgeConversations: db.prepare('DELETE FROM conversations WHERE last_activity_at < ?'),
+        purgeCustomers: db.prepare(`DELETE FROM customers WHERE id NOT IN
+            (SELECT customer_id FROM conversations WHERE customer_id IS NOT NULL)`),
+        purgeBookings: db.prepare(`DELETE FROM bookings WHERE end_at < ?
+            AND (conversation_id IS NULL OR conversation_id NOT IN (SELECT id FROM conversations))`),
+        insertBooking: db.prepare(`INSERT INTO bookings (conversation_id, branch_id, doctor_id, start_at, end_at, status, data, created_at)
+            VALUES (@conversationId, @branchId, @doctorId, @startAt, @endAt, @status, @data, @createdAt)`),
+        getBooking: db.prepare('SELECT * FROM bookings WHERE id = ?'),
+        updateBooking: db.prepare(`UPDATE bookings SET start_at = @startAt, end_at = @endAt, status = @status, data = @data
+            WHERE id = @id`),
+        // Overlap test on ISO timestamps: [start, end) intersects [from, to)
+        listBookings: db.prepare(`SELECT * FROM bookings
+            WHERE (@tenantId IS NULL OR json_extract(data, '$.tenantId') = @tenantId)
+            AND (@conversationId IS NULL OR conversation_id = @conversationId)
+            AND (@branchId IS NULL OR branch_id = @branchId)
+            AND (@doctorId IS NULL OR doctor_id = @doctorId)
+            AND (@status IS NULL OR status = @status)
+            AND (@from IS NULL OR end_at > @from)
+            AND (@to IS NULL OR start_at < @to)
+            ORDER BY start_at`),
+        getUser: db.prepare('SELECT * FROM users WHERE username = ?'),
+        upsertUser: db.prepare(`INSERT INTO users (username, data, created_at) VALUES (@username, @data, @now)
+            ON CONFLICT (username) DO UPDATE SET data = excluded.data`),
+        listUsers: db.prepare('SELECT * FROM users ORDER BY username'),
+        insertSession: db.prepare('INSERT INTO sessions (id, username, expires_at, created_at) VALUES (?, ?, ?, ?)'),
+        getSession: db.prepare('SELECT * FROM sessions WHERE id = ?'),
+        deleteSession: db.prepare('DELETE FROM sessions WHERE id = ?'),
+        purgeSessions: db.prepare('DELETE FROM sessions WHERE expires_at < ?'),
+        // Records from before tenants existed are handed to the default tenant at startup
+        assignConversationsTenant: db.prepare(`UPDATE conversations SET data = json_set(data, '$.tenantId', ?)
+            WHERE json_extract(data, '$.tenantId') IS NULL`),
+        assignBookingsTenant: db.prepare(`UPDATE bookings SET data = json_set(data, '$.tenantId', ?)
+            WHERE json_extract(data, '$.tenantId') IS NULL`),
+        assignUsersTenant: db.prepare(`UPDATE users SET data = json_set(data, '$.tenantId', ?)
+            WHERE json_extract(data, '$.tenantId') IS NULL`),
+        insertWebhookEvent: db.prepare('INSERT OR IGNORE INTO webhook_events (key, received_at) VALUES (?, ?)'),
+        purgeWebhookEvents: db.prepare('DELETE FROM webhook_events WHERE received_at < ?')
+    };
+
+    const toMessage = (row) => ({ id: row.id, sender: row.sender, content: row.content, ...JSON.parse(row.data), createdAt: row.created_at });
+    const toSuggestion = (row) => ({ id: row.id, conversationId: row.conversation_id, ...JSON.parse(row.data), createdAt: row.created_at });
+
+    function toConversation(row) {
+        const customer = row.customer_id ? statements.getCustomer.get(row.customer_id) : null;
+        return {
+            ...JSON.parse(row.data),
+            id: row.id,
+            customer: customer ? JSON.parse(customer.data) : null,
+            createdAt: row.created_at,
+            lastActivityAt: row.last_activity_at
+        };
+    }
+
+    function saveCustomer(customer, tenantId = null) {
+        const id = customerKey(customer, tenantId);
+        if (!id) return null;
+        statements.upsertCustomer.run({ id, data: JSON.stringify(customer), now: new Date().toISOString() });
+        return customer;
+    }
+
+    function ensureConversation(id, customer, { tenantId = null } = {}) {
+        const customerId = customer ? customerKey(saveCustomer(customer, tenantId), tenantId) : null;
+        const row = statements.getConversation.get(id);
+        if (!row) {
+            const data = JSON.stringify(tenantId ? { tenantId } : {});
+            statements.insertConversation.run({ id, customerId, data, now: new Date().toISOString() });
+        } else if (customerId && row.customer_id !== customerId) {
+            statements.setConversationCustomer.run(customerId, id);
+        }
+        return toConversation(statements.getConversation.get(id));
+    }
+
+    function updateConversation(id, fields) {
+        const row = statements.getConversation.get(id);
+        if (!row) return null;
+        statements.setConversationData.run(JSON.stringify({ ...JSON.parse(row.data), ...fields }), id);
+        return toConversation(statements.getConversation.get(id));
+    }
+
+    function getConversation(id, { limit = 100, before = Number.MAX_SAFE_INTEGER } = {}) {
+        const row = statements.getConversation.get(id);
+        if (!row) return null;
+        const rows = statements.messagesBefore.all(id, before, limit + 1);
+        return {
+            ...toConversation(row),
+            messages: rows.slice(0, limit).reverse().map(toMessage),
+            hasMoreMessages: rows.length > limit
+        };
+    }
+
+    function listConversations({ limit = 50, offset = 0, tenantId = null, branchIds = null, intent = null, tag = null } = {}) {
+        const scope = { tenantId, branchIds: branchIds ? JSON.stringify(branchIds) : null, intent, tag };
+        const items = statements.listConversations.all({ ...scope, limit, offset }).map(row => {
+            const last = statements.lastMessage.get(row.id);
+            return toListItem(toConversation(row), last ? toMessage(last) : null, statements.countMessages.get(row.id).total);
+        });
+        return { items, total: statements.countConversations.get(scope).total };
+    }
+
+    function addMessage(conversationId, { sender, content, ...data }) {
+        ensureConversation(conversationId);
+        const createdAt = new Date().toISOString();
+        const { lastInsertRowid } = statements.insertMessage.run({
+            conversationId, sender, content: content ?? null, data: JSON.stringify(data), createdAt
+        });
+        statements.touchConversation.run(createdAt, conversationId);
+        return { id: Number(lastInsertRowid), sender, content, ...data, createdAt };
+    }
+
+    function updateMessage(conversationId, messageId, fields) {
+        const row = statements.getMessage.get(messageId, conversationId);
+        if (!row) return null;
+        statements.setMessageData.run(JSON.stringify({ ...JSON.parse(row.data), ...fields }), messageId);
+        return toMessage(statements.getMessage.get(messageId, conversationId));
+    }
+
+    function addSuggestion(conversationId, suggestion) {
+        ensureConversation(conversationId);
+        const createdAt = new Date().toISOString();
+        const { lastInsertRowid } = statements.insertSuggestion.run(conversationId, JSON.stringify(suggestion), createdAt);
+        return { id: Number(lastInsertRowid), conversationId, ...suggestion, createdAt };
+    }
+
+    function listSuggestions(conversationId) {
+        return statements.listSuggestions.all(conversationId).map(toSuggestion);
+    }
+
+    function getSuggestion(id) {
+        const row = statements.getSuggestion.get(id);
+        return row ? toSuggestion(row) : null;
+    }
+
+    function updateSuggestion(id, fields) {
+        const row = statements.getSuggestion.get(id);
+        if (!row) return null;
+        statements.setSuggestionData.run(JSON.stringify({ ...JSON.parse(row.data), ...fields }), id);
+        return getSuggestion(id);
+    }
+
+    function listSuggestionsBetween({ from = null, to = null, tenantId = null, branchIds = null } = {}) {
+        return statements.suggestionsBetween.all({ from, to, tenantId, branchIds: branchIds ? JSON.stringify(branchIds) : null })
+            .map(row => ({ ...toSuggestion(row), branchId: row.branch_id ?? null }));
+    }
+
+    const purgeExpired = db.transaction((cutoffIso) => {
+        const { changes } = statements.purgeConversations.run(cutoffIso);
+        statements.purgeCustomers.run();
+        statements.purgeBookings.run(cutoffIso);
+        return changes;
+    });
+
+    const toBooking = (row) => ({
+        ...JSON.parse(row.data),
+        id: row.id,
+        conversationId: row.conversation_id,
+        branchId: row.branch_id,
+        doctorId: row.doctor_id,
+        startAt: row.start_at,
+        endAt: row.end_at,
+        status: row.status,
+        createdAt: row.created_at
+    });
+
+    function addBooking({ conversationId = null, branchId, doctorId, startAt, endAt, status = 'booked', ...data }) {
+        const createdAt = new Date().toISOString();
+        const { lastInsertRowid } = statements.insertBooking.run({
+            conversationId, branchId, doctorId, startAt, endAt, status, data: JSON.stringify(data), createdAt
+        });
+        return getBooking(Number(lastInsertRowid));
+    }
+
+    function getBooking(id) {
+        const row = statements.getBooking.get(id);
+        return row ? toBooking(row) : null;
+    }
+
+    function updateBooking(id, fields) {
+        const booking = getBooking(id);
+        if (!booking) return null;
+        const { id: _id, conversationId, branchId, doctorId, startAt, endAt, status, createdAt, ...data } = { ...booking, ...fields };
+        statements.updateBooking.run({ id, startAt, endAt, status, data: JSON.stringify(data) });
+        return getBooking(id);
+    }
+
+    function listBookings({ tenantId = null, conversationId = null, branchId = null, doctorId = null, status = null, from = null, to = null } = {}) {
+        return statements.listBookings.all({ tenantId, conversationId, branchId, doctorId, status, from, to }).map(toBooking);
+    }
+
+    const toUser = (row) => ({ ...JSON.parse(row.data), username: row.username, createdAt: row.created_at });
+
+    function saveUser({ username, ...data }) {
+        statements.upsertUser.run({ username, data: JSON.stringify(data), now: new Date().toISOString() });
+        return getUser(username);
+    }
+
+    function getUser(username) {
+        const row = statements.getUser.get(username);
+        return row ? toUser(row) : null;
+    }
+
+    function createSession({ id, username, expiresAt }) {
+        statements.insertSession.run(id, username, expiresAt, new Date().toISOString());
+        return { id, username, expiresAt };
+    }
+
+    function getSession(id) {
+        const row = statements.getSession.get(id);
+        return row ? { id: row.id, username: row.username, expiresAt: row.expires_at } : null;
+    }
+
+    const assignTenant = db.transaction((tenantId) => ({
+        conversations: statements.assignConversationsTenant.run(tenantId).changes,
+        bookings: statements.assignBookingsTenant.run(tenantId).changes,
+        users: statements.assignUsersTenant.run(tenantId).changes
+    }));
+
+    return {
+        saveCustomer,
+        ensureConversation,
+        updateConversation,
+        getConversation,
+        listConversations,
+        addMessage,
+        updateMessage,
+        addSuggestion,
+        listSuggestions,
+        getSuggestion,
+        updateSuggestion,
+        listSuggestionsBetween,
+        addBooking,
+        getBooking,
+        updateBooking,
+        listBookings,
+        purgeExpired,
+        saveUser,
+        getUser,
+        listUsers: () => statements.listUsers.all().map(toUser),
+        createSession,
+        getSession,
+        deleteSession: (id) => { statements.deleteSession.run(id); },
+        purgeExpiredSessions: (nowIso) => statements.purgeSessions.run(nowIso).changes,
+        assignTenant,
+        recordWebhookEvent: (key) => statements.insertWebhookEvent.run(key, new Date().toISOString()).changes === 1,
+        purgeWebhookEvents: (cutoffIso) => statements.purgeWebhookEvents.run(cutoffIso).changes,
+        close: () => db.close()
+    };
+}
+
+module.exports = { createSqliteStore };
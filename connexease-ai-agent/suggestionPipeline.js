@@ -0,0 +1,201 @@
+// suggestionPipeline.js - Draft replies for agents: retrieval, the suggestion prompt, the model call and post-checks
+//
+// The server (index.js) and the offline evaluation (evaluate.js) both run this, so what gets evaluated is
+// what agents see. The prompt is a function of the gathered context and can be swapped for a candidate
+// or a tenant's own template.
+const path = require('path');
+const { retrieve, formatChunks } = require('./retrieval');
+const { buildConversationContext } = require('./conversationContext');
+const { describeAnalysis } = require('./intents');
+const { describeSlot } = require('./appointments');
+const { TIME_ZONE } = require('./businessHours');
+const { createFieldStream } = require('./models');
+const { createRedaction } = require('./redaction');
+const { reviewSuggestion } = require('./guardrails');
+
+// Extra instruction per suggestion variant; "default" is the plain webhook suggestion
+const SUGGESTION_TONES = {
+    default: null,
+    short: 'Bu varyant KISA olmalı: 3. kural yerine en fazla 2 cümle ve 40 kelime kullan.',
+    detailed: 'Bu varyant DETAYLI olmalı: 100-150 kelime kullan, ilgili adres, hekim, çalışma saati ve tedavi bilgilerini eksiksiz ver.',
+    apologetic: 'Bu varyant ÖZÜR DİLEYEN tonda olmalı: müşteri şikayetçi veya memnuniyetsiz olabilir; önce içtenlikle özür dile, anlayış göster, sonra somut bir çözüm veya sonraki adım öner.'
+};
+const DEFAULT_VARIANT_TONES = ['short', 'detailed', 'apologetic'];
+
+// Structured output: the reply plus the model's confidence, which auto-reply gates on
+const REPLY_FORMAT = {
+    type: 'json_schema',
+    name: 'agent_reply',
+    strict: true,
+    schema: {
+        type: 'object',
+        properties: {
+            reply: { type: 'string' },
+            confidence: { type: 'number' }
+        },
+        required: ['reply', 'confidence'],
+        additionalProperties: false
+    }
+};
+
+// Plain text from a model that ignored the format still works as a suggestion, just never auto-sent
+function parseReply(outputText) {
+    try {
+        const parsed = JSON.parse(outputText);
+        return {
+            suggestion: parsed.reply,
+            confidence: Math.min(Math.max(Number(parsed.confidence) || 0, 0), 1)
+        };
+    } catch (error) {
+        return { suggestion: outputText, confidence: 0 };
+    }
+}
+
+// Reply language named in the prompt; other codes are passed through as they are
+const LANGUAGE_NAMES = { tr: 'Türkçe', en: 'İngilizce', de: 'Almanca', fr: 'Fransızca', ar: 'Arapça', ru: 'Rusça' };
+
+// Instructions for the reply model, whichever provider serves it (see models.js).
+// brand, language, locale and timeZone come from the tenant; analysis is the redacted analysis line of the
+// latest message; knowledge the formatted chunks.
+function buildInstructions({ brand, language, locale, timeZone, analysis, nearestBranches, proposedSlots, tone, knowledge }) {
+    const replyLanguage = LANGUAGE_NAMES[language] || language;
+    return `Sen bir müşteri hizmetleri asistanısın. ${brand} klinikleri için çalışan insan temsilcilerine WhatsApp mesajlarına yanıt önerileri sunuyorsun.
+
+Verilen bilgi bankasına ve konuşma geçmişine dayanarak, müşterinin son mesajındaki soru/şikayet/istek için profesyonel, yardımcı ve ${replyLanguage} bir yanıt önerisi oluştur.
+
+KURALLAR:
+1. Sadece bilgi bankasındaki bilgileri kullan
+2. ${replyLanguage} yanıt ver
+3. Kısa ve net ol (50-150 kelime)
+4. Profesyonel ama samimi ton kullan
+5. Mevcut kliniği/uzmanı/randevu bilgilerini belirt
+6. Kopya yapılabilir format kullan
+7. Şube adresi, hekim adı ve çalışma saatlerini bilgi bankasında yazdığı şekliyle aynen kullan
+8. Bilgi bankasında cevap yoksa uydurma, temsilcinin kontrol etmesi gerektiğini belirt
+9. Kısa cevapları (ör. sadece bir şube adı) konuşma geçmişindeki önceki soruyla birlikte yorumla, temsilcinin daha önce sorduğu şeyi tekrar sorma
+10. "confidence" alanına yanıtın bilgi bankasıyla ne kadar desteklendiğini 0-1 arası yaz; bilgi eksikse veya emin değilsen 0.5'in altında ver
+11. [AD_1], [TELEFON_1] gibi köşeli parantezli ifadeler müşterinin gizlenmiş kişisel bilgileridir; gerekirse aynen yaz, tahmin etmeye veya değiştirmeye çalışma
+${analysis ? `\nSON MESAJ ANALİZİ: ${analysis}\n` : ''}${nearestBranches.length ? `
+MÜŞTERİNİN PAYLAŞTIĞI KONUMA EN YAKIN ŞUBELER (kuş uçuşu, yaklaşık; en yakını adresiyle öner):
+${nearestBranches.map(branch => `- ${branch.name}: ${branch.distanceKm.toLocaleString(locale)} km`).join('\n')}
+` : ''}${proposedSlots.length ? `
+MÜSAİT RANDEVU SAATLERİ (yalnızca bunları öner, başka saat uydurma; randevu temsilci onayıyla kesinleşir):
+${proposedSlots.map(slot => `- ${describeSlot(slot, { locale, timeZone })}`).join('\n')}
+` : ''}${SUGGESTION_TONES[tone] ? `\nÜSLUP: ${SUGGESTION_TONES[tone]}\n` : ''}
+BİLGİ BANKASI (ilgili bölümler):
+${knowledge}`;
+}
+
+// A prompt template: a module exporting buildInstructions(context), or such a function itself; null = the default
+function loadInstructions(spec) {
+    if (!spec) return buildInstructions;
+    const loaded = typeof spec === 'function' ? spec : require(path.resolve(spec));
+    const instructions = typeof loaded === 'function' ? loaded : loaded.buildInstructions;
+    if (typeof instructions !== 'function') throw new Error(`${spec} must export buildInstructions(context)`);
+    return instructions;
+}
+
+// getKnowledge() -> { catalog, index }, read once per suggestion so a knowledge base swap mid-call can't mix versions;
+// proposeSlots(conversation, entities) -> free slots for appointment questions
+function createSuggestionPipeline({
+    models,
+    getKnowledge,
+    brand,
+    language = 'tr',
+    locale = 'tr-TR',
+    timeZone = TIME_ZONE,
+    proposeSlots = () => [],
+    topK,
+    tokenBudget,
+    instructions = buildInstructions
+}) {
+    // With onDelta the reply streams: onDelta gets plain reply text as it arrives, onRestart fires when a retry starts over
+    async function suggest(conversation, { tone = 'default', signal, onDelta, onRestart } = {}) {
+        const startedAt = Date.now();
+        const { catalog, index } = getKnowledge();
+
+        // Recent turns verbatim, older ones summarised, so follow-ups like "Kadıköy" keep their meaning
+        const context = buildConversationContext(conversation, catalog, tokenBudget);
+
+        // Personal data goes to the model as placeholders ([TELEFON_1]); the reply gets the real values back
+        const redaction = createRedaction();
+        redaction.remember('AD', conversation.customer?.name);
+        redaction.remember('TELEFON', conversation.customer?.phone_number);
+        redaction.remember('EPOSTA', conversation.customer?.email);
+
+        // Only the top-k relevant chunks go into the prompt, not the whole knowledge base
+        const chunks = retrieve(index, catalog, context.retrievalQuery, topK);
+        const chunkIds = chunks.map(chunk => chunk.id);
+
+        // Intent and entities found by the classifier for the latest customer message
+        const latest = [...conversation.messages].reverse().find(message => message.sender === 'customer');
+        const intent = latest?.intent || 'other';
+        const proposedSlots = intent === 'appointment' ? proposeSlots(conversation, latest.entities) : [];
+
+        // The most recent location pin the customer shared, with its nearest branches
+        const sharedLocation = [...conversation.messages].reverse()
+            .flatMap(message => (message.sender === 'customer' ? message.attachments || [] : []))
+            .find(attachment => attachment.nearestBranches?.length);
+
+        const prompt = instructions({
+            brand,
+            language,
+            locale,
+            timeZone,
+            analysis: latest?.entities ? redaction.redact(describeAnalysis(latest)) : null,
+            nearestBranches: sharedLocation?.nearestBranches || [],
+            proposedSlots,
+            tone,
+            knowledge: formatChunks(chunks)
+        });
+
+        // The model streams JSON; only the reply field's text is forwarded, with placeholders restored
+        let restoredStream = onDelta && redaction.restoreStream(onDelta);
+        let replyStream = onDelta && createFieldStream('reply', restoredStream);
+
+        // Throws when every provider failed; callers report that to the dashboard instead of inventing a draft
+        const response = await models.complete({
+            format: REPLY_FORMAT,
+            verbosity: 'low', // Concise responses perfect for agents
+            instructions: prompt,
+            input: redaction.redact(context.transcript),
+            signal,
+            onDelta: onDelta && ((delta) => replyStream(delta)),
+            onRestart: onDelta && (() => {
+                restoredStream = redaction.restoreStream(onDelta);
+                replyStream = createFieldStream('reply', restoredStream);
+                onRestart?.();
+            })
+        });
+        // The stream has ended: text held back as a possible placeholder still belongs to the draft
+        restoredStream?.flush();
+
+        const reply = parseReply(response.text);
+        reply.suggestion = redaction.restore(reply.suggestion);
+        if (!reply.suggestion) {
+            const error = new Error(`${response.provider}:${response.model} returned an empty reply`);
+            error.code = 'empty_reply';
+            error.attempts = response.attempts;
+            throw error;
+        }
+
+        // Names, addresses and medical claims the knowledge base doesn't back up, and emergencies in the last messages
+        const recentCustomerText = conversation.messages.filter(message => message.sender === 'customer').slice(-3)
+            .map(message => message.content).join('\n');
+        return {
+            ...reply,
+            warnings: reviewSuggestion(catalog, { suggestion: reply.suggestion, customerText: recentCustomerText }),
+            chunkIds,
+            intent,
+            proposedSlots,
+            provider: response.provider,
+            model: response.model,
+            usage: response.usage,
+            latencyMs: Date.now() - startedAt
+        };
+    }
+
+    return { suggest };
+}
+
+module.exports = { SUGGESTION_TONES, DEFAULT_VARIANT_TONES, REPLY_FORMAT, parseReply, buildInstructions, loadInstructions, createSuggestionPipeline };
@@ -0,0 +1,145 @@
+// tenants.js - Clinic groups served by one deployment: brand, language, prompt, knowledge base, Connexease account, webhook
+//
+// TENANTS_FILE (default tenants.json next to this file) is a JSON array of tenants. Without it the .env
+// describes a single tenant the way it always has (CONNEXEASE_*, WEBHOOK_*, catalog.json and data/).
+// The first tenant is the default: it keeps the plain /webhook URL and owns everything stored before
+// tenants existed. "${NAME}" in a string is replaced by that environment variable, so secrets stay in .env.
+// Relative paths are resolved against the tenants file's folder.
+//
+//   [{
+//       "id": "climed",                                  webhooks arrive at /webhook/climed
+//       "brand": "Climed",
+//       "language": "tr", "locale": "tr-TR",             reply and classification language; how dates, times and numbers are written
+//       "timeZone": "Europe/Istanbul",                   the clinics' clock: opening hours, appointment slots, "yarın"
+//       "prompt": "prompts/climed.js",                   optional, a module exporting buildInstructions(context)
+//       "knowledgeBase": { "catalogFile", "dataDir", "versionsDir", "files": { "branches", "treatments" } },
+//       "connexease": { "apiUrl", "username": "${CLIMED_CONNEXEASE_USERNAME}", "password": "${CLIMED_CONNEXEASE_PASSWORD}" },
+//       "webhook": { "secret", "previousSecret", "allowedIps": ["..."], "allowlistFile", "allowLocalhost" },
+//       "autoReply": { "enabled": false },
+//       "admin": { "username", "password" }              first dashboard admin, created while the tenant has no users
+//   }]
+//
+// The default tenant's knowledge base defaults to catalog.json, data/ and storage/knowledge-base; the
+// others default to tenants/<id>/catalog.json, tenants/<id>/data and storage/tenants/<id>/knowledge-base.
+const fs = require('fs');
+const path = require('path');
+const { CATALOG_FILE } = require('./catalog');
+const { DATA_DIR, DATA_FILES } = require('./preprocessData');
+const { TIME_ZONE } = require('./businessHours');
+
+const TENANTS_FILE = path.join(__dirname, 'tenants.json');
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const DEFAULT_LANGUAGE = 'tr';
+const DEFAULT_LOCALE = 'tr-TR';
+
+// "${NAME}" -> process.env.NAME, in every string of the config
+function expandEnv(value, env) {
+    if (typeof value === 'string') return value.replace(/\$\{(\w+)\}/g, (match, name) => env[name] || '');
+    if (Array.isArray(value)) return value.map(item => expandEnv(item, env));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, env)]));
+    }
+    return value;
+}
+
+// The single tenant an .env without a tenants file describes
+function tenantFromEnv(env) {
+    return {
+        id: env.TENANT_ID || 'default',
+        brand: env.TENANT_BRAND || 'Climed',
+        language: env.TENANT_LANGUAGE || DEFAULT_LANGUAGE,
+        locale: env.TENANT_LOCALE || DEFAULT_LOCALE,
+        timeZone: env.TENANT_TIME_ZONE || TIME_ZONE,
+        prompt: env.TENANT_PROMPT || null,
+        knowledgeBase: { versionsDir: env.KNOWLEDGE_BASE_DIR || null },
+        connexease: { apiUrl: env.CONNEXEASE_API_URL, username: env.CONNEXEASE_USERNAME, password: env.CONNEXEASE_PASSWORD },
+        webhook: {
+            secret: env.CONNEXEASE_WEBHOOK_SECRET,
+            previousSecret: env.CONNEXEASE_WEBHOOK_SECRET_PREVIOUS,
+            allowedIps: env.WEBHOOK_ALLOWED_IPS,
+            allowlistFile: env.IP_ALLOWLIST_FILE,
+            allowLocalhost: env.WEBHOOK_ALLOW_LOCALHOST === 'true'
+        },
+        autoReply: { enabled: env.AUTO_REPLY_ENABLED === 'true' },
+        admin: env.ADMIN_USERNAME && env.ADMIN_PASSWORD ? { username: env.ADMIN_USERNAME, password: env.ADMIN_PASSWORD } : null
+    };
+}
+
+// Fills in defaults and resolves paths; the first tenant keeps the knowledge base locations of a single-tenant setup
+function normalizeTenant(raw, { index, baseDir, env }) {
+    const resolve = (file) => (file ? path.resolve(baseDir, file) : null);
+    const knowledgeBase = raw.knowledgeBase || {};
+    const webhook = raw.webhook || {};
+    const tenantDir = path.join(baseDir, 'tenants', raw.id);
+
+    return {
+        id: raw.id,
+        brand: raw.brand,
+        language: raw.language || DEFAULT_LANGUAGE,
+        locale: raw.locale || raw.language || DEFAULT_LOCALE,
+        timeZone: raw.timeZone || TIME_ZONE,
+        prompt: resolve(raw.prompt),
+        knowledgeBase: {
+            catalogFile: resolve(knowledgeBase.catalogFile) || (index === 0 ? CATALOG_FILE : path.join(tenantDir, 'catalog.json')),
+            dataDir: resolve(knowledgeBase.dataDir) || (index === 0 ? DATA_DIR : path.join(tenantDir, 'data')),
+            versionsDir: resolve(knowledgeBase.versionsDir) || (index === 0
+                ? path.join(__dirname, 'storage', 'knowledge-base')
+                : path.join(__dirname, 'storage', 'tenants', raw.id, 'knowledge-base')),
+            files: { ...DATA_FILES, ...knowledgeBase.files }
+        },
+        connexease: { apiUrl: raw.connexease?.apiUrl, username: raw.connexease?.username, password: raw.connexease?.password },
+        webhook: {
+            secrets: [webhook.secret, webhook.previousSecret].filter(Boolean),
+            // Comma separated like WEBHOOK_ALLOWED_IPS (see ipAllowlist.js)
+            allowedIps: Array.isArray(webhook.allowedIps) ? webhook.allowedIps.join(',') : webhook.allowedIps || '',
+            allowlistFile: resolve(webhook.allowlistFile),
+            allowLocalhost: webhook.allowLocalhost === true || (webhook.allowLocalhost === undefined && env.WEBHOOK_ALLOW_LOCALHOST === 'true')
+        },
+        autoReply: { enabled: raw.autoReply?.enabled ?? env.AUTO_REPLY_ENABLED === 'true' },
+        admin: raw.admin?.username && raw.admin?.password ? { username: raw.admin.username, password: raw.admin.password } : null
+    };
+}
+
+// Intl throws a RangeError on unknown locales, languages and time zones
+function isValidIntl(build) {
+    try {
+        build();
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function validateTenants(tenants, source) {
+    if (!Array.isArray(tenants) || tenants.length === 0) return [`${source} must be a non-empty array of tenants`];
+    const problems = [];
+    const seen = new Set();
+    tenants.forEach((tenant, index) => {
+        const label = tenant?.id ? `Tenant "${tenant.id}"` : `Tenant #${index + 1}`;
+        if (!TENANT_ID_PATTERN.test(tenant?.id || '')) problems.push(`${label}: id must be lowercase letters, digits and dashes`);
+        else if (seen.has(tenant.id)) problems.push(`${label}: duplicate id`);
+        seen.add(tenant?.id);
+        if (typeof tenant?.brand !== 'string' || !tenant.brand.trim()) problems.push(`${label}: brand is required`);
+        if (!isValidIntl(() => new Intl.DisplayNames(['en'], { type: 'language' }).of(tenant?.language || DEFAULT_LANGUAGE))) {
+            problems.push(`${label}: language must be a language code such as "tr"`);
+        }
+        if (!isValidIntl(() => new Intl.DateTimeFormat(tenant?.locale || undefined, { timeZone: tenant?.timeZone || TIME_ZONE }))) {
+            problems.push(`${label}: locale or timeZone is not valid (e.g. "tr-TR", "Europe/Istanbul")`);
+        }
+    });
+    return problems;
+}
+
+// -> normalized tenants, default first; throws on a broken tenants file since nothing can be routed without it
+function loadTenants({ env = process.env, file = env.TENANTS_FILE || TENANTS_FILE } = {}) {
+    const fromFile = fs.existsSync(file);
+    if (!fromFile && env.TENANTS_FILE) throw new Error(`TENANTS_FILE ${file} does not exist`);
+    const raw = fromFile ? expandEnv(JSON.parse(fs.readFileSync(file, 'utf-8')), env) : [tenantFromEnv(env)];
+    const source = fromFile ? file : '.env';
+
+    const problems = validateTenants(raw, source);
+    if (problems.length) throw new Error(`Invalid tenant configuration (${source}): ${problems.join('; ')}`);
+    return raw.map((tenant, index) => normalizeTenant(tenant, { index, baseDir: fromFile ? path.dirname(file) : __dirname, env }));
+}
+
+module.exports = { TENANTS_FILE, loadTenants };
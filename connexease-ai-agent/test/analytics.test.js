@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeSuggestions, outcomeOf } = require('../analytics');
+
+let nextId = 1;
+const suggestion = (fields) => ({ id: nextId++, conversationId: 'c1', messageId: 1, tone: 'default', intent: 'address', ...fields });
+
+test('the tone variants of a regenerate count as one draft', () => {
+    const stats = summarizeSuggestions([
+        suggestion({ intent: 'price' }),
+        suggestion({ tone: 'short', intent: 'price' }),
+        suggestion({ tone: 'detailed', intent: 'price', sent: outcomeOf('Adresimiz Bağdat Caddesi', 'Adresimiz Bağdat Caddesi') }),
+        suggestion({ tone: 'apologetic', intent: 'price' })
+    ]);
+    assert.equal(stats.total, 4);
+    assert.equal(stats.drafts, 2);
+    assert.deepEqual(stats.outcomes, { accepted: 1, edited: 0, rewritten: 0, auto_sent: 0, unused: 1 });
+    assert.equal(stats.acceptanceRate, 0.5);
+    assert.deepEqual(stats.mostRejectedIntents, [{ intent: 'price', count: 1 }]);
+});
+
+test('unused variants for different customer messages stay apart', () => {
+    const stats = summarizeSuggestions([
+        suggestion({ tone: 'short' }),
+        suggestion({ tone: 'detailed' }),
+        suggestion({ tone: 'short', messageId: 2 }),
+        suggestion({ tone: 'short', conversationId: 'c2' })
+    ]);
+    assert.equal(stats.drafts, 3);
+    assert.equal(stats.outcomes.unused, 3);
+    assert.deepEqual(stats.mostRejectedIntents, [{ intent: 'address', count: 3 }]);
+});
+
+test('a rated variant represents its draft, and every rating is counted', () => {
+    const stats = summarizeSuggestions([
+        suggestion({ tone: 'short', feedback: { rating: 'down', reason: 'too_long' } }),
+        suggestion({ tone: 'detailed', feedback: { rating: 'up' } })
+    ]);
+    assert.equal(stats.drafts, 1);
+    assert.deepEqual(stats.mostRejectedIntents, []);
+    assert.deepEqual(stats.feedback, { up: 1, down: 1, reasons: { too_long: 1 } });
+});
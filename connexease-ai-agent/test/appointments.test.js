@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { describeSlot } = require('../appointments');
+
+const slot = { start: '2026-10-20T06:00:00.000Z', doctorName: 'Op. Dr. HAKAN YENEL' };
+
+test('slots are described in the clinics\' locale and time zone', () => {
+    assert.equal(describeSlot(slot), '20 Ekim Salı 09:00 - Op. Dr. HAKAN YENEL');
+    assert.equal(describeSlot(slot, { locale: 'en-GB', timeZone: 'Europe/London' }), 'Tuesday 20 October at 07:00 - Op. Dr. HAKAN YENEL');
+});
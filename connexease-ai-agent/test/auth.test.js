@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../store');
+const { createAuth, createLoginLimiter, parseCookies, hashPassword } = require('../auth');
+
+test('parseCookies skips cookies that fail to decode', () => {
+    assert.deepEqual(parseCookies('sid=%E0; theme=dark%20blue'), { theme: 'dark blue' });
+    assert.deepEqual(parseCookies(undefined), {});
+});
+
+test('a malformed session cookie is just not logged in', () => {
+    const store = createStore({ driver: 'memory' });
+    const auth = createAuth({ store, getTenant: () => ({ id: 'default' }) });
+    const req = { headers: { cookie: 'sid=%E0%A4%A' } };
+    assert.equal(auth.authenticate(req), null);
+    assert.doesNotThrow(() => auth.logout(req));
+});
+
+test('a valid session cookie logs the user in', () => {
+    const store = createStore({ driver: 'memory' });
+    store.saveUser({ username: 'ayse', displayName: 'Ayşe', role: 'agent', branches: [], tenantId: 'default', passwordHash: hashPassword('password12') });
+    const auth = createAuth({ store, getTenant: () => ({ id: 'default' }) });
+    const session = auth.login('ayse', 'password12');
+    assert.equal(auth.authenticate({ headers: { cookie: `sid=${session.token}` } }).username, 'ayse');
+});
+
+test('the login limiter locks a key out after maxAttempts failures within the window', () => {
+    let currentTime = 0;
+    const limiter = createLoginLimiter({ maxAttempts: 3, windowMinutes: 1, now: () => currentTime });
+    const keys = ['ip:10.0.0.1', 'user:ayse'];
+
+    limiter.recordFailure(keys);
+    currentTime += 10 * 1000;
+    limiter.recordFailure(keys);
+    assert.equal(limiter.retryAfter(keys), 0);
+    limiter.recordFailure(keys);
+    assert.equal(limiter.retryAfter(keys), 50);
+    assert.equal(limiter.retryAfter(['ip:10.0.0.2', 'user:ayse']), 50);
+    assert.equal(limiter.retryAfter(['ip:10.0.0.2', 'user:mehmet']), 0);
+
+    // The oldest failure leaves the window after 60s
+    currentTime = 60 * 1000 + 1;
+    assert.equal(limiter.retryAfter(keys), 0);
+});
+
+test('the login limiter forgets a key on reset', () => {
+    const limiter = createLoginLimiter({ maxAttempts: 1 });
+    limiter.recordFailure(['user:ayse']);
+    assert.ok(limiter.retryAfter(['user:ayse']) > 0);
+    limiter.reset(['user:ayse']);
+    assert.equal(limiter.retryAfter(['user:ayse']), 0);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createConnexeaseClient } = require('../connexease');
+
+// -> { url, requests } for a local server; requests records the token header each request arrived with
+async function listen(t, handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ path: req.url, token: req.headers.api_access_token });
+        handler(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+const json = (res, body) => res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+
+test('downloadFile sends the token to the API but not along a redirect to another host', async (t) => {
+    const other = await listen(t, (req, res) => res.writeHead(200, { 'Content-Type': 'image/jpeg' }).end('photo'));
+    const api = await listen(t, (req, res) => {
+        if (req.url === '/jwt/') return json(res, { token: 'tenant-token' });
+        if (req.url === '/files/1') return res.writeHead(302, { Location: `${other.url}/signed/1` }).end();
+        res.writeHead(200, { 'Content-Type': 'image/jpeg' }).end('local');
+    });
+    const client = createConnexeaseClient({ apiUrl: api.url, username: 'bot', password: 'secret' });
+
+    const redirected = await client.downloadFile(`${api.url}/files/1`, { maxBytes: 1024 });
+    assert.equal(redirected.data.toString(), 'photo');
+    assert.equal(api.requests.find(request => request.path === '/files/1').token, 'tenant-token');
+    assert.deepEqual(other.requests, [{ path: '/signed/1', token: undefined }]);
+
+    const local = await client.downloadFile('/files/2', { maxBytes: 1024 });
+    assert.equal(local.data.toString(), 'local');
+    assert.equal(api.requests.find(request => request.path === '/files/2').token, 'tenant-token');
+});
+
+test('downloadFile never sends the token to other hosts', async (t) => {
+    const other = await listen(t, (req, res) => res.writeHead(200).end('photo'));
+    const client = createConnexeaseClient({ apiUrl: 'http://127.0.0.1:1', username: 'bot', password: 'secret' });
+    await client.downloadFile(`${other.url}/media/1`, { maxBytes: 1024 });
+    assert.deepEqual(other.requests, [{ path: '/media/1', token: undefined }]);
+});
@@ -0,0 +1,50 @@
+// Medical advice rules: telling a patient what to use is blocked, describing a treatment is not
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkSuggestion } = require('../guardrails');
+
+const adviceOf = (suggestion) => checkSuggestion(null, suggestion).find(item => item.code === 'medical_advice');
+
+test('blocks telling the patient to apply a cream', () => {
+    assert.equal(adviceOf('Yaranıza günde iki kez krem sürün.').evidence, 'krem surun');
+    assert.equal(adviceOf('Bu merhemi kullanmalısınız.').evidence, 'merhemi kullanmalisiniz');
+    assert.equal(adviceOf('Krem kullanın, geçmezse gelin.').evidence, 'krem kullanin');
+});
+
+test('leaves catalog wording about creams alone', () => {
+    assert.equal(adviceOf('Varis ülserinde krem kullanımı tek başına yeterli değildir, muayene gerekir.'), undefined);
+    assert.equal(adviceOf('Tedavide krem sürme ve kompresyon çorabı birlikte uygulanır.'), undefined);
+});
+
+test('still blocks telling the patient to take a drug', () => {
+    assert.equal(adviceOf('Ağrınız için ilaç alın.').evidence, 'ilac alin');
+});
+
+test('blocks telling the patient to take antibiotics or how to use a drug', () => {
+    assert.equal(adviceOf('Bir hafta antibiyotik kullanın.').evidence, 'antibiyotik kullanin');
+    assert.equal(adviceOf('Ağrı kesici alabilirsiniz.').evidence, 'agri kesici alabilirsiniz');
+    assert.equal(adviceOf('Reçetenizdeki ilaca devam edin.').evidence, 'recetenizdeki');
+    assert.equal(adviceOf('Bu haplari düzenli kullanmanız gerekir.').evidence, 'kullanmaniz gerekir');
+    assert.equal(adviceOf('Bol su içmelisiniz.').evidence, 'icmelisiniz');
+});
+
+// A grounded treatment_info draft quotes these; a medical_advice hit would hand every one of them off
+test('passes every treatment passage of the knowledge base', () => {
+    const catalog = require('../catalog.json');
+    const passages = catalog.treatments.flatMap(treatment => [
+        treatment.description,
+        ...(treatment.sections || []).map(section => section.body),
+        ...(treatment.faq || []).map(item => item.answer)
+    ]).filter(Boolean);
+    assert.ok(passages.length > 50);
+    passages.forEach(passage => assert.equal(adviceOf(passage), undefined, passage));
+});
+
+test('passes the catalog passages that mention antibiotics and using something', () => {
+    [
+        'Hormon tedavileri almanız, doğum kontrol haplarını yoğun düzeyde kullanmanız toplardamar kapakçığında yetmezliğe neden olabilir.',
+        'Varis ülseri çevresinde iltihaplanma tespit edilmiş ise gerekli antibiyotik tedavilerine başlanarak bu iltihabı giderilmelidir.',
+        'Enfeksiyon tespit edilen olgularda antibiyotik uygulamaları yapılır.',
+        'İltihaplı yaraları bulunan nasırlar için antibiyotik kullanımı önerilmektedir.'
+    ].forEach(passage => assert.equal(adviceOf(passage), undefined, passage));
+});
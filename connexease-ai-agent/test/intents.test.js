@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classificationInstructions, analyzeMessage } = require('../intents');
+
+// 21:30 UTC on a Monday: already Tuesday in Istanbul, still Monday in London
+const now = new Date('2026-10-19T21:30:00Z');
+
+test('the classification prompt names the tenant and its clinics\' date', () => {
+    const instructions = classificationInstructions({ brand: 'Climed', language: 'tr', now });
+    assert.match(instructions, /^Climed kliniklerine WhatsApp'tan gelen/);
+    assert.match(instructions, /Bugün 2026-10-20 \(Salı\)/);
+});
+
+test('other languages get English instructions naming the customers\' language', () => {
+    const instructions = classificationInstructions({ brand: 'VeinCare', language: 'en', timeZone: 'Europe/London', now });
+    assert.match(instructions, /^Classify a customer message sent to VeinCare clinics on WhatsApp\. Customers usually write in English\./);
+    assert.match(instructions, /Today is 2026-10-19 \(Monday\)/);
+    assert.doesNotMatch(instructions, /Climed|sınıflandır/);
+    assert.match(classificationInstructions({ brand: 'Vena', language: 'de', now }), /write in German/);
+});
+
+test('relative dates are resolved in the tenant\'s time zone', async () => {
+    const catalog = { branches: [], treatments: [] };
+    assert.deepEqual((await analyzeMessage(catalog, 'yarın gelebilir miyim', { now })).entities.dates, ['2026-10-21']);
+    assert.deepEqual((await analyzeMessage(catalog, 'yarın gelebilir miyim', { now, timeZone: 'Europe/London' })).entities.dates, ['2026-10-20']);
+});
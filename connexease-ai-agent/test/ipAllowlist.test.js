@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createIpAllowlist, loadAllowlistEntries, normalizeIp } = require('../ipAllowlist');
+
+test('matches single addresses and IPv4 and IPv6 ranges', () => {
+    const allowlist = createIpAllowlist(['203.0.113.7', '10.0.0.0/24', '2001:db8::/32']);
+    assert.equal(allowlist.allows('203.0.113.7'), true);
+    assert.equal(allowlist.allows('203.0.113.8'), false);
+    assert.equal(allowlist.allows('10.0.0.255'), true);
+    assert.equal(allowlist.allows('10.0.1.0'), false);
+    assert.equal(allowlist.allows('2001:db8:1::5'), true);
+    assert.equal(allowlist.allows('2001:db9::1'), false);
+});
+
+test('IPv4 addresses arriving over an IPv6 socket match IPv4 entries', () => {
+    const allowlist = createIpAllowlist(['10.0.0.0/24']);
+    assert.equal(normalizeIp('::ffff:10.0.0.9'), '10.0.0.9');
+    assert.equal(allowlist.allows('::ffff:10.0.0.9'), true);
+    assert.equal(allowlist.allows('::FFFF:10.0.0.9'), true);
+    assert.equal(allowlist.allows('::ffff:0a00:0009'), true);
+    assert.equal(allowlist.allows('::ffff:10.0.1.9'), false);
+});
+
+test('anything that is not an IP address is refused', () => {
+    const allowlist = createIpAllowlist(['10.0.0.0/24']);
+    [undefined, '', 'not-an-ip', '10.0.0', '10.0.0.0/24'].forEach(ip => assert.equal(allowlist.allows(ip), false, ip));
+});
+
+test('invalid entries and CIDR prefixes throw instead of widening the list', () => {
+    ['300.1.1.1', 'example.com', '10.0.0.0/33', '2001:db8::/129', '10.0.0.0/-1', '10.0.0.0/8.5', '10.0.0.0/abc', '10.0.0.0/']
+        .forEach(entry => assert.throws(() => createIpAllowlist([entry]), /Invalid/, entry));
+});
+
+test('an empty allowlist lets nobody in, and an empty configuration falls back to Connexease', () => {
+    assert.equal(createIpAllowlist([]).allows('127.0.0.1'), false);
+    assert.deepEqual(loadAllowlistEntries({ allowedIps: ' , ' }), ['34.89.215.92']);
+    assert.deepEqual(loadAllowlistEntries({ allowedIps: '', allowLocalhost: true }), ['34.89.215.92', '127.0.0.0/8', '::1']);
+});
+
+test('entries from WEBHOOK_ALLOWED_IPS and the allowlist file add up', (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'allowlist-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const configFile = path.join(directory, 'allowlist.json');
+    fs.writeFileSync(configFile, JSON.stringify({ allow: ['192.0.2.0/24'] }));
+    assert.deepEqual(loadAllowlistEntries({ allowedIps: '203.0.113.7, 10.0.0.0/24', configFile }), ['203.0.113.7', '10.0.0.0/24', '192.0.2.0/24']);
+
+    fs.writeFileSync(configFile, JSON.stringify(['192.0.2.0/24']));
+    assert.throws(() => loadAllowlistEntries({ configFile }), /must contain an "allow" array/);
+});
+
+// The webhook checks req.ip, which only follows X-Forwarded-For for as many hops as 'trust proxy' allows
+async function requestThrough(t, trustProxyHops, headers) {
+    const allowlist = createIpAllowlist(['203.0.113.7']);
+    const app = express();
+    app.set('trust proxy', trustProxyHops);
+    app.post('/webhook', (req, res) => res.status(allowlist.allows(req.ip) ? 200 : 403).send(req.ip));
+    const server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+    t.after(() => server.close());
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/webhook`, { method: 'POST', headers });
+    return { status: response.status, ip: await response.text() };
+}
+
+test('a forged X-Forwarded-For is ignored when no proxy is trusted', async (t) => {
+    assert.deepEqual(await requestThrough(t, 0, { 'X-Forwarded-For': '203.0.113.7' }), { status: 403, ip: '127.0.0.1' });
+});
+
+test('behind a trusted proxy only the hop it added counts', async (t) => {
+    assert.deepEqual(await requestThrough(t, 1, { 'X-Forwarded-For': '203.0.113.7' }), { status: 200, ip: '203.0.113.7' });
+    // The client prepended an allowed address; the proxy appended the real one
+    assert.deepEqual(await requestThrough(t, 1, { 'X-Forwarded-For': '203.0.113.7, 198.51.100.4' }), { status: 403, ip: '198.51.100.4' });
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createModelClient } = require('../models');
+
+// A provider that fails with a retryable error every time it is called
+function failingProvider() {
+    const provider = {
+        name: 'flaky',
+        model: 'test',
+        calls: 0,
+        async generate() {
+            provider.calls++;
+            throw Object.assign(new Error('Service unavailable'), { status: 503 });
+        }
+    };
+    return provider;
+}
+
+test('an abort during the retry backoff cancels right away instead of retrying', async () => {
+    const provider = failingProvider();
+    const client = createModelClient({ providers: [provider], retries: 3, backoffMs: 60 * 1000 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    const startedAt = Date.now();
+    await assert.rejects(client.complete({ input: 'Merhaba', signal: controller.signal }), { code: 'cancelled' });
+    assert.ok(Date.now() - startedAt < 5000);
+    assert.equal(provider.calls, 1);
+});
+
+test('an already aborted request never reaches a provider', async () => {
+    const provider = failingProvider();
+    const client = createModelClient({ providers: [provider] });
+    await assert.rejects(client.complete({ input: 'Merhaba', signal: AbortSignal.abort() }), { code: 'cancelled' });
+    assert.equal(provider.calls, 0);
+});
+
+test('retries with backoff and reports every failed attempt', async () => {
+    const provider = failingProvider();
+    const client = createModelClient({ providers: [provider], retries: 2, backoffMs: 1 });
+    await assert.rejects(client.complete({ input: 'Merhaba' }), error => error.code === 'model_unavailable' && error.attempts.length === 3);
+    assert.equal(provider.calls, 3);
+});
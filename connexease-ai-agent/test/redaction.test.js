@@ -0,0 +1,109 @@
+// Turkish PII corpus: what must be masked, and look-alikes that must be left alone
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidTckn, isValidIban, maskPii, createRedaction, maskConsole } = require('../redaction');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+// [message, masked]
+const CORPUS = [
+    // T.C. kimlik numbers only with valid check digits
+    ['TC kimlik no 10000000146', 'TC kimlik no [TCKN]'],
+    ['TC 10000000147', 'TC 10000000147'],
+    // Phone numbers, mobile and landline, with or without the country code
+    ['Numaram 0532 123 45 67', 'Numaram [TELEFON]'],
+    ['+90 (212) 555 12 34 arayın', '[TELEFON] arayın'],
+    ['5321234567', '[TELEFON]'],
+    ['Bana 0 532 123-45-67 numarasından ulaşın', 'Bana 0 [TELEFON] numarasından ulaşın'],
+    ['Fiyat 1500 TL', 'Fiyat 1500 TL'],
+    // E-mails
+    ['mail: ayse.yilmaz@example.com.tr', 'mail: [EPOSTA]'],
+    // IBANs only with a valid mod-97 checksum
+    ['IBAN TR33 0006 1005 1978 6457 8413 26', 'IBAN [IBAN]'],
+    ['IBAN TR330006100519786457841327', 'IBAN TR330006100519786457841327'],
+    // Dates of birth: by keyword, by suffix, or by an adult's birth year
+    ['doğum tarihim 03.04.2015', 'doğum tarihim [DOGUM_TARIHI]'],
+    ['d.t. 03.04.2015', 'd.t. [DOGUM_TARIHI]'],
+    ['12.05.1985 doğumluyum', '[DOGUM_TARIHI] doğumluyum'],
+    ['Annem 07/09/1956 tarihinde doğdu', 'Annem [DOGUM_TARIHI] tarihinde doğdu'],
+    // Appointment dates stay, even right after a birth keyword in another clause
+    ['Randevu 25.11.2026 saat 14:00', 'Randevu 25.11.2026 saat 14:00'],
+    ['1990 doğumluyum, randevu 25.11.2026 olsun', '1990 doğumluyum, randevu 25.11.2026 olsun'],
+    ['Doğum günüm yaklaşıyor. Randevu 25.11.2026 olabilir mi?', 'Doğum günüm yaklaşıyor. Randevu 25.11.2026 olabilir mi?'],
+    // Names after "adım", "ismim", "ad soyad" in any case, as long as the name is capitalized
+    ['adım Ayşe Yılmaz', 'adım [AD]'],
+    ['Adım Ayşe Yılmaz, randevu almak istiyorum', 'Adım [AD], randevu almak istiyorum'],
+    ['İsmim Mehmet Kaya', 'İsmim [AD]'],
+    ['ISMIM Mehmet', 'ISMIM [AD]'],
+    ['Ad Soyad: Zeynep Demir', 'Ad Soyad: [AD]'],
+    ['adı soyadı: Ali Veli', 'adı soyadı: [AD]'],
+    ['adım adım anlatır mısınız', 'adım adım anlatır mısınız'],
+    // Several kinds in one message
+    ['Adım Ali Kaya, TC 10000000146, tel 0532 123 45 67', 'Adım [AD], TC [TCKN], tel [TELEFON]']
+];
+
+test('checksums', () => {
+    assert.equal(isValidTckn('10000000146'), true);
+    assert.equal(isValidTckn('10000000147'), false);
+    assert.equal(isValidTckn('01000000146'), false);
+    assert.equal(isValidIban('TR330006100519786457841326'), true);
+    assert.equal(isValidIban('TR33 0006 1005 1978 6457 8413 26'), true);
+    assert.equal(isValidIban('TR330006100519786457841327'), false);
+});
+
+for (const [message, masked] of CORPUS) {
+    test(`maskPii: ${message}`, () => {
+        assert.equal(maskPii(message, { now }), masked);
+    });
+}
+
+test('known customer values are redacted wherever they appear', () => {
+    assert.equal(
+        maskPii('Merhaba, ben Ayşe. Ayşe Hanım olarak kayıtlıyım', { now, known: [{ kind: 'AD', value: 'Ayşe' }] }),
+        'Merhaba, ben [AD]. [AD] Hanım olarak kayıtlıyım'
+    );
+});
+
+test('redact and restore round-trip with stable placeholders', () => {
+    const redaction = createRedaction({ now });
+    redaction.remember('AD', 'Ayşe Yılmaz');
+    const redacted = redaction.redact('Ayşe Yılmaz, numaram 0532 123 45 67. Tekrar: 0532 123 45 67');
+    assert.equal(redacted, '[AD_1], numaram [TELEFON_1]. Tekrar: [TELEFON_1]');
+    assert.equal(redaction.restore('Sayın [AD_1], sizi [TELEFON_1] numarasından arayacağız.'),
+        'Sayın Ayşe Yılmaz, sizi 0532 123 45 67 numarasından arayacağız.');
+    assert.equal(redaction.restore('[TCKN_9] bilinmiyor'), '[TCKN_9] bilinmiyor');
+    assert.equal(redaction.count(), 2);
+});
+
+test('restoreStream holds back a placeholder split across deltas', () => {
+    const redaction = createRedaction({ now });
+    redaction.redact('numaram 0532 123 45 67');
+    const received = [];
+    const push = redaction.restoreStream(text => received.push(text));
+    ['Sizi [TELE', 'FON_1] numar', 'asından arayacağız'].forEach(push);
+    assert.deepEqual(received, ['Sizi ', '0532 123 45 67 numar', 'asından arayacağız']);
+});
+
+test('flush sends what a stream ending mid-placeholder held back', () => {
+    const redaction = createRedaction({ now });
+    redaction.redact('numaram 0532 123 45 67');
+    const received = [];
+    const push = redaction.restoreStream(text => received.push(text));
+    ['Sizi [TELEFON_1] numarasından ararız [TELE'].forEach(push);
+    assert.deepEqual(received, ['Sizi 0532 123 45 67 numarasından ararız ']);
+    push.flush();
+    assert.deepEqual(received, ['Sizi 0532 123 45 67 numarasından ararız ', '[TELE']);
+    push.flush();
+    assert.equal(received.length, 2);
+});
+
+test('maskConsole masks every console level', () => {
+    const lines = [];
+    const target = { log: line => lines.push(line), info: line => lines.push(line), warn: line => lines.push(line), error: line => lines.push(line), debug: line => lines.push(line) };
+    maskConsole(target);
+    target.log('Yeni mesaj:', { content: 'TC 10000000146' });
+    target.error(new Error('0532 123 45 67 ulaşılamadı'));
+    assert.match(lines[0], /\[TCKN\]/);
+    assert.doesNotMatch(lines[0], /10000000146/);
+    assert.doesNotMatch(lines[1], /0532 123 45 67/);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const { createStore } = require('../store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function booking(conversationId, daysFromNow) {
+    const start = Date.now() + daysFromNow * DAY_MS;
+    return { conversationId, branchId: 'kadikoy', doctorId: 'd1', startAt: new Date(start).toISOString(), endAt: new Date(start + 30 * 60 * 1000).toISOString() };
+}
+
+for (const driver of ['memory', 'sqlite']) {
+    test(`${driver}: purgeExpired takes the ended bookings of purged conversations with them`, async (t) => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+        const store = createStore({ driver, filePath: path.join(directory, 'agent-assist.db') });
+        t.after(() => {
+            store.close();
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        store.ensureConversation('expired');
+        await sleep(5);
+        const cutoff = new Date().toISOString();
+        await sleep(5);
+        store.ensureConversation('active');
+
+        const ended = store.addBooking(booking('expired', -10));
+        const upcoming = store.addBooking(booking('expired', 10));
+        const ofActive = store.addBooking(booking('active', -10));
+        const withoutConversation = store.addBooking(booking(null, -10));
+
+        assert.equal(store.purgeExpired(cutoff), 1);
+        assert.equal(store.getConversation('expired'), null);
+        assert.equal(store.getBooking(ended.id), null);
+        assert.equal(store.getBooking(withoutConversation.id), null);
+        // Still on the calendar until the appointment itself is past the cutoff
+        assert.equal(store.getBooking(upcoming.id).id, upcoming.id);
+        assert.equal(store.getBooking(ofActive.id).id, ofActive.id);
+    });
+}
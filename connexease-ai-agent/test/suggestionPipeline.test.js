@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSuggestionPipeline } = require('../suggestionPipeline');
+const { buildChunks, buildIndex } = require('../retrieval');
+const catalog = require('../catalog.json');
+
+const knowledge = { catalog, index: buildIndex(buildChunks(catalog)) };
+
+// Streams the given JSON in the given pieces, like a provider would
+const streamingModels = (pieces) => ({
+    async complete({ onDelta }) {
+        pieces.forEach(piece => onDelta?.(piece));
+        return { text: pieces.join(''), provider: 'mock', model: 'mock', usage: null, attempts: [] };
+    }
+});
+
+test('the streamed deltas add up to the draft, even when it ends inside a placeholder', async () => {
+    const pipeline = createSuggestionPipeline({
+        models: streamingModels(['{"reply":"Sizi [AD_1] Hanım, bilgi için [', 'TELEF', 'ON_1', '","confidence":0.4}']),
+        getKnowledge: () => knowledge,
+        brand: 'Climed'
+    });
+    const conversation = {
+        id: 'c1',
+        customer: { name: 'Ayşe', phone_number: '05321234567' },
+        messages: [{ id: 1, sender: 'customer', content: 'Kadıköy adresi nedir?', timestamp: '10:00' }]
+    };
+
+    const deltas = [];
+    const reply = await pipeline.suggest(conversation, { onDelta: delta => deltas.push(delta) });
+    assert.equal(reply.suggestion, 'Sizi Ayşe Hanım, bilgi için [TELEFON_1');
+    assert.equal(deltas.join(''), reply.suggestion);
+});
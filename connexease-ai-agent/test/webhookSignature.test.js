@@ -0,0 +1,125 @@
+// Signed Connexease deliveries in fixtures/webhooks.json, checked against createSignatureVerifier
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createSignatureVerifier, computeSignature } = require('../webhookSignature');
+const fixtures = require('./fixtures/webhooks.json');
+
+const TOLERANCE_SECONDS = 300;
+
+function createVerifier(options = {}) {
+    let currentTime = fixtures.receivedAt;
+    const verify = createSignatureVerifier({
+        secrets: [fixtures.secret, fixtures.previousSecret],
+        toleranceSeconds: TOLERANCE_SECONDS,
+        now: () => currentTime,
+        ...options
+    });
+    verify.advance = (seconds) => { currentTime += seconds * 1000; };
+    return verify;
+}
+
+const deliveryOf = ({ headers, rawBody }) => ({
+    rawBody: Buffer.from(rawBody),
+    signature: headers['x-connexease-webhook-sign'],
+    timestamp: headers['x-connexease-webhook-timestamp'],
+    nonce: headers['x-connexease-webhook-nonce']
+});
+
+const [customerMessage, newConversation, signedWithPrevious] = fixtures.deliveries;
+
+test('the signature covers "<timestamp>.<nonce>.<body>"', () => {
+    const { headers, rawBody } = customerMessage;
+    const expected = crypto.createHmac('sha256', fixtures.secret)
+        .update(`${headers['x-connexease-webhook-timestamp']}.${headers['x-connexease-webhook-nonce']}.${rawBody}`)
+        .digest('hex');
+    assert.equal(headers['x-connexease-webhook-sign'], `sha256=${expected}`);
+    assert.equal(computeSignature(fixtures.secret, rawBody, {
+        timestamp: headers['x-connexease-webhook-timestamp'],
+        nonce: headers['x-connexease-webhook-nonce']
+    }), expected);
+});
+
+test('accepts every signed fixture once', () => {
+    const verify = createVerifier();
+    assert.deepEqual(verify(deliveryOf(customerMessage)), { ok: true, usedPreviousSecret: false });
+    assert.deepEqual(verify(deliveryOf(newConversation)), { ok: true, usedPreviousSecret: false });
+    assert.deepEqual(verify(deliveryOf(signedWithPrevious)), { ok: true, usedPreviousSecret: true });
+});
+
+test('accepts bare hex signatures', () => {
+    const delivery = deliveryOf(customerMessage);
+    assert.equal(createVerifier()({ ...delivery, signature: delivery.signature.replace('sha256=', '') }).ok, true);
+});
+
+test('rejects a tampered body', () => {
+    const delivery = deliveryOf(customerMessage);
+    const rawBody = Buffer.from(customerMessage.rawBody.replace('Kadıköy', 'Kayseri'));
+    assert.deepEqual(createVerifier()({ ...delivery, rawBody }), { ok: false, reason: 'signature mismatch' });
+});
+
+test('rejects a secret that is no longer configured', () => {
+    const verify = createVerifier({ secrets: [fixtures.secret] });
+    assert.deepEqual(verify(deliveryOf(signedWithPrevious)), { ok: false, reason: 'signature mismatch' });
+});
+
+test('rejects missing or malformed signatures', () => {
+    const delivery = deliveryOf(customerMessage);
+    assert.equal(createVerifier()({ ...delivery, signature: undefined }).reason, 'missing or malformed signature');
+    assert.equal(createVerifier()({ ...delivery, signature: 'not-hex' }).reason, 'missing or malformed signature');
+});
+
+test('rejects a replayed delivery', () => {
+    const verify = createVerifier();
+    assert.equal(verify(deliveryOf(customerMessage)).ok, true);
+    assert.deepEqual(verify(deliveryOf(customerMessage)), { ok: false, reason: 'replayed delivery' });
+});
+
+test('rejects a replay with a fresh nonce, since the nonce is signed', () => {
+    const verify = createVerifier();
+    assert.equal(verify(deliveryOf(customerMessage)).ok, true);
+    assert.deepEqual(verify({ ...deliveryOf(customerMessage), nonce: 'nonce-fresh' }), { ok: false, reason: 'signature mismatch' });
+});
+
+test('rejects a replay with a new timestamp, since the timestamp is signed', () => {
+    const delivery = deliveryOf(customerMessage);
+    const timestamp = String(Number(delivery.timestamp) + 60);
+    assert.deepEqual(createVerifier()({ ...delivery, timestamp }), { ok: false, reason: 'signature mismatch' });
+});
+
+test('remembers a delivery for as long as its timestamp is inside the window', () => {
+    const verify = createVerifier();
+    assert.equal(verify(deliveryOf(customerMessage)).ok, true);
+    verify.advance(TOLERANCE_SECONDS - 60);
+    assert.deepEqual(verify(deliveryOf(customerMessage)), { ok: false, reason: 'replayed delivery' });
+    verify.advance(120);
+    assert.deepEqual(verify(deliveryOf(customerMessage)), { ok: false, reason: 'timestamp outside tolerance' });
+});
+
+test('rejects timestamps outside the tolerance', () => {
+    const verify = createVerifier({ now: () => fixtures.receivedAt + (TOLERANCE_SECONDS + 60) * 1000 });
+    assert.deepEqual(verify(deliveryOf(customerMessage)), { ok: false, reason: 'timestamp outside tolerance' });
+});
+
+test('requires a timestamp by default', () => {
+    const rawBody = Buffer.from(customerMessage.rawBody);
+    const signature = computeSignature(fixtures.secret, rawBody);
+    assert.deepEqual(createVerifier()({ rawBody, signature }), { ok: false, reason: 'missing timestamp' });
+    assert.equal(createVerifier({ requireTimestamp: false })({ rawBody, signature }).ok, true);
+});
+
+test('rejects a timestamp moved into the nonce header, since each field is signed in its own place', () => {
+    const rawBody = Buffer.from(customerMessage.rawBody);
+    const timestamp = customerMessage.headers['x-connexease-webhook-timestamp'];
+    const signature = computeSignature(fixtures.secret, rawBody, { timestamp });
+    assert.notEqual(signature, computeSignature(fixtures.secret, rawBody, { nonce: timestamp }));
+
+    const verify = createVerifier({ requireTimestamp: false });
+    assert.equal(verify({ rawBody, signature, timestamp }).ok, true);
+    assert.deepEqual(verify({ rawBody, signature, nonce: timestamp }), { ok: false, reason: 'signature mismatch' });
+});
+
+test('fails closed without a secret', () => {
+    const verify = createVerifier({ secrets: [undefined, ''] });
+    assert.deepEqual(verify(deliveryOf(customerMessage)), { ok: false, reason: 'no webhook secret configured' });
+});
@@ -0,0 +1,73 @@
+// webhookSignature.js - HMAC verification and replay protection for Connexease webhooks
+const crypto = require('crypto');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Accepts bare hex or "sha256=<hex>"
+const parseSignature = (header) => (header || '').trim().replace(/^sha256=/i, '').toLowerCase();
+
+// Signed content is "<timestamp>.<nonce>.<body>", each field in its place and empty when its header wasn't sent
+// ("..<body>" with neither). Fixed positions keep a timestamp from being moved into the nonce header (or back),
+// which would give a captured delivery a new replay key under the same signature.
+function computeSignature(secret, rawBody, { timestamp, nonce } = {}) {
+    const hmac = crypto.createHmac('sha256', secret);
+    hmac.update(`${timestamp || ''}.${nonce || ''}.`);
+    hmac.update(rawBody);
+    return hmac.digest('hex');
+}
+
+function safeEqualHex(a, b) {
+    const left = Buffer.from(a, 'hex');
+    const right = Buffer.from(b, 'hex');
+    return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// secrets: [current, previous] so a rotation doesn't drop deliveries signed with the old secret.
+// requireTimestamp=false accepts unsigned-time deliveries; those are only remembered for toleranceSeconds,
+// so after that the stored webhook event ids are the only thing stopping a replay.
+function createSignatureVerifier({ secrets, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, requireTimestamp = true, now = Date.now }) {
+    const activeSecrets = secrets.filter(Boolean);
+    const seenNonces = new Map(); // nonce -> expiry (ms)
+
+    function pruneNonces(currentTime) {
+        seenNonces.forEach((expiresAt, nonce) => {
+            if (expiresAt <= currentTime) seenNonces.delete(nonce);
+        });
+    }
+
+    return function verify({ rawBody, signature, timestamp, nonce }) {
+        const currentTime = now();
+
+        if (activeSecrets.length === 0) return { ok: false, reason: 'no webhook secret configured' };
+        if (!rawBody) return { ok: false, reason: 'missing body' };
+
+        const provided = parseSignature(signature);
+        if (!/^[0-9a-f]+$/.test(provided)) return { ok: false, reason: 'missing or malformed signature' };
+
+        let sentAt = currentTime;
+        if (timestamp) {
+            // Seconds or milliseconds since epoch, or an ISO date
+            const value = Number(timestamp);
+            sentAt = Number.isFinite(value) ? (value > 1e12 ? value : value * 1000) : Date.parse(timestamp);
+            if (!Number.isFinite(sentAt) || Math.abs(currentTime - sentAt) > toleranceSeconds * 1000) {
+                return { ok: false, reason: 'timestamp outside tolerance' };
+            }
+        } else if (requireTimestamp) {
+            return { ok: false, reason: 'missing timestamp' };
+        }
+
+        const secretIndex = activeSecrets.findIndex(secret => safeEqualHex(provided, computeSignature(secret, rawBody, { timestamp, nonce })));
+        if (secretIndex === -1) return { ok: false, reason: 'signature mismatch' };
+
+        // Without an explicit nonce, the signature itself identifies a delivery. Keys are kept until the
+        // delivery's timestamp leaves the window, so a replay is rejected for as long as it would verify.
+        const replayKey = nonce || provided;
+        pruneNonces(currentTime);
+        if (seenNonces.has(replayKey)) return { ok: false, reason: 'replayed delivery' };
+        seenNonces.set(replayKey, sentAt + toleranceSeconds * 1000);
+
+        return { ok: true, usedPreviousSecret: secretIndex > 0 };
+    };
+}
+
+module.exports = { createSignatureVerifier, computeSignature };